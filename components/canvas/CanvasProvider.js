@@ -3,40 +3,196 @@
  * 
  * Manages Canvas API credentials, course data, and shared state across all pages.
  * Provides centralized credential management, course name fetching, and validation.
+ * 
+ * The Canvas access token is never kept in the browser: login() hands a pasted
+ * token to /api/auth/login and loginWithOAuth() starts the Canvas OAuth flow;
+ * both end in an encrypted httpOnly session cookie. This provider only tracks
+ * whether that session exists, so pages don't care which auth mode is active.
+ * 
+ * The active course comes from the /courses/[courseId]/… route when there is
+ * one, otherwise from the last course selected. The courses the user teaches
+ * are listed for the Header's course switcher.
+ * 
+ * The course roster (enrollments with their sections) backs the Header's
+ * section filter; the chosen sections are remembered per course.
  */
 
-import { createContext, useContext, useEffect, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useRouter } from 'next/router';
+import { canvasProxy, fetchTeachingCourses } from '../../js/canvasApi';
+import { getCourseIdFromPath, getCourseSwitchPath } from '../../js/courseRoutes';
+import { fetchCourseRoster } from '../../js/dataUtils';
+import { getSectionUserIds } from '../../js/sectionFilter';
 
 const CanvasContext = createContext();
 
 export function CanvasProvider({ children }) {
+  const router = useRouter();
+  
   // Canvas API credential state
   const [apiUrl, setApiUrl] = useState('');           // Canvas instance URL
-  const [apiKey, setApiKey] = useState('');           // Canvas API access token
   const [courseId, setCourseId] = useState('');       // Current course ID
   
+  // Server-side session state (the token itself stays on the server)
+  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [sessionUser, setSessionUser] = useState(null);     // Canvas user the token belongs to
+  const [authMode, setAuthMode] = useState(null);           // 'token' | 'oauth' | null
+  const [oauthEnabled, setOauthEnabled] = useState(false);  // Server has an OAuth developer key
+  const [sessionLoading, setSessionLoading] = useState(true);
+  
   // Course information state
   const [courseName, setCourseName] = useState('');   // Fetched course name
   const [courseLoading, setCourseLoading] = useState(false); // Course fetch loading state
   const [courseError, setCourseError] = useState(''); // Course fetch error state
+  
+  // Courses the user teaches or assists in (course switcher)
+  const [courses, setCourses] = useState([]);
+  const [coursesLoading, setCoursesLoading] = useState(false);
+  
+  // Sections of the current course and the section filter
+  const [enrollments, setEnrollments] = useState([]);
+  const [sections, setSections] = useState([]);
+  const [selectedSectionIds, setSelectedSectionIds] = useState([]);
 
   /**
-   * Load stored credentials from localStorage on component mount
-   * Restores user's Canvas API settings across browser sessions
-   * TODO: Migrate to Convex authentication for better security
+   * Load stored settings and the current session on component mount
+   * API URL and course ID are not secret and stay in localStorage;
+   * the session endpoint reports whether a Canvas token is stored server-side
+   * A course-scoped URL wins over the stored course, even before the router is ready
    */
   useEffect(() => {
     setApiUrl(localStorage.getItem('canvas_api_url') || '');
-    setApiKey(localStorage.getItem('canvas_api_key') || '');
-    setCourseId(localStorage.getItem('course_id') || '');
+    setCourseId(getCourseIdFromPath(window.location.pathname) || localStorage.getItem('course_id') || '');
+    
+    // Tokens saved by older versions must not linger in the browser
+    localStorage.removeItem('canvas_api_key');
+    
+    refreshSession();
   }, []);
 
+  /**
+   * Reads the session status from the server
+   * 
+   * @returns {Promise<Object>} { authenticated, apiUrl, user }
+   */
+  async function refreshSession() {
+    setSessionLoading(true);
+    try {
+      const res = await fetch('/api/auth/session');
+      const session = await res.json();
+      applySession(session);
+      return session;
+    } catch (error) {
+      applySession({ authenticated: false });
+      return { authenticated: false };
+    } finally {
+      setSessionLoading(false);
+    }
+  }
+
+  /**
+   * Copies a session response into provider state
+   * 
+   * @param {Object} session - Response from /api/auth/session or /api/auth/login
+   */
+  function applySession(session) {
+    setIsAuthenticated(Boolean(session.authenticated));
+    setSessionUser(session.user || null);
+    setAuthMode(session.authenticated ? session.authMode || 'token' : null);
+    if (session.oauthEnabled !== undefined) {
+      setOauthEnabled(Boolean(session.oauthEnabled));
+    }
+    if (session.apiUrl) {
+      setApiUrl(session.apiUrl);
+    }
+  }
+
+  /**
+   * Follow the course in the URL when navigating between course-scoped pages
+   * and remember it as the course for unscoped pages
+   */
+  useEffect(() => {
+    const routeCourseId = router.query.courseId;
+    if (!routeCourseId) return;
+    setCourseId(routeCourseId);
+    localStorage.setItem('course_id', routeCourseId);
+  }, [router.query.courseId]);
+
+  /**
+   * Load the course list once a session exists
+   */
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setCourses([]);
+      return;
+    }
+
+    let cancelled = false;
+    setCoursesLoading(true);
+    fetchTeachingCourses({ apiUrl })
+      .then(list => {
+        if (!cancelled) setCourses(list);
+      })
+      .catch(error => {
+        console.warn('Failed to load course list:', error.message);
+        if (!cancelled) setCourses([]);
+      })
+      .finally(() => {
+        if (!cancelled) setCoursesLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, isAuthenticated]);
+
+  /**
+   * Load the roster and sections of the current course, and restore the
+   * sections chosen for it last time
+   */
+  useEffect(() => {
+    setEnrollments([]);
+    setSections([]);
+    if (!courseId) {
+      setSelectedSectionIds([]);
+      return;
+    }
+
+    try {
+      setSelectedSectionIds(JSON.parse(localStorage.getItem(`section_filter_${courseId}`) || '[]'));
+    } catch (error) {
+      setSelectedSectionIds([]);
+    }
+    if (!isAuthenticated) return;
+
+    let cancelled = false;
+    fetchCourseRoster(apiUrl, courseId)
+      .then(roster => {
+        if (cancelled) return;
+        setEnrollments(roster.enrollments);
+        setSections(roster.sections);
+      })
+      .catch(error => console.warn('Failed to load course sections:', error.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, courseId, isAuthenticated]);
+
+  // Users in the chosen sections (null when every section is shown)
+  // Until the roster arrives nothing is filtered, and sections that no longer exist are ignored
+  const sectionUserIds = useMemo(() => {
+    if (sections.length === 0) return null;
+    const knownSectionIds = selectedSectionIds.filter(id => sections.some(section => section.id === id));
+    return getSectionUserIds(enrollments, knownSectionIds);
+  }, [enrollments, sections, selectedSectionIds]);
+
   /**
    * Fetch course information when credentials change
    * Validates credentials and retrieves course name for display
    */
   useEffect(() => {
-    if (!apiUrl || !apiKey || !courseId) {
+    if (!isAuthenticated || !courseId) {
       setCourseName('');
       return;
     }
@@ -50,86 +206,139 @@ export function CanvasProvider({ children }) {
       setCourseError('');
       
       try {
-        const res = await fetch('/api/canvas-proxy', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            apiUrl,
-            apiKey,
-            endpoint: `/courses/${courseId}`,
-            method: 'GET'
-          })
-        });
-        
-        if (res.ok) {
-          const data = await res.json();
-          setCourseName(data.name || '');
-        } else {
-          setCourseName('');
-          setCourseError('Failed to fetch course information');
-        }
+        const data = await canvasProxy({ endpoint: `/courses/${courseId}` });
+        setCourseName(data.name || '');
       } catch (error) {
         setCourseName('');
-        setCourseError('Error connecting to Canvas API');
+        setCourseError(`Failed to fetch course information: ${error.message}`);
       } finally {
         setCourseLoading(false);
       }
     }
     
     fetchCourseName();
-  }, [apiUrl, apiKey, courseId]);
+  }, [apiUrl, courseId, isAuthenticated]);
+
+  // Check if credentials are missing; stable between renders so pages can
+  // list it in effect dependencies without re-running their lookups
+  const credentialsMissing = useCallback(() => {
+    return !isAuthenticated || !courseId;
+  }, [isAuthenticated, courseId]);
 
-  // Check if credentials are missing
-  const credentialsMissing = () => {
-    return !apiUrl || !apiKey || !courseId;
+  /**
+   * Sends the access token to the server once and starts a session
+   * 
+   * @param {string} newApiUrl - Canvas API base URL
+   * @param {string} newApiKey - Canvas API access token
+   * @returns {Promise<Object>} Session info ({ authenticated, apiUrl, user })
+   */
+  const login = async (newApiUrl, newApiKey) => {
+    const res = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ apiUrl: newApiUrl, apiKey: newApiKey })
+    });
+    const session = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(session.error || 'Canvas login failed');
+    }
+    applySession(session);
+    return session;
   };
 
-  // Update credentials (used by settings page)
-  const updateCredentials = (newApiUrl, newApiKey, newCourseId) => {
+  // Hand off to Canvas; the OAuth callback returns to the settings page
+  const loginWithOAuth = () => {
+    window.location.href = '/api/auth/oauth/authorize';
+  };
+
+  // Wipe the server-side session holding the token
+  const logout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    applySession({ authenticated: false });
+  };
+
+  /**
+   * Update credentials (used by settings page)
+   * Logs in again only when a new token was entered
+   * 
+   * @param {string} newApiUrl - Canvas API base URL
+   * @param {string} newApiKey - Canvas API access token (empty keeps the current session)
+   * @param {string} newCourseId - Canvas course ID
+   */
+  const updateCredentials = async (newApiUrl, newApiKey, newCourseId) => {
     setApiUrl(newApiUrl);
-    setApiKey(newApiKey);
     setCourseId(newCourseId);
-    
-    // Update localStorage for development convenience
-    // TODO: Migrate to Convex authentication for better security
     localStorage.setItem('canvas_api_url', newApiUrl);
-    localStorage.setItem('canvas_api_key', newApiKey);
     localStorage.setItem('course_id', newCourseId);
+    
+    if (newApiKey) {
+      await login(newApiUrl, newApiKey);
+    }
+  };
+
+  /**
+   * Makes another course active and moves the current page over to it
+   * Caches and claims are stored per course, so nothing needs clearing
+   * 
+   * @param {string} newCourseId - Canvas course ID to switch to
+   */
+  const switchCourse = (newCourseId) => {
+    const nextCourseId = String(newCourseId);
+    setCourseId(nextCourseId);
+    localStorage.setItem('course_id', nextCourseId);
+    
+    const target = getCourseSwitchPath(router.pathname, nextCourseId);
+    if (target) {
+      router.push(target);
+    }
+  };
+
+  /**
+   * Chooses the sections to show for the current course
+   * 
+   * @param {Array<string>} sectionIds - Section IDs (empty for all sections)
+   */
+  const updateSectionFilter = (sectionIds) => {
+    setSelectedSectionIds(sectionIds);
+    if (courseId) {
+      localStorage.setItem(`section_filter_${courseId}`, JSON.stringify(sectionIds));
+    }
   };
 
   const value = {
     // Credentials
     apiUrl,
-    apiKey,
     courseId,
     updateCredentials,
     credentialsMissing,
     
+    // Session
+    isAuthenticated,
+    sessionUser,
+    sessionLoading,
+    authMode,
+    oauthEnabled,
+    login,
+    loginWithOAuth,
+    logout,
+    refreshSession,
+    
     // Course data
     courseName,
     courseLoading,
     courseError,
+    courses,
+    coursesLoading,
+    switchCourse,
     
-    // Canvas API helper
-    makeCanvasRequest: async (endpoint, method = 'GET', body = null) => {
-      const response = await fetch('/api/canvas-proxy', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          apiUrl,
-          apiKey,
-          endpoint,
-          method,
-          body
-        })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Canvas API request failed: ${response.statusText}`);
-      }
-      
-      return response.json();
-    }
+    // Section filter
+    sections,
+    selectedSectionIds,
+    updateSectionFilter,
+    sectionUserIds,
+    
+    // Canvas API helper (rate limited and retried by canvasProxy)
+    makeCanvasRequest: (endpoint, method = 'GET', body = null) => canvasProxy({ endpoint, method, body })
   };
 
   return (
@@ -10,18 +10,31 @@ import { useCanvas } from './CanvasProvider';
 export function useCanvasAuth() {
   const { 
     apiUrl, 
-    apiKey, 
     courseId, 
     updateCredentials, 
-    credentialsMissing 
+    credentialsMissing,
+    isAuthenticated,
+    sessionUser,
+    sessionLoading,
+    authMode,
+    oauthEnabled,
+    login,
+    loginWithOAuth,
+    logout
   } = useCanvas();
 
   return {
     apiUrl,
-    apiKey,
     courseId,
     updateCredentials,
     credentialsMissing,
-    isAuthenticated: !credentialsMissing()
+    isAuthenticated,
+    sessionUser,
+    sessionLoading,
+    authMode,
+    oauthEnabled,
+    login,
+    loginWithOAuth,
+    logout
   };
 }
\ No newline at end of file
@@ -2,33 +2,78 @@
  * useCanvasCache - Custom hook for Canvas data caching
  * 
  * Provides cache management, refresh logic, and cache status indicators.
- * Integrates with existing cache system from canvasApi.js.
+ * Integrates with existing cache system from canvasApi.js and subscribes to
+ * its data-source events to know where the current data came from.
  */
 
-import { useState } from 'react';
-import { clearCache, getCacheTimestamp } from '../../js/canvasApi';
+import { useEffect, useState } from 'react';
+import { clearCache, getCacheMetadata, onDataSourceEvent, syncCanvasDiscussions } from '../../js/canvasApi';
 
 export function useCanvasCache(courseId) {
   const [dataSource, setDataSource] = useState('');
+  const [dataSourceInfo, setDataSourceInfo] = useState(null);
   const [cacheTimestamp, setCacheTimestamp] = useState(null);
+  const [cacheMeta, setCacheMeta] = useState(null);
+  const [lastSync, setLastSync] = useState(null);
 
-  // Get current cache timestamp
-  const updateCacheTimestamp = () => {
+  // Restore cache metadata and the last sync summary for this course
+  useEffect(() => {
+    setDataSource('');
+    setDataSourceInfo(null);
+    setCacheMeta(null);
+    setLastSync(null);
     if (courseId) {
-      const timestamp = getCacheTimestamp(courseId);
-      setCacheTimestamp(timestamp);
+      updateCacheTimestamp();
     }
+  }, [courseId]);
+
+  // Track where this course's discussion data was loaded from
+  useEffect(() => {
+    if (!courseId) return;
+
+    return onDataSourceEvent(event => {
+      if (String(event.courseId) !== String(courseId)) return;
+
+      setDataSourceInfo(event);
+      if (event.source === 'cache') {
+        setDataSource('cached');
+        setCacheTimestamp(event.timestamp);
+      } else {
+        setDataSource('fresh');
+        setCacheTimestamp(null);
+      }
+    });
+  }, [courseId]);
+
+  // Read current cache metadata (timestamp, topic/post counts, last sync)
+  const updateCacheTimestamp = async () => {
+    if (!courseId) return null;
+    const meta = await getCacheMetadata(courseId);
+    setCacheMeta(meta);
+    setCacheTimestamp(meta ? meta.timestamp : null);
+    setLastSync(meta ? meta.lastSync : null);
+    return meta;
   };
 
   // Clear cache and reset state
-  const handleClearCache = () => {
+  const handleClearCache = async () => {
     if (courseId) {
-      clearCache(courseId);
+      await clearCache(courseId);
       setDataSource('');
+      setDataSourceInfo(null);
       setCacheTimestamp(null);
+      setCacheMeta(null);
+      setLastSync(null);
     }
   };
 
+  // Refetch only topics that changed since the last sync
+  const handleSync = async ({ apiUrl }) => {
+    const result = await syncCanvasDiscussions({ apiUrl, courseId });
+    await updateCacheTimestamp();
+    return result;
+  };
+
   // Mark data as fresh
   const markDataFresh = () => {
     setDataSource('fresh');
@@ -41,37 +86,18 @@ export function useCanvasCache(courseId) {
     updateCacheTimestamp();
   };
 
-  // Setup console listener for cache detection
-  const setupCacheListener = (callback) => {
-    const existingTimestamp = getCacheTimestamp(courseId);
-    setCacheTimestamp(existingTimestamp);
-    
-    const originalLog = console.log;
-    console.log = function(...args) {
-      if (args[0] === '✓ Using cached discussion data') {
-        setDataSource('cached');
-        setCacheTimestamp(existingTimestamp);
-      } else if (args[0] === '→ Fetching fresh discussion data from Canvas API') {
-        setDataSource('fresh');
-        setCacheTimestamp(null);
-      }
-      originalLog.apply(console, args);
-    };
-    
-    return () => {
-      console.log = originalLog;
-    };
-  };
-
   return {
     dataSource,
+    dataSourceInfo,
     cacheTimestamp,
+    cacheMeta,
     updateCacheTimestamp,
     handleClearCache,
+    handleSync,
+    lastSync,
     markDataFresh,
     markDataCached,
-    setupCacheListener,
     isCached: dataSource === 'cached',
     isFresh: dataSource === 'fresh'
   };
-}
\ No newline at end of file
+}
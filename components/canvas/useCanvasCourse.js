@@ -3,9 +3,11 @@
  * 
  * Provides course information, loading states, and error handling.
  * Integrates with CanvasProvider for centralized course management.
+ * Also exposes the course list and switcher, and builds course-scoped links.
  */
 
 import { useCanvas } from './CanvasProvider';
+import { coursePath } from '../../js/courseRoutes';
 
 export function useCanvasCourse() {
   const { 
@@ -13,7 +15,10 @@ export function useCanvasCourse() {
     courseLoading, 
     courseError, 
     makeCanvasRequest,
-    courseId 
+    courseId,
+    courses,
+    coursesLoading,
+    switchCourse
   } = useCanvas();
 
   const fetchCourseData = async () => {
@@ -24,11 +29,18 @@ export function useCanvasCourse() {
     return makeCanvasRequest(`/courses/${courseId}`);
   };
 
+  // Link to a page of the current course, e.g. courseHref('/feedback')
+  const courseHref = (path = '/') => coursePath(courseId, path);
+
   return {
     courseName,
     courseLoading,
     courseError,
     courseId,
+    courses,
+    coursesLoading,
+    switchCourse,
+    courseHref,
     fetchCourseData
   };
 }
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * useSectionFilter - Custom hook for the course section filter
+ * 
+ * Provides the current course's sections, the sections chosen in the Header
+ * and the matching user IDs. Pages pass sectionUserIds to the helpers in
+ * js/sectionFilter.js (null means every section is shown).
+ */
+
+import { useCanvas } from './CanvasProvider';
+
+export function useSectionFilter() {
+  const {
+    sections,
+    selectedSectionIds,
+    updateSectionFilter,
+    sectionUserIds
+  } = useCanvas();
+
+  return {
+    sections,
+    selectedSectionIds,
+    updateSectionFilter,
+    sectionUserIds,
+    isSectionFiltered: sectionUserIds !== null
+  };
+}
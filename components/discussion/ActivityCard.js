@@ -6,11 +6,14 @@
  */
 
 import Link from 'next/link';
+import { useCanvasCourse } from '../canvas/useCanvasCourse';
 
 export default function ActivityCard({ activity, enhancedData = null, className = '' }) {
+  const { courseHref } = useCanvasCourse();
+
   return (
     <Link
-      href={`/user/${encodeURIComponent(activity.userName)}`}
+      href={courseHref(`/user/${activity.userId}`)}
       className={`block rounded-lg p-4 transition-colors duration-150 border ${className}`}
       style={{
         backgroundColor: 'var(--color-base-100)',
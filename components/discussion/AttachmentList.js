@@ -0,0 +1,57 @@
+/**
+ * AttachmentList Component - Files attached to a discussion post
+ *
+ * Lists each attachment with its file type and size. Links go through
+ * /api/canvas-file so they open with the session's Canvas token.
+ * Renders nothing for posts without attachments.
+ */
+
+import {
+  getPostAttachments,
+  formatFileSize,
+  getFileTypeLabel,
+  getAttachmentDownloadUrl
+} from '../../js/attachments';
+
+const TYPE_ICONS = {
+  PDF: 'fa-file-pdf',
+  Word: 'fa-file-word',
+  PowerPoint: 'fa-file-powerpoint',
+  Excel: 'fa-file-excel',
+  ZIP: 'fa-file-zipper',
+  Video: 'fa-file-video',
+  Audio: 'fa-file-audio',
+  Image: 'fa-file-image',
+  Text: 'fa-file-lines'
+};
+
+export default function AttachmentList({ post, className = '' }) {
+  const attachments = getPostAttachments(post);
+  if (attachments.length === 0) return null;
+
+  return (
+    <ul className={`space-y-1 ${className}`} aria-label="Attachments">
+      {attachments.map(attachment => {
+        const typeLabel = getFileTypeLabel(attachment);
+        const size = formatFileSize(attachment.size);
+        return (
+          <li key={attachment.id} className="flex items-center gap-2 text-sm">
+            <i className={`fas ${TYPE_ICONS[typeLabel] || 'fa-file'} text-gray-500`} aria-hidden="true"></i>
+            <a
+              href={getAttachmentDownloadUrl(attachment)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="underline break-all"
+              style={{ color: 'var(--color-primary)' }}
+            >
+              {attachment.name}
+            </a>
+            <span className="text-xs text-gray-500">
+              {typeLabel}{size ? ` · ${size}` : ''}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,261 @@
+/**
+ * BulkGradePanel Component - Grade several students of a topic at once
+ *
+ * Used in the "Needs Feedback" tab of TabbedTopicCard for completion-style
+ * reflections. Facilitators tick students, pick full points (Complete for
+ * complete/incomplete assignments) or a custom grade, add an optional shared
+ * comment, and the grades are applied with bulkUpdateGrades(). Results are
+ * listed per student once Canvas finishes the job.
+ *
+ * Comments from the comment bank are inserted as templates and their
+ * variables filled separately for each student when the grades are sent.
+ */
+
+import { useEffect, useState } from 'react';
+import { useCanvasAuth } from '../canvas/useCanvasAuth';
+import { canvasProxy } from '../../js/canvasApi';
+import { bulkUpdateGrades } from '../../js/grading';
+import { buildTemplateValues, fillCommentTemplate } from '../../js/commentTemplates';
+import CommentBankPicker from './CommentBankPicker';
+
+// The grade "full points" stands for under each grading type
+function getFullGrade(assignment) {
+  if (!assignment) return '';
+  if (assignment.grading_type === 'pass_fail') return 'complete';
+  if (assignment.grading_type === 'percent') return '100%';
+  return String(assignment.points_possible ?? '');
+}
+
+export default function BulkGradePanel({ topic, students, onGraded, onClose }) {
+  const { apiUrl, courseId } = useCanvasAuth();
+  const [assignment, setAssignment] = useState(null);
+  const [selected, setSelected] = useState(() => new Set());
+  const [mode, setMode] = useState('full');
+  const [customGrade, setCustomGrade] = useState('');
+  const [comment, setComment] = useState('');
+  const [status, setStatus] = useState('');
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    canvasProxy({ endpoint: `/courses/${courseId}/assignments/${topic.assignment_id}` })
+      .then(data => {
+        if (!cancelled) setAssignment(data);
+      })
+      .catch(e => {
+        if (!cancelled) setError(`Could not load the assignment: ${e.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [courseId, topic.assignment_id]);
+
+  const fullGrade = getFullGrade(assignment);
+  const grade = mode === 'full' ? fullGrade : customGrade;
+  const namesById = new Map(students.map(student => [String(student.userId), student.name]));
+
+  function toggle(userId) {
+    setSelected(current => {
+      const next = new Set(current);
+      if (next.has(userId)) {
+        next.delete(userId);
+      } else {
+        next.add(userId);
+      }
+      return next;
+    });
+  }
+
+  function toggleAll() {
+    setSelected(current =>
+      current.size === students.length ? new Set() : new Set(students.map(student => String(student.userId)))
+    );
+  }
+
+  async function handleApply() {
+    if (selected.size === 0 || !String(grade).trim()) return;
+    if (!window.confirm(`Give ${selected.size} student${selected.size === 1 ? '' : 's'} the grade "${grade}" in Canvas?`)) {
+      return;
+    }
+
+    setRunning(true);
+    setError('');
+    setResults(null);
+    setStatus('Sending grades to Canvas…');
+    try {
+      const outcome = await bulkUpdateGrades({
+        apiUrl,
+        courseId,
+        assignmentId: topic.assignment_id,
+        userIds: Array.from(selected),
+        grade,
+        comment: userId =>
+          fillCommentTemplate(comment, buildTemplateValues({
+            studentName: namesById.get(userId),
+            topicTitle: topic.title,
+            facilitatorName: localStorage.getItem('facilitator_name') || ''
+          })),
+        onProgress: progress => setStatus(`Canvas is applying grades (${Math.round(progress.completion || 0)}%)…`)
+      });
+      // Graded students leave the list once the dashboard reloads, so keep their names
+      setResults(outcome.map(result => ({ ...result, name: namesById.get(result.userId) })));
+      setSelected(new Set(outcome.filter(result => !result.ok).map(result => result.userId)));
+      onGraded?.(outcome);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setRunning(false);
+      setStatus('');
+    }
+  }
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent';
+
+  return (
+    <div className="mb-4 p-4 border border-gray-200 bg-gray-50" style={{ borderRadius: 'var(--radius-field)' }}>
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="font-semibold text-gray-800">Bulk grade</h4>
+        <button type="button" onClick={onClose} disabled={running} className="text-sm text-gray-600 hover:text-gray-800">
+          Close
+        </button>
+      </div>
+
+      {students.length === 0 ? (
+        <p className="text-sm text-gray-500">Nobody is waiting for a grade.</p>
+      ) : (
+        <>
+          <label className="flex items-center gap-2 text-sm font-medium mb-1">
+            <input
+              type="checkbox"
+              checked={selected.size === students.length}
+              onChange={toggleAll}
+              disabled={running}
+            />
+            Select all ({students.length})
+          </label>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-1 max-h-48 overflow-y-auto mb-3">
+            {students.map(student => {
+              const userId = String(student.userId);
+              return (
+                <label key={userId} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(userId)}
+                    onChange={() => toggle(userId)}
+                    disabled={running}
+                  />
+                  {student.name}
+                </label>
+              );
+            })}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 mb-2 text-sm">
+            <label className="flex items-center gap-1">
+              <input
+                type="radio"
+                name={`bulk-grade-${topic.id}`}
+                checked={mode === 'full'}
+                onChange={() => setMode('full')}
+                disabled={running}
+              />
+              Full points{fullGrade ? ` (${fullGrade})` : ''}
+            </label>
+            <label className="flex items-center gap-1">
+              <input
+                type="radio"
+                name={`bulk-grade-${topic.id}`}
+                checked={mode === 'custom'}
+                onChange={() => setMode('custom')}
+                disabled={running}
+              />
+              Grade
+              {assignment?.grading_type === 'pass_fail' ? (
+                <select
+                  value={customGrade}
+                  onChange={e => {
+                    setCustomGrade(e.target.value);
+                    setMode('custom');
+                  }}
+                  className={inputClass}
+                  disabled={running}
+                >
+                  <option value="">—</option>
+                  <option value="complete">Complete</option>
+                  <option value="incomplete">Incomplete</option>
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  value={customGrade}
+                  onChange={e => {
+                    setCustomGrade(e.target.value);
+                    setMode('custom');
+                  }}
+                  className={`${inputClass} w-24`}
+                  style={{ '--tw-ring-color': '#003957' }}
+                  disabled={running}
+                  aria-label="Custom grade"
+                />
+              )}
+            </label>
+          </div>
+          <textarea
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            rows={2}
+            placeholder="Comment for every selected student (optional)"
+            className={`${inputClass} w-full text-sm`}
+            style={{ '--tw-ring-color': '#003957' }}
+            disabled={running}
+          />
+          <CommentBankPicker
+            topicId={topic.id}
+            topicTitle={topic.title}
+            fillVariables={false}
+            onInsert={text => setComment(current => (current ? `${current}\n${text}` : text))}
+          />
+
+          <div className="flex items-center gap-3 mt-2">
+            <button
+              type="button"
+              onClick={handleApply}
+              disabled={running || !assignment || selected.size === 0 || !String(grade).trim()}
+              className="px-3 py-1 text-sm font-medium hover:opacity-90 transition-colors disabled:opacity-50"
+              style={{
+                backgroundColor: 'var(--color-secondary)',
+                color: 'var(--color-secondary-content)',
+                borderRadius: 'var(--radius-field)'
+              }}
+            >
+              {running ? 'Grading…' : `Apply to ${selected.size} selected`}
+            </button>
+            {status && <span className="text-sm text-gray-600">{status}</span>}
+          </div>
+        </>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {results && (
+        <ul className="mt-3 space-y-1 text-sm">
+          {results.map(result => (
+            <li key={result.userId} className="flex items-center gap-2">
+              <i
+                className={`fas ${result.ok ? 'fa-check' : 'fa-xmark'}`}
+                style={{ color: result.ok ? 'var(--color-success-content)' : 'var(--color-error)' }}
+                aria-hidden="true"
+              ></i>
+              <span>{result.name || result.userId}</span>
+              <span className="text-gray-500">
+                {result.ok ? `graded ${result.grade}` : result.error}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+/**
+ * CommentBankPicker Component - Insert a comment from the shared comment bank
+ *
+ * Opens a searchable list of the team's saved comments, with the comments
+ * starred for the current topic first and usage counts so overused comments
+ * stand out. Template variables are filled from the student and topic before
+ * the text is handed to onInsert (unless fillVariables is off, for callers
+ * that fill them per student later). New comments can be added inline.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useQuery, useMutation } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { useCanvasAuth } from '../canvas/useCanvasAuth';
+import { COMMENT_VARIABLES, buildTemplateValues, fillCommentTemplate } from '../../js/commentTemplates';
+
+export default function CommentBankPicker({ studentName, topicId, topicTitle, fillVariables = true, onInsert }) {
+  const { courseId, sessionUser } = useCanvasAuth();
+  const [open, setOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  const [category, setCategory] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [newText, setNewText] = useState('');
+  const [newCategory, setNewCategory] = useState('');
+  const [facilitatorName, setFacilitatorName] = useState('');
+
+  useEffect(() => {
+    setFacilitatorName(localStorage.getItem('facilitator_name') || sessionUser?.name || '');
+  }, [sessionUser]);
+
+  const comments = useQuery(api.commentBank.listComments, open ? {} : 'skip');
+  const favoriteIds = useQuery(
+    api.commentBank.getTopicFavorites,
+    open && courseId && topicId ? { courseId: String(courseId), topicId: String(topicId) } : 'skip'
+  );
+  const addComment = useMutation(api.commentBank.addComment);
+  const deleteComment = useMutation(api.commentBank.deleteComment);
+  const recordCommentUse = useMutation(api.commentBank.recordCommentUse);
+  const toggleTopicFavorite = useMutation(api.commentBank.toggleTopicFavorite);
+
+  const values = buildTemplateValues({ studentName, topicTitle, facilitatorName });
+  const favorites = useMemo(() => new Set(favoriteIds || []), [favoriteIds]);
+  const categories = useMemo(
+    () => Array.from(new Set((comments || []).map(comment => comment.category))).sort(),
+    [comments]
+  );
+
+  // Topic favorites first, then the bank's category order
+  const visibleComments = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return (comments || [])
+      .filter(comment => !category || comment.category === category)
+      .filter(comment => !term || comment.text.toLowerCase().includes(term))
+      .sort((a, b) => Number(favorites.has(b._id)) - Number(favorites.has(a._id)));
+  }, [comments, category, search, favorites]);
+
+  const maxUsage = Math.max(0, ...(comments || []).map(comment => comment.usageCount));
+
+  function handleInsert(comment) {
+    onInsert(fillVariables ? fillCommentTemplate(comment.text, values) : comment.text);
+    recordCommentUse({ commentId: comment._id });
+    setOpen(false);
+  }
+
+  async function handleAdd() {
+    if (!newText.trim()) return;
+    await addComment({ text: newText, category: newCategory, createdBy: facilitatorName || undefined });
+    setNewText('');
+    setAdding(false);
+  }
+
+  function handleDelete(comment) {
+    if (window.confirm('Delete this comment from the shared bank for everyone?')) {
+      deleteComment({ commentId: comment._id });
+    }
+  }
+
+  const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent';
+
+  return (
+    <div className="relative inline-block">
+      <button
+        type="button"
+        onMouseDown={e => e.preventDefault()}
+        onClick={() => setOpen(current => !current)}
+        className="px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 rounded"
+        aria-expanded={open}
+        title="Comment bank"
+      >
+        <i className="fas fa-comment-dots mr-1" aria-hidden="true"></i>
+        Comments
+      </button>
+
+      {open && (
+        <div
+          className="absolute z-20 left-0 mt-1 w-96 max-w-[90vw] bg-white border border-gray-200 shadow-lg p-3"
+          style={{ borderRadius: 'var(--radius-field)' }}
+        >
+          <div className="flex gap-2 mb-2">
+            <input
+              type="search"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              placeholder="Search comments"
+              className={inputClass}
+              style={{ '--tw-ring-color': '#003957' }}
+            />
+            <select
+              value={category}
+              onChange={e => setCategory(e.target.value)}
+              className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+            >
+              <option value="">All</option>
+              {categories.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+
+          {comments === undefined ? (
+            <p className="text-sm text-gray-500">Loading comments...</p>
+          ) : visibleComments.length === 0 ? (
+            <p className="text-sm text-gray-500">No comments yet.</p>
+          ) : (
+            <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+              {visibleComments.map(comment => (
+                <li key={comment._id} className="flex items-start gap-2 py-2">
+                  {topicId && (
+                    <button
+                      type="button"
+                      onClick={() => toggleTopicFavorite({ courseId: String(courseId), topicId: String(topicId), commentId: comment._id })}
+                      title={favorites.has(comment._id) ? 'Unstar for this topic' : 'Star for this topic'}
+                      className="text-sm"
+                      style={{ color: favorites.has(comment._id) ? 'var(--color-warning)' : '#9ca3af' }}
+                    >
+                      <i className={`${favorites.has(comment._id) ? 'fas' : 'far'} fa-star`} aria-hidden="true"></i>
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleInsert(comment)}
+                    className="flex-1 text-left text-sm text-gray-800 hover:underline"
+                  >
+                    {fillVariables ? fillCommentTemplate(comment.text, values) : comment.text}
+                    <span className="block text-xs text-gray-500 mt-0.5">
+                      {comment.category} ·{' '}
+                      <span
+                        className={comment.usageCount > 0 && comment.usageCount === maxUsage ? 'font-semibold' : ''}
+                        style={comment.usageCount > 0 && comment.usageCount === maxUsage ? { color: 'var(--color-error)' } : undefined}
+                      >
+                        used {comment.usageCount}×
+                      </span>
+                    </span>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(comment)}
+                    title="Delete comment"
+                    className="text-sm text-gray-400 hover:text-gray-700"
+                  >
+                    <i className="fas fa-trash" aria-hidden="true"></i>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {adding ? (
+            <div className="mt-2 space-y-2">
+              <textarea
+                value={newText}
+                onChange={e => setNewText(e.target.value)}
+                rows={3}
+                placeholder="Great reflection, {first_name}!"
+                className={inputClass}
+                style={{ '--tw-ring-color': '#003957' }}
+              />
+              <input
+                type="text"
+                value={newCategory}
+                onChange={e => setNewCategory(e.target.value)}
+                list="comment-bank-categories"
+                placeholder="Category (e.g. Encouragement)"
+                className={inputClass}
+                style={{ '--tw-ring-color': '#003957' }}
+              />
+              <datalist id="comment-bank-categories">
+                {categories.map(name => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+              <p className="text-xs text-gray-500">
+                Variables: {COMMENT_VARIABLES.map(variable => `{${variable.name}}`).join(', ')}
+              </p>
+              <div className="flex justify-end gap-2">
+                <button type="button" onClick={() => setAdding(false)} className="px-2 py-1 text-sm text-gray-600">
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleAdd}
+                  className="px-3 py-1 text-sm font-medium hover:opacity-90"
+                  style={{
+                    backgroundColor: 'var(--color-secondary)',
+                    color: 'var(--color-secondary-content)',
+                    borderRadius: 'var(--radius-field)'
+                  }}
+                >
+                  Save Comment
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setAdding(true)}
+              className="mt-2 text-sm font-medium hover:underline"
+              style={{ color: 'var(--color-primary)' }}
+            >
+              + New comment
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+/**
+ * GradePanel Component - Enter a grade and comment for a discussion post
+ *
+ * Shows the current grade against the assignment's points possible and
+ * saves a new grade and/or submission comment with submitGrade(). The input
+ * follows the assignment's grading type (points, complete/incomplete, or a
+ * free-form grade for percentage and letter grading).
+ *
+ * Assignments with a Canvas rubric also show it, prefilled from the
+ * submission's rubric_assessment. When the rubric is used for grading, the
+ * grade follows the rubric total. Submission comments can be picked from
+ * the shared comment bank.
+ */
+
+import { useEffect, useState } from 'react';
+import { useCanvasAuth } from '../canvas/useCanvasAuth';
+import { submitGrade, isSubmissionGraded, getRubricTotal } from '../../js/grading';
+import RubricAssessment from './RubricAssessment';
+import CommentBankPicker from './CommentBankPicker';
+
+export default function GradePanel({ assignment, studentId, studentName, topicId, topicTitle, submission, onGraded }) {
+  const { apiUrl, courseId } = useCanvasAuth();
+  const [grade, setGrade] = useState('');
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+  const [rubricAssessment, setRubricAssessment] = useState({});
+
+  useEffect(() => {
+    setGrade(submission?.entered_grade ?? submission?.grade ?? '');
+    setRubricAssessment(submission?.rubric_assessment || {});
+  }, [submission]);
+
+  if (!assignment || assignment.grading_type === 'not_graded') return null;
+
+  const pointsPossible = assignment.points_possible;
+  const graded = isSubmissionGraded(submission);
+  const hasRubric = Array.isArray(assignment.rubric) && assignment.rubric.length > 0;
+
+  function handleRubricChange(assessment) {
+    setRubricAssessment(assessment);
+    if (assignment.use_rubric_for_grading) {
+      setGrade(String(getRubricTotal(assessment)));
+    }
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    setError('');
+    try {
+      const updated = await submitGrade({
+        apiUrl,
+        courseId,
+        assignmentId: assignment.id,
+        userId: studentId,
+        grade: grade === (submission?.entered_grade ?? submission?.grade ?? '') ? '' : grade,
+        comment,
+        rubricAssessment: hasRubric ? rubricAssessment : null
+      });
+      setComment('');
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+      onGraded?.(updated);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent';
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 bg-gray-50" style={{ borderRadius: 'var(--radius-field)' }}>
+      {hasRubric && (
+        <RubricAssessment
+          rubric={assignment.rubric}
+          settings={assignment.rubric_settings}
+          value={rubricAssessment}
+          onChange={handleRubricChange}
+          disabled={saving}
+        />
+      )}
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        <span className="font-medium text-gray-700">Grade</span>
+        {assignment.grading_type === 'pass_fail' ? (
+          <select
+            value={grade}
+            onChange={e => setGrade(e.target.value)}
+            className={inputClass}
+            disabled={saving}
+          >
+            <option value="">—</option>
+            <option value="complete">Complete</option>
+            <option value="incomplete">Incomplete</option>
+          </select>
+        ) : (
+          <input
+            type={assignment.grading_type === 'points' ? 'number' : 'text'}
+            min={assignment.grading_type === 'points' ? 0 : undefined}
+            step="any"
+            value={grade}
+            onChange={e => setGrade(e.target.value)}
+            className={`${inputClass} w-24`}
+            style={{ '--tw-ring-color': '#003957' }}
+            disabled={saving}
+            aria-label="Grade"
+          />
+        )}
+        {assignment.grading_type === 'points' && pointsPossible !== undefined && pointsPossible !== null && (
+          <span className="text-gray-500">/ {pointsPossible}</span>
+        )}
+        <span
+          className="text-xs px-2 py-0.5"
+          style={{
+            backgroundColor: graded ? 'var(--color-success)' : 'var(--color-error)',
+            color: graded ? 'var(--color-success-content)' : 'var(--color-error-content)',
+            borderRadius: 'var(--radius-field)'
+          }}
+        >
+          {graded ? 'Graded' : 'Needs Grading'}
+        </span>
+      </div>
+      <textarea
+        value={comment}
+        onChange={e => setComment(e.target.value)}
+        rows={2}
+        placeholder="Submission comment (optional)"
+        className={`${inputClass} w-full text-sm`}
+        style={{ '--tw-ring-color': '#003957' }}
+        disabled={saving}
+      />
+      <CommentBankPicker
+        studentName={studentName}
+        topicId={topicId}
+        topicTitle={topicTitle}
+        onInsert={text => setComment(current => (current ? `${current}\n${text}` : text))}
+      />
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+      <div className="flex items-center gap-3 mt-2">
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="px-3 py-1 text-sm font-medium hover:opacity-90 transition-colors disabled:opacity-50"
+          style={{
+            backgroundColor: 'var(--color-secondary)',
+            color: 'var(--color-secondary-content)',
+            borderRadius: 'var(--radius-field)'
+          }}
+        >
+          {saving ? 'Saving…' : 'Save Grade'}
+        </button>
+        {saved && (
+          <span className="text-sm font-medium" style={{ color: 'var(--color-success-content)' }}>
+            Saved to Canvas
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
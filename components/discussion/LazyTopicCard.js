@@ -7,8 +7,11 @@
 
 import { useState } from 'react';
 import Link from 'next/link';
+import { useCanvasCourse } from '../canvas/useCanvasCourse';
 
 export default function LazyTopicCard({ topic, className = '', onLoadGradingStatus }) {
+  const { courseHref } = useCanvasCourse();
+
   const [gradingStatusLoaded, setGradingStatusLoaded] = useState(false);
   const [loading, setLoading] = useState(false);
 
@@ -99,10 +102,10 @@ export default function LazyTopicCard({ topic, className = '', onLoadGradingStat
                 Students needing grades ({topic.studentsNeedingGrades.length}):
               </h4>
               <div className="flex flex-wrap gap-2">
-                {topic.studentsNeedingGrades.map(studentName => (
+                {(topic.studentsNeedingGradesDetailed || []).map(student => (
                   <Link
-                    key={studentName}
-                    href={`/user/${encodeURIComponent(studentName)}`}
+                    key={student.userId}
+                    href={courseHref(`/user/${student.userId}`)}
                     className="inline-block px-3 py-1 text-sm transition-colors hover:opacity-80"
                     style={{
                       backgroundColor: 'var(--color-error)',
@@ -110,7 +113,7 @@ export default function LazyTopicCard({ topic, className = '', onLoadGradingStat
                       borderRadius: 'var(--radius-selector)'
                     }}
                   >
-                    {studentName}
+                    {student.name}
                   </Link>
                 ))}
               </div>
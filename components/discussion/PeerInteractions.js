@@ -0,0 +1,105 @@
+/**
+ * PeerInteractions Component - Who a student replied to, and who replied to them
+ *
+ * Shown on the user page above the student's threads. Per topic it counts
+ * the replies the student gave classmates, the replies classmates gave the
+ * student and the replies from teachers, naming the classmates involved.
+ * Counts are built with the processed dashboard data, so the roster already
+ * loaded for the dashboards is reused rather than fetched again.
+ */
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useCanvasAuth } from '../canvas/useCanvasAuth';
+import { useCanvasCourse } from '../canvas/useCanvasCourse';
+import { processCanvasDataForDashboards } from '../../js/gradingDataProcessor';
+import { getStudentInteractions } from '../../js/peerInteractions';
+
+// "Ada (2), Grace" for the classmates with a count in one direction
+function PeerList({ peers, field }) {
+  const { courseHref } = useCanvasCourse();
+  const entries = Object.entries(peers).filter(([, peer]) => peer[field] > 0);
+  if (entries.length === 0) return <span className="text-gray-400">—</span>;
+
+  return entries.map(([peerId, peer], index) => (
+    <span key={peerId}>
+      {index > 0 && ', '}
+      <Link href={courseHref(`/user/${peerId}`)} className="hover:underline" style={{ color: 'var(--color-primary)' }}>
+        {peer.name}
+      </Link>
+      {peer[field] > 1 && ` (${peer[field]})`}
+    </span>
+  ));
+}
+
+export default function PeerInteractions({ studentId, refreshKey = 0 }) {
+  const { apiUrl, courseId } = useCanvasAuth();
+  const [interactions, setInteractions] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!studentId || !courseId) return;
+    let cancelled = false;
+    setError('');
+    processCanvasDataForDashboards({ apiUrl, courseId })
+      .then(data => {
+        if (!cancelled) setInteractions(getStudentInteractions(data.peerInteractions, studentId));
+      })
+      .catch(e => {
+        if (!cancelled) setError(`Could not load peer interactions: ${e.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, courseId, studentId, refreshKey]);
+
+  if (error) return <p className="mb-6 text-sm text-red-600">{error}</p>;
+  if (!interactions) return null;
+
+  const topics = Object.values(interactions.topics).sort((a, b) => (a.topicTitle || '').localeCompare(b.topicTitle || ''));
+  const { totals } = interactions;
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-2xl font-semibold mb-2" style={{ color: 'var(--color-primary)' }}>
+        Peer Interactions
+      </h2>
+      <p className="text-sm text-gray-600 mb-3">
+        {totals.givenToPeers} replies to classmates • {totals.receivedFromPeers} from classmates •{' '}
+        {totals.fromTeachers} from teachers
+      </p>
+      {topics.length === 0 ? (
+        <p className="text-sm text-gray-500">No replies to or from this student yet.</p>
+      ) : (
+        <div className="overflow-x-auto border border-gray-200" style={{ borderRadius: 'var(--radius-field)' }}>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 px-2 font-medium">Topic</th>
+                <th className="py-1 px-2 font-medium">Replied to</th>
+                <th className="py-1 px-2 font-medium">Replies from classmates</th>
+                <th className="py-1 px-2 font-medium text-center">From teachers</th>
+              </tr>
+            </thead>
+            <tbody>
+              {topics.map(topic => (
+                <tr key={topic.topicId} className="border-t border-gray-200 align-top">
+                  <td className="py-1 px-2">{topic.topicTitle}</td>
+                  <td className="py-1 px-2">
+                    <span className="font-medium mr-1">{topic.givenToPeers}</span>
+                    <PeerList peers={topic.peers} field="given" />
+                  </td>
+                  <td className="py-1 px-2">
+                    <span className="font-medium mr-1">{topic.receivedFromPeers}</span>
+                    <PeerList peers={topic.peers} field="received" />
+                  </td>
+                  <td className="py-1 px-2 text-center">{topic.fromTeachers}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
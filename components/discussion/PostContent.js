@@ -0,0 +1,99 @@
+/**
+ * PostContent Component - A discussion post's message with its embedded media
+ *
+ * Renders the sanitized post HTML, followed by a player or card for each
+ * recognized video or recording (see js/postMedia.js). Players are built
+ * from validated IDs on allowlisted hosts and only load when clicked, so a
+ * page of posts doesn't start dozens of third-party iframes.
+ */
+
+import { useMemo, useState } from 'react';
+import DOMPurify from 'dompurify';
+import { useCanvasAuth } from '../canvas/useCanvasAuth';
+import { extractPostMedia, getMediaProviderLabel, getCanvasOrigin } from '../../js/postMedia';
+
+function MediaEmbed({ item }) {
+  const [playing, setPlaying] = useState(false);
+  const label = getMediaProviderLabel(item);
+  const title = `${label} ${item.kind === 'audio' ? 'recording' : 'video'}`;
+
+  if (playing && item.embedUrl) {
+    return (
+      <div className={item.kind === 'audio' ? 'w-full max-w-xl' : 'w-full max-w-xl aspect-video'}>
+        <iframe
+          src={item.embedUrl}
+          title={title}
+          className={`w-full ${item.kind === 'audio' ? 'h-24' : 'h-full'} border-0`}
+          style={{ borderRadius: 'var(--radius-field)' }}
+          sandbox="allow-scripts allow-same-origin allow-presentation allow-popups"
+          allow="fullscreen; picture-in-picture"
+          referrerPolicy="strict-origin-when-cross-origin"
+          allowFullScreen
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="flex items-center gap-3 w-full max-w-xl p-2 border border-gray-200 bg-gray-50"
+      style={{ borderRadius: 'var(--radius-field)' }}
+    >
+      {item.embedUrl ? (
+        <button
+          type="button"
+          onClick={() => setPlaying(true)}
+          className="relative flex items-center justify-center w-32 h-20 shrink-0 bg-gray-800 bg-cover bg-center text-white hover:opacity-90"
+          style={{
+            borderRadius: 'var(--radius-field)',
+            backgroundImage: item.thumbnailUrl ? `url(${item.thumbnailUrl})` : undefined
+          }}
+          aria-label={`Play ${title}`}
+        >
+          <i className="fas fa-play text-xl drop-shadow" aria-hidden="true"></i>
+        </button>
+      ) : (
+        <div
+          className="flex items-center justify-center w-32 h-20 shrink-0 bg-gray-800 text-white"
+          style={{ borderRadius: 'var(--radius-field)' }}
+        >
+          <i className="fas fa-film text-xl" aria-hidden="true"></i>
+        </div>
+      )}
+      <div className="text-sm min-w-0">
+        <div className="font-medium text-gray-800">{title}</div>
+        <a
+          href={item.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="underline break-all"
+          style={{ color: 'var(--color-primary)' }}
+        >
+          Open in {label}
+        </a>
+      </div>
+    </div>
+  );
+}
+
+export default function PostContent({ html, className = '' }) {
+  const { apiUrl } = useCanvasAuth();
+
+  const { text, media } = useMemo(() => {
+    const extracted = extractPostMedia(html, getCanvasOrigin(apiUrl));
+    return { text: DOMPurify.sanitize(extracted.html), media: extracted.media };
+  }, [html, apiUrl]);
+
+  return (
+    <>
+      <div className={className} dangerouslySetInnerHTML={{ __html: text }} />
+      {media.length > 0 && (
+        <div className="space-y-2 my-2">
+          {media.map(item => (
+            <MediaEmbed key={`${item.provider}:${item.id}`} item={item} />
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,151 @@
+/**
+ * ReplyComposer Component - Answer a discussion post without leaving the app
+ *
+ * A small rich text editor (bold, italic, lists, links) whose HTML is reduced
+ * to the tags Canvas' own editor produces before it is posted. The reply is
+ * sent with postDiscussionReply(), which also adds it to the local cache.
+ * Saved comments from the comment bank are inserted at the cursor.
+ */
+
+import { useRef, useState } from 'react';
+import DOMPurify from 'dompurify';
+import { useCanvasAuth } from '../canvas/useCanvasAuth';
+import { postDiscussionReply } from '../../js/canvasApi';
+import CommentBankPicker from './CommentBankPicker';
+
+const CANVAS_SAFE_HTML = {
+  ALLOWED_TAGS: ['p', 'div', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li', 'a', 'blockquote'],
+  ALLOWED_ATTR: ['href']
+};
+
+// Editor HTML to the subset Canvas accepts, with empty paragraphs trimmed
+function toCanvasHtml(html) {
+  return DOMPurify.sanitize(html, CANVAS_SAFE_HTML)
+    .replace(/(<(p|div)>(\s|&nbsp;|<br>)*<\/\2>)+$/g, '')
+    .trim();
+}
+
+const TOOLBAR = [
+  { command: 'bold', icon: 'fa-bold', label: 'Bold' },
+  { command: 'italic', icon: 'fa-italic', label: 'Italic' },
+  { command: 'insertUnorderedList', icon: 'fa-list-ul', label: 'Bulleted list' },
+  { command: 'insertOrderedList', icon: 'fa-list-ol', label: 'Numbered list' },
+  { command: 'createLink', icon: 'fa-link', label: 'Link' }
+];
+
+export default function ReplyComposer({ parent, onPosted, onCancel }) {
+  const { apiUrl, courseId, sessionUser } = useCanvasAuth();
+  const editorRef = useRef(null);
+  const selectionRef = useRef(null); // Cursor position while the comment bank has focus
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  function runCommand(command) {
+    editorRef.current?.focus();
+    if (command === 'createLink') {
+      const url = window.prompt('Link URL');
+      if (!url || !/^https?:\/\//i.test(url)) return;
+      document.execCommand(command, false, url);
+      return;
+    }
+    document.execCommand(command);
+  }
+
+  function saveSelection() {
+    const selection = window.getSelection();
+    if (selection.rangeCount > 0 && editorRef.current?.contains(selection.anchorNode)) {
+      selectionRef.current = selection.getRangeAt(0);
+    }
+  }
+
+  function insertComment(text) {
+    editorRef.current?.focus();
+    if (selectionRef.current) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(selectionRef.current);
+    }
+    document.execCommand('insertText', false, text);
+  }
+
+  async function handleSend() {
+    const message = toCanvasHtml(editorRef.current?.innerHTML || '');
+    if (!message.replace(/<[^>]*>|&nbsp;/g, '').trim()) {
+      setError('Write a reply first.');
+      return;
+    }
+
+    setSending(true);
+    setError('');
+    try {
+      const reply = await postDiscussionReply({ apiUrl, courseId, parent, message, author: sessionUser });
+      editorRef.current.innerHTML = '';
+      onPosted?.(reply);
+    } catch (e) {
+      setError(`Could not post reply: ${e.message}`);
+    } finally {
+      setSending(false);
+    }
+  }
+
+  return (
+    <div className="mt-3 border border-gray-200 bg-white" style={{ borderRadius: 'var(--radius-field)' }}>
+      <div className="flex gap-1 px-2 py-1 border-b border-gray-200">
+        {TOOLBAR.map(({ command, icon, label }) => (
+          <button
+            key={command}
+            type="button"
+            title={label}
+            aria-label={label}
+            onMouseDown={e => e.preventDefault()}
+            onClick={() => runCommand(command)}
+            className="px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 rounded"
+          >
+            <i className={`fas ${icon}`} aria-hidden="true"></i>
+          </button>
+        ))}
+        <CommentBankPicker
+          studentName={parent.user?.display_name || parent.user_name}
+          topicId={parent.discussion_topic_id}
+          topicTitle={parent.topic_title}
+          onInsert={insertComment}
+        />
+      </div>
+      <div
+        ref={editorRef}
+        contentEditable={!sending}
+        suppressContentEditableWarning
+        role="textbox"
+        aria-multiline="true"
+        aria-label={`Reply to ${parent.user?.display_name || parent.user_name || 'post'}`}
+        onFocus={() => document.execCommand('defaultParagraphSeparator', false, 'p')}
+        onBlur={saveSelection}
+        className="prose max-w-none min-h-[6rem] px-3 py-2 focus:outline-none"
+      />
+      {error && <p className="px-3 pb-2 text-sm text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2 px-3 py-2 border-t border-gray-200">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={sending}
+          className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSend}
+          disabled={sending}
+          className="px-3 py-1 text-sm font-medium hover:opacity-90 transition-colors disabled:opacity-50"
+          style={{
+            backgroundColor: 'var(--color-secondary)',
+            color: 'var(--color-secondary-content)',
+            borderRadius: 'var(--radius-field)'
+          }}
+        >
+          {sending ? 'Posting…' : 'Post Reply'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+/**
+ * RubricAssessment Component - Rate a submission against its Canvas rubric
+ *
+ * Lists each criterion with its ratings as selectable buttons and a comment
+ * field. The value is a Canvas rubric_assessment object keyed by criterion
+ * ID ({ points, rating_id, comments }), so it can be prefilled from the
+ * submission and sent back unchanged.
+ */
+
+import { getRubricTotal } from '../../js/grading';
+
+export default function RubricAssessment({ rubric, settings = {}, value, onChange, disabled = false }) {
+  if (!Array.isArray(rubric) || rubric.length === 0) return null;
+
+  function update(criterionId, fields) {
+    onChange({ ...value, [criterionId]: { ...value[criterionId], ...fields } });
+  }
+
+  return (
+    <div className="mb-3">
+      <div className="text-sm font-medium text-gray-700 mb-1">
+        Rubric{settings.title ? `: ${settings.title}` : ''}
+      </div>
+      <div className="divide-y divide-gray-200 border border-gray-200 bg-white" style={{ borderRadius: 'var(--radius-field)' }}>
+        {rubric.map(criterion => {
+          const current = value[criterion.id] || {};
+          return (
+            <div key={criterion.id} className="p-2">
+              <div className="flex justify-between gap-2 text-sm">
+                <div>
+                  <span className="font-medium text-gray-800">{criterion.description}</span>
+                  {criterion.long_description && (
+                    <p className="text-xs text-gray-500">{criterion.long_description}</p>
+                  )}
+                </div>
+                <span className="shrink-0 text-gray-500">
+                  {current.points ?? '–'} / {criterion.points}
+                </span>
+              </div>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {(criterion.ratings || []).map(rating => {
+                  const selected = current.rating_id === rating.id;
+                  return (
+                    <button
+                      key={rating.id}
+                      type="button"
+                      disabled={disabled}
+                      onClick={() => update(criterion.id, { rating_id: rating.id, points: rating.points })}
+                      title={rating.long_description || rating.description}
+                      aria-pressed={selected}
+                      className="px-2 py-1 text-xs border transition-colors disabled:opacity-50"
+                      style={{
+                        borderRadius: 'var(--radius-field)',
+                        borderColor: selected ? 'var(--color-primary)' : '#d1d5db',
+                        backgroundColor: selected ? 'var(--color-primary)' : 'white',
+                        color: selected ? 'var(--color-primary-content)' : '#374151'
+                      }}
+                    >
+                      {rating.description} ({rating.points})
+                    </button>
+                  );
+                })}
+              </div>
+              <input
+                type="text"
+                value={current.comments || ''}
+                onChange={e => update(criterion.id, { comments: e.target.value })}
+                disabled={disabled}
+                placeholder="Criterion comment (optional)"
+                className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent"
+                style={{ '--tw-ring-color': '#003957' }}
+              />
+            </div>
+          );
+        })}
+      </div>
+      {!settings.hide_score_total && (
+        <div className="text-sm text-gray-600 mt-1 text-right">
+          Rubric total: {getRubricTotal(value)}
+          {settings.points_possible !== undefined ? ` / ${settings.points_possible}` : ''}
+        </div>
+      )}
+    </div>
+  );
+}
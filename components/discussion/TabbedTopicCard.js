@@ -2,16 +2,29 @@
  * TabbedTopicCard Component - Accessible tabbed interface for grading dashboard
  *
  * Displays discussion topics with tabbed view:
- * - Tab 1: Students needing grades (red styling + pencil icon)
+ * - Tab 1: Students needing grades (red styling + pencil icon), with a
+ *   bulk grading panel for completion-style assignments
  * - Tab 2: All students with status indicators (mixed styling)
+ * - Tab 3: Students with no initial post after their due date
+ * - Tab 4 (topics with requirements): every enrolled student's requirement result
+ * Late posts and discussion requirement results are marked on each badge.
  */
 
 import { useState } from "react";
 import TabContainer from "../ui/TabContainer";
 import { StudentBadgeList } from "../ui/StudentBadge";
+import BulkGradePanel from "./BulkGradePanel";
+import { TIMING_LATE } from "../../js/lateness";
+import {
+  REQUIREMENT_MET,
+  REQUIREMENT_NOT_MET,
+  REQUIREMENT_PARTIAL,
+  describeRequirement,
+} from "../../js/requirements";
 
-export default function TabbedTopicCard({ topic, className = "" }) {
+export default function TabbedTopicCard({ topic, onGraded, className = "" }) {
   const [activeTabIndex, setActiveTabIndex] = useState(0);
+  const [bulkGrading, setBulkGrading] = useState(false);
 
   // Prepare tab data
   const needsGradingCount = topic.studentsNeedingGrades?.length || 0;
@@ -23,21 +36,51 @@ export default function TabbedTopicCard({ topic, className = "" }) {
     .filter((student) => !student.isGraded)
     .map((student) => {
       return {
+        userId: student.userId,
         name: student.name,
         claimStatus: student.claimStatus,
         isGraded: false,
         postDate: student.postDate,
         teacherFeedback: student.teacherFeedback,
+        timing: student.timing,
+        requirementCheck: student.requirementCheck,
       };
     });
   console.log(topic.allStudentsWithStatus);
   const allStudents = (topic.allStudentsWithStatus || []).map((student) => ({
+    userId: student.userId,
     name: student.name,
     isGraded: student.isGraded,
     postDate: student.postDate,
     teacherFeedback: student.teacherFeedback,
     claimStatus: student.claimStatus,
+    timing: student.timing,
+    requirementCheck: student.requirementCheck,
   }));
+  const missingStudents = topic.missingStudents || [];
+  const lateCount = (topic.allStudentsWithStatus || []).filter(
+    (student) => student.timing?.status === TIMING_LATE
+  ).length;
+  // Every enrolled student has a requirement result, posted or not
+  const gradedIds = new Set(
+    (topic.allStudentsWithStatus || [])
+      .filter((student) => student.isGraded)
+      .map((student) => String(student.userId))
+  );
+  const requirementStudents = (topic.requirementResults || []).map((result) => ({
+    userId: result.userId,
+    name: result.name,
+    isGraded: gradedIds.has(String(result.userId)),
+    requirementCheck: result.requirementCheck,
+  }));
+  const requirementCounts = (topic.requirementResults || []).reduce(
+    (counts, student) => {
+      const status = student.requirementCheck?.status;
+      if (status) counts[status] = (counts[status] || 0) + 1;
+      return counts;
+    },
+    {}
+  );
 
   // Tab configuration
   const tabs = [
@@ -47,6 +90,26 @@ export default function TabbedTopicCard({ topic, className = "" }) {
       count: needsGradingCount,
       content: (
         <div>
+          {bulkGrading ? (
+            <BulkGradePanel
+              topic={topic}
+              students={needsGradingStudents}
+              onGraded={onGraded}
+              onClose={() => setBulkGrading(false)}
+            />
+          ) : (
+            needsGradingCount > 0 && (
+              <button
+                type="button"
+                onClick={() => setBulkGrading(true)}
+                className="mb-3 text-sm font-medium hover:underline"
+                style={{ color: "var(--color-primary)" }}
+              >
+                <i className="fas fa-list-check mr-1" aria-hidden="true"></i>
+                Bulk grade
+              </button>
+            )
+          )}
           <StudentBadgeList
             students={needsGradingStudents}
             emptyMessage="All students have been graded! 🎉"
@@ -67,7 +130,46 @@ export default function TabbedTopicCard({ topic, className = "" }) {
         </div>
       ),
     },
+    {
+      id: "missing",
+      label: "Missing",
+      count: missingStudents.length,
+      content: (
+        <div>
+          {topic.dueAt && (
+            <p className="mb-3 text-sm text-gray-600">
+              Due {new Date(topic.dueAt).toLocaleString()}; students with a
+              section or individual override are checked against their own
+              due date.
+            </p>
+          )}
+          <StudentBadgeList
+            students={missingStudents}
+            emptyMessage="Every student whose due date has passed has posted."
+          />
+        </div>
+      ),
+    },
   ];
+  if (topic.requirement) {
+    tabs.push({
+      id: "requirements",
+      label: "Requirements",
+      count: requirementStudents.length,
+      content: (
+        <div>
+          <p className="mb-3 text-sm text-gray-600">
+            Every enrolled student, including those who only replied or
+            haven't posted yet.
+          </p>
+          <StudentBadgeList
+            students={requirementStudents}
+            emptyMessage="No enrolled students."
+          />
+        </div>
+      ),
+    });
+  }
 
   const handleTabChange = (index, tab) => {
     setActiveTabIndex(index);
@@ -130,6 +232,22 @@ export default function TabbedTopicCard({ topic, className = "" }) {
             )}
           </h4>
         </div>
+
+        {/* Discussion Requirements (set in Settings) */}
+        {topic.requirement && (
+          <p
+            className="mb-4 text-sm"
+            style={{ color: "var(--color-base-content)" }}
+          >
+            <span className="font-medium">Requirements:</span>{" "}
+            {describeRequirement(topic.requirement)}
+            <span className="ml-2 text-gray-600">
+              ({requirementCounts[REQUIREMENT_MET] || 0} met •{" "}
+              {requirementCounts[REQUIREMENT_PARTIAL] || 0} partially met •{" "}
+              {requirementCounts[REQUIREMENT_NOT_MET] || 0} not met)
+            </span>
+          </p>
+        )}
       </div>
 
       {/* Tabbed Student Interface */}
@@ -169,6 +287,12 @@ export default function TabbedTopicCard({ topic, className = "" }) {
                 <span className="font-medium">
                   {needsGradingCount} pending{" "}
                 </span>
+                <span className="mx-2">•</span>
+                <span className="font-medium">{lateCount} late</span>
+                <span className="mx-2">•</span>
+                <span className="font-medium">
+                  {missingStudents.length} missing
+                </span>
               </span>
             </span>
           </div>
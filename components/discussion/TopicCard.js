@@ -1,13 +1,18 @@
 /**
  * TopicCard Component - Discussion topic display for grading dashboard
  *
- * Shows topic title, teacher feedback stats, and students needing grades.
+ * Shows topic title, teacher feedback stats, students needing grades (with
+ * late posts marked) and students who missed their due date.
  * Used in the feedback page grading dashboard.
  */
 
 import Link from "next/link";
+import { useCanvasCourse } from "../canvas/useCanvasCourse";
+import { TIMING_LATE, getTimingLabel } from "../../js/lateness";
 
 export default function TopicCard({ topic, className = "" }) {
+  const { courseHref } = useCanvasCourse();
+
   console.log("Rendering TopicCard for topic:", topic);
   return (
     <div
@@ -66,17 +71,13 @@ export default function TopicCard({ topic, className = "" }) {
             Students needing grades ({topic.studentsNeedingGrades.length}):
           </h4>
           <div className="flex flex-wrap gap-2">
-            {topic.studentsNeedingGrades.map((studentName) => {
-              // find the student with a claim status from the allStudentsWithStatus array on the topic
-
-              const studentClaimStatus = topic?.allStudentsWithStatus?.find(
-                (s) => s.name === studentName
-              )?.claimStatus;
+            {topic.studentsNeedingGradesDetailed.map((student) => {
+              const studentClaimStatus = student.claimStatus;
 
               return (
                 <Link
-                  key={studentName}
-                  href={`/user/${encodeURIComponent(studentName)}`}
+                  key={student.userId}
+                  href={courseHref(`/user/${student.userId}`)}
                   className="inline-block px-3 py-1 text-sm transition-colors hover:opacity-80"
                   style={{
                     backgroundColor: `${
@@ -100,12 +101,18 @@ export default function TopicCard({ topic, className = "" }) {
                     borderRadius: "var(--radius-selector)",
                   }}
                 >
-                  {studentName}{" "}
+                  {student.name}{" "}
                   <span className="text-xs">
                     {studentClaimStatus?.status
                       ? studentClaimStatus?.status
                       : ""}
                   </span>
+                  {student.timing?.status === TIMING_LATE && (
+                    <span className="text-xs ml-1">
+                      <i className="fas fa-clock mr-1" aria-hidden="true"></i>
+                      {getTimingLabel(student.timing)}
+                    </span>
+                  )}
                 </Link>
               );
             })}
@@ -115,6 +122,35 @@ export default function TopicCard({ topic, className = "" }) {
           </div>
         </div>
       )}
+
+      {/* Students Past Their Due Date Without a Post */}
+      {topic.missingStudents?.length > 0 && (
+        <div className="mb-4">
+          <h4
+            className="text-lg font-medium mb-2"
+            style={{ color: "var(--color-base-content)" }}
+          >
+            Missing initial post ({topic.missingStudents.length}):
+          </h4>
+          <div className="flex flex-wrap gap-2">
+            {topic.missingStudents.map((student) => (
+              <Link
+                key={student.userId}
+                href={courseHref(`/user/${student.userId}`)}
+                className="inline-block px-3 py-1 text-sm border transition-colors hover:opacity-80"
+                style={{
+                  borderColor: "var(--color-error)",
+                  color: "var(--color-error-content)",
+                  borderRadius: "var(--radius-selector)",
+                }}
+                title={`Due ${new Date(student.timing.dueAt).toLocaleString()}`}
+              >
+                {student.name}
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,13 +1,17 @@
 /**
  * UserCard Component - User display for users list page
  * 
- * Shows user avatar, name, post count, and grading status.
+ * Shows user avatar, name, post count, grading status, and the student's
+ * peer interaction counts (user.interactions from js/peerInteractions.js).
  * Used in the users page comprehensive list.
  */
 
 import Link from 'next/link';
+import { useCanvasCourse } from '../canvas/useCanvasCourse';
 
 export default function UserCard({ user, className = '' }) {
+  const { courseHref } = useCanvasCourse();
+
   return (
     <li className={`flex items-center justify-between py-3 ${className}`}>
       <div className="flex items-center gap-3">
@@ -24,7 +28,7 @@ export default function UserCard({ user, className = '' }) {
           </div>
         )}
         <Link 
-          href={`/user/${encodeURIComponent(user.name)}`} 
+          href={courseHref(`/user/${user.studentId}`)} 
           className="text-lg font-semibold hover:underline"
           style={{color: '#003957'}}
         >
@@ -32,12 +36,21 @@ export default function UserCard({ user, className = '' }) {
         </Link>
         <span className="text-gray-500 text-sm">({user.count} posts)</span>
       </div>
-      {user.hasUngraded && (
-        <span title="Needs Feedback" className="flex items-center gap-1 text-red-700 font-semibold">
-          <i className="fas fa-file-circle-exclamation" style={{ color: '#b91c1c', fontSize: 22 }}></i>
-          Needs Grading
-        </span>
-      )}
+      <div className="flex items-center gap-2">
+        {user.hasUngraded && (
+          <span title="Needs Feedback" className="flex items-center gap-1 text-red-700 font-semibold mr-2">
+            <i className="fas fa-file-circle-exclamation" style={{ color: '#b91c1c', fontSize: 22 }}></i>
+            Needs Grading
+          </span>
+        )}
+        {user.interactions && (
+          <>
+            <span className="w-24 text-center" title="Replies given to classmates">{user.interactions.givenToPeers}</span>
+            <span className="w-24 text-center" title="Replies received from classmates">{user.interactions.receivedFromPeers}</span>
+            <span className="w-24 text-center" title="Replies received from teachers">{user.interactions.fromTeachers}</span>
+          </>
+        )}
+      </div>
     </li>
   );
 }
\ No newline at end of file
@@ -1,29 +1,63 @@
 /**
  * Header Component - App branding and course display
- * 
+ *
  * Displays the Canvas Discussion Browser branding and current course name.
- * Integrates with CanvasProvider for course information.
+ * Integrates with CanvasProvider for course information. When the user
+ * teaches more than one course, the course name becomes a switcher. Courses
+ * with several sections also get a section filter.
  */
 
 import { useCanvasCourse } from '../canvas/useCanvasCourse';
+import SectionFilter from './SectionFilter';
 
 export default function Header() {
-  const { courseName } = useCanvasCourse();
+  const { courseName, courseId, courses, switchCourse, courseHref } = useCanvasCourse();
+
+  // Keep the current course selectable even if it isn't in the teaching list
+  const showSwitcher = courses.length > 1 ||
+    (courses.length === 1 && courseId && courses[0].id !== String(courseId));
+  const currentListed = courses.some(course => course.id === String(courseId));
 
   return (
     <div className="flex flex-col">
       {/* Main application title with icon and homepage link */}
       <h1 className="text-2xl font-bold">
-        <a href="/" className="flex items-center hover:text-gray-200 transition-colors">
+        <a href={courseHref('/')} className="flex items-center hover:text-gray-200 transition-colors">
           <i className="fas fa-comments mr-2"></i>Canvas Discussion Browser
         </a>
       </h1>
-      {/* Course name display - stacked below main title */}
-      {courseName && (
+      {/* Course switcher, or the course name when there is nothing to switch to */}
+      {showSwitcher ? (
+        <label className="text-sm text-gray-300 mt-1 flex items-center gap-2">
+          <span className="sr-only">Course</span>
+          <select
+            value={String(courseId || '')}
+            onChange={(e) => switchCourse(e.target.value)}
+            className="text-sm px-2 py-1 max-w-xs"
+            style={{
+              backgroundColor: 'var(--color-primary)',
+              color: 'var(--color-primary-content)',
+              border: '1px solid var(--color-primary-content)',
+              borderRadius: 'var(--radius-field)'
+            }}
+          >
+            {!courseId && <option value="">Select a course…</option>}
+            {courseId && !currentListed && (
+              <option value={String(courseId)}>{courseName || `Course ${courseId}`}</option>
+            )}
+            {courses.map(course => (
+              <option key={course.id} value={course.id}>
+                {course.name}{course.term ? ` (${course.term})` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+      ) : courseName && (
         <p className="text-sm text-gray-300 mt-1">
           {courseName}
         </p>
       )}
+      <SectionFilter />
     </div>
   );
-}
\ No newline at end of file
+}
@@ -3,13 +3,16 @@
  * 
  * Provides consistent navigation across all pages with active state highlighting.
  * Automatically detects current page and applies appropriate styling.
+ * Course pages link to their /courses/[courseId]/… route for the current course.
  */
 
 import { useRouter } from 'next/router';
+import { useCanvasCourse } from '../canvas/useCanvasCourse';
+import { COURSE_ROUTE_PREFIX } from '../../js/courseRoutes';
 
 const navigationItems = [
-  { href: '/', icon: 'fas fa-home', label: 'Home' },
-  { href: '/feedback', icon: 'fas fa-comments', label: 'Feedback' },
+  { href: '/', icon: 'fas fa-home', label: 'Home', courseScoped: true },
+  { href: '/feedback', icon: 'fas fa-comments', label: 'Feedback', courseScoped: true },
   { href: '/settings', icon: 'fas fa-cog', label: 'Settings' },
   { 
     href: 'https://github.com/cdil-bc/Canvas-Discussions-Browser', 
@@ -21,12 +24,15 @@ const navigationItems = [
 
 export default function Navigation() {
   const router = useRouter();
+  const { courseHref } = useCanvasCourse();
   const currentPath = router.pathname;
 
   return (
     <nav className="flex items-center space-x-4 text-sm">
       {navigationItems.map((item) => {
-        const isActive = currentPath === item.href;
+        const scopedPath = `${COURSE_ROUTE_PREFIX}${item.href === '/' ? '' : item.href}`;
+        const isActive = currentPath === item.href || (item.courseScoped && currentPath === scopedPath);
+        const href = item.courseScoped ? courseHref(item.href) : item.href;
 
         if (item.external) {
           return (
@@ -51,7 +57,7 @@ export default function Navigation() {
         return (
           <a
             key={item.href}
-            href={item.href}
+            href={href}
             className={`px-3 py-1 transition-colors uppercase ${isActive ? 'rounded' : ''}`}
             style={isActive ? {
               backgroundColor: 'var(--color-primary-content)',
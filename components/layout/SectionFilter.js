@@ -0,0 +1,71 @@
+/**
+ * SectionFilter Component - Course section picker for the header
+ * 
+ * Lets facilitators narrow every view to one or more course sections.
+ * Hidden when the course has a single section.
+ */
+
+import { useSectionFilter } from '../canvas/useSectionFilter';
+
+export default function SectionFilter() {
+  const { sections, selectedSectionIds, updateSectionFilter } = useSectionFilter();
+
+  if (sections.length < 2) return null;
+
+  const selected = selectedSectionIds.filter(id => sections.some(section => section.id === id));
+  const summary = selected.length === 0
+    ? 'All sections'
+    : selected.length === 1
+      ? sections.find(section => section.id === selected[0]).name
+      : `${selected.length} sections`;
+
+  const toggleSection = (sectionId) => {
+    updateSectionFilter(
+      selected.includes(sectionId)
+        ? selected.filter(id => id !== sectionId)
+        : [...selected, sectionId]
+    );
+  };
+
+  return (
+    <details className="relative text-sm mt-1">
+      <summary
+        className="cursor-pointer px-2 py-1 inline-flex items-center gap-1"
+        style={{
+          border: '1px solid var(--color-primary-content)',
+          borderRadius: 'var(--radius-field)'
+        }}
+      >
+        <i className="fas fa-filter text-xs"></i> {summary}
+      </summary>
+      <div
+        className="absolute z-10 mt-1 p-2 min-w-[14rem] shadow-md"
+        style={{
+          backgroundColor: 'var(--color-base-100)',
+          color: 'var(--color-base-content)',
+          borderRadius: 'var(--radius-box)'
+        }}
+      >
+        {sections.map(section => (
+          <label key={section.id} className="flex items-center gap-2 py-1">
+            <input
+              type="checkbox"
+              checked={selected.includes(section.id)}
+              onChange={() => toggleSection(section.id)}
+            />
+            {section.name}
+          </label>
+        ))}
+        {selected.length > 0 && (
+          <button
+            type="button"
+            className="mt-1 text-xs underline"
+            onClick={() => updateSectionFilter([])}
+          >
+            Show all sections
+          </button>
+        )}
+      </div>
+    </details>
+  );
+}
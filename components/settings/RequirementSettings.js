@@ -0,0 +1,234 @@
+/**
+ * RequirementSettings Component - Per-topic discussion requirements
+ *
+ * Lists the course's graded discussion topics so facilitators can set what
+ * each one asks for: top-level posts, words per post, replies to peers and
+ * an optional date after which posts stop counting. Requirements are saved
+ * in Convex per course, so every facilitator sees the same ones and the
+ * dashboards pick up changes without reprocessing.
+ */
+
+import { useEffect, useState } from "react";
+import { useQuery, useMutation } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import { useCanvasAuth } from "../canvas/useCanvasAuth";
+import { fetchAllPages } from "../../js/canvasApi";
+import {
+  describeRequirement,
+  hasRequirement,
+  indexRequirements,
+  normalizeRequirement,
+  toSavedRequirements,
+} from "../../js/requirements";
+
+const EMPTY_REQUIREMENT = {
+  minTopLevelPosts: "",
+  minWords: "",
+  minPeerReplies: "",
+  dueBy: "",
+};
+
+const COUNT_FIELDS = [
+  { key: "minTopLevelPosts", label: "Posts" },
+  { key: "minWords", label: "Words each" },
+  { key: "minPeerReplies", label: "Peer replies" },
+];
+
+// ISO date to the value a datetime-local input expects, in local time
+function toLocalInput(iso) {
+  if (!iso) return "";
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+}
+
+export default function RequirementSettings() {
+  const { apiUrl, courseId, isAuthenticated } = useCanvasAuth();
+  const [topics, setTopics] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [topicsLoading, setTopicsLoading] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [saveError, setSaveError] = useState("");
+
+  const savedRequirements = useQuery(
+    api.requirements.listRequirements,
+    courseId ? { courseId: String(courseId) } : "skip"
+  );
+  const saveRequirements = useMutation(api.requirements.saveRequirements);
+
+  // Load the saved requirements for the current course (again when another
+  // facilitator changes them)
+  useEffect(() => {
+    if (!savedRequirements) {
+      setDrafts({});
+      return;
+    }
+    const requirements = indexRequirements(savedRequirements);
+    const nextDrafts = {};
+    Object.entries(requirements).forEach(([topicId, requirement]) => {
+      nextDrafts[topicId] = {
+        minTopLevelPosts: requirement.minTopLevelPosts || "",
+        minWords: requirement.minWords || "",
+        minPeerReplies: requirement.minPeerReplies || "",
+        dueBy: toLocalInput(requirement.dueBy),
+      };
+    });
+    setDrafts(nextDrafts);
+  }, [savedRequirements]);
+
+  // Only graded topics appear on the feedback dashboard
+  useEffect(() => {
+    if (!isAuthenticated || !courseId) return;
+    let cancelled = false;
+    setTopicsLoading(true);
+    fetchAllPages({
+      apiUrl,
+      endpoint: `/courses/${courseId}/discussion_topics?per_page=100`,
+    })
+      .then((allTopics) => {
+        if (!cancelled) {
+          setTopics(allTopics.filter((topic) => topic.assignment_id));
+        }
+      })
+      .catch((error) => {
+        console.error("Could not load topics for requirements:", error);
+        if (!cancelled) setTopics([]);
+      })
+      .finally(() => {
+        if (!cancelled) setTopicsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, courseId, isAuthenticated]);
+
+  function updateDraft(topicId, key, value) {
+    setDrafts((current) => ({
+      ...current,
+      [topicId]: { ...EMPTY_REQUIREMENT, ...current[topicId], [key]: value },
+    }));
+  }
+
+  async function handleSave() {
+    setSaveError("");
+    try {
+      await saveRequirements({
+        courseId: String(courseId),
+        requirements: toSavedRequirements(drafts),
+        updatedBy: localStorage.getItem("facilitator_name") || undefined,
+      });
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+    } catch (error) {
+      setSaveError(`Could not save requirements: ${error.message}`);
+    }
+  }
+
+  if (!courseId) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+        Discussion Requirements
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Set what each graded discussion asks of a student. The feedback
+        dashboard and student pages show whether each student met it. Leave a
+        topic blank to skip checking it.
+      </p>
+
+      {topicsLoading ? (
+        <p className="text-sm text-gray-500">Loading topics...</p>
+      ) : topics.length === 0 ? (
+        <p className="text-sm text-gray-500">No graded discussions found.</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-md">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 px-2 font-medium">Topic</th>
+                {COUNT_FIELDS.map(({ key, label }) => (
+                  <th key={key} className="py-1 px-2 font-medium">
+                    {label}
+                  </th>
+                ))}
+                <th className="py-1 px-2 font-medium">Posts count until</th>
+              </tr>
+            </thead>
+            <tbody>
+              {topics.map((topic) => {
+                const draft = { ...EMPTY_REQUIREMENT, ...drafts[topic.id] };
+                const requirement = normalizeRequirement(draft);
+                return (
+                  <tr key={topic.id} className="border-t border-gray-200">
+                    <td className="py-1 px-2">
+                      {topic.title}
+                      {hasRequirement(requirement) && (
+                        <span className="block text-xs text-gray-500">
+                          {describeRequirement(requirement)}
+                        </span>
+                      )}
+                    </td>
+                    {COUNT_FIELDS.map(({ key, label }) => (
+                      <td key={key} className="py-1 px-2">
+                        <input
+                          type="number"
+                          min="0"
+                          value={draft[key]}
+                          onChange={(e) =>
+                            updateDraft(topic.id, key, e.target.value)
+                          }
+                          className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent"
+                          style={{ "--tw-ring-color": "#003957" }}
+                          aria-label={`${label} for ${topic.title}`}
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1 px-2">
+                      <input
+                        type="datetime-local"
+                        value={draft.dueBy}
+                        onChange={(e) =>
+                          updateDraft(topic.id, "dueBy", e.target.value)
+                        }
+                        className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent"
+                        style={{ "--tw-ring-color": "#003957" }}
+                        aria-label={`Posts count until, for ${topic.title}`}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center space-x-4 pt-4">
+        <button
+          onClick={handleSave}
+          className="px-6 py-2 font-semibold hover:opacity-90 transition-colors"
+          style={{
+            backgroundColor: "var(--color-secondary)",
+            color: "var(--color-secondary-content)",
+            borderRadius: "var(--radius-field)",
+          }}
+        >
+          Save Requirements
+        </button>
+        {saved && (
+          <span
+            className="font-medium"
+            style={{ color: "var(--color-success-content)" }}
+          >
+            Requirements saved!
+          </span>
+        )}
+        {saveError && (
+          <span className="text-sm text-red-600">{saveError}</span>
+        )}
+      </div>
+    </div>
+  );
+}
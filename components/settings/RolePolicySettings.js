@@ -0,0 +1,274 @@
+/**
+ * RolePolicySettings Component - Per-course participant role policy
+ *
+ * Lets facilitators decide which Canvas roles (including custom role names)
+ * count as teachers, students or excluded, add manual include/exclude lists
+ * by user ID, and preview how everyone on the roster is classified before
+ * saving. Saving clears the course's processed dashboard data so every view
+ * is rebuilt under the new policy.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useCanvasAuth } from "../canvas/useCanvasAuth";
+import { fetchCourseRoster } from "../../js/dataUtils";
+import { clearProcessedDataCache } from "../../js/gradingDataProcessor";
+import {
+  ROLE_TEACHER,
+  ROLE_STUDENT,
+  ROLE_EXCLUDED,
+  DEFAULT_ROLE_POLICY,
+  loadRolePolicy,
+  saveRolePolicy,
+  classifyRoster,
+} from "../../js/rolePolicy";
+
+const CLASS_LABELS = {
+  [ROLE_TEACHER]: "Teacher",
+  [ROLE_STUDENT]: "Student",
+  [ROLE_EXCLUDED]: "Excluded",
+};
+
+// Comma- or whitespace-separated text to a clean list
+function parseList(text) {
+  return text
+    .split(/[\s,]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+export default function RolePolicySettings() {
+  const { apiUrl, courseId, isAuthenticated } = useCanvasAuth();
+  const [roles, setRoles] = useState({});
+  const [includeText, setIncludeText] = useState("");
+  const [excludeText, setExcludeText] = useState("");
+  const [keywordsText, setKeywordsText] = useState("");
+  const [enrollments, setEnrollments] = useState([]);
+  const [rosterLoading, setRosterLoading] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  // Load the saved policy for the current course
+  useEffect(() => {
+    if (!courseId) return;
+    const policy = loadRolePolicy(courseId);
+    setRoles(policy.roles);
+    setIncludeText(policy.includeUserIds.join(", "));
+    setExcludeText(policy.excludeUserIds.join(", "));
+    setKeywordsText(policy.instructorKeywords.join(", "));
+  }, [courseId]);
+
+  // Load the roster for role names and the preview
+  useEffect(() => {
+    if (!isAuthenticated || !courseId) return;
+    let cancelled = false;
+    setRosterLoading(true);
+    fetchCourseRoster(apiUrl, courseId)
+      .then((roster) => {
+        if (!cancelled) setEnrollments(roster.enrollments);
+      })
+      .catch((error) => {
+        console.error("Could not load roster for role preview:", error);
+        if (!cancelled) setEnrollments([]);
+      })
+      .finally(() => {
+        if (!cancelled) setRosterLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, courseId, isAuthenticated]);
+
+  const draftPolicy = useMemo(
+    () => ({
+      roles,
+      includeUserIds: parseList(includeText),
+      excludeUserIds: parseList(excludeText),
+      instructorKeywords: parseList(keywordsText).map((keyword) =>
+        keyword.toLowerCase()
+      ),
+    }),
+    [roles, includeText, excludeText, keywordsText]
+  );
+
+  // Canvas base enrollment types; other names are custom roles
+  const baseTypes = useMemo(
+    () =>
+      new Set([
+        ...Object.keys(DEFAULT_ROLE_POLICY.roles),
+        ...enrollments.map((enrollment) => enrollment.type),
+      ]),
+    [enrollments]
+  );
+
+  // Every role in the policy plus any custom role names on the roster
+  const roleNames = useMemo(() => {
+    const names = new Set([...Object.keys(roles), ...baseTypes]);
+    enrollments.forEach((enrollment) => {
+      if (enrollment.role) names.add(enrollment.role);
+    });
+    return Array.from(names).sort();
+  }, [roles, baseTypes, enrollments]);
+
+  const preview = useMemo(
+    () => classifyRoster(enrollments, draftPolicy),
+    [enrollments, draftPolicy]
+  );
+
+  async function handleSave() {
+    saveRolePolicy(courseId, draftPolicy);
+    await clearProcessedDataCache(courseId);
+    setSaved(true);
+    setTimeout(() => setSaved(false), 3000);
+  }
+
+  if (!courseId) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+        Participant Roles
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Decide who counts as a teacher, a student or is left out of every view
+        for this course. Custom Canvas role names override their base role.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
+        {roleNames.map((roleName) => (
+          <label
+            key={roleName}
+            className="flex items-center justify-between gap-2 text-sm"
+          >
+            <span className="text-gray-700">{roleName}</span>
+            <select
+              value={roles[roleName] || ""}
+              onChange={(e) =>
+                setRoles((current) => {
+                  const next = { ...current };
+                  if (e.target.value) {
+                    next[roleName] = e.target.value;
+                  } else {
+                    delete next[roleName];
+                  }
+                  return next;
+                })
+              }
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              {!baseTypes.has(roleName) && (
+                <option value="">Same as base role</option>
+              )}
+              {Object.entries(CLASS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Always include as students (Canvas user IDs)
+          </label>
+          <input
+            type="text"
+            value={includeText}
+            onChange={(e) => setIncludeText(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent"
+            style={{ "--tw-ring-color": "#003957" }}
+            placeholder="e.g. 1234, 5678"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Always exclude (Canvas user IDs)
+          </label>
+          <input
+            type="text"
+            value={excludeText}
+            onChange={(e) => setExcludeText(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent"
+            style={{ "--tw-ring-color": "#003957" }}
+            placeholder="e.g. 4321"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Staff keywords for registrants without a Canvas enrollment
+          </label>
+          <input
+            type="text"
+            value={keywordsText}
+            onChange={(e) => setKeywordsText(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent"
+            style={{ "--tw-ring-color": "#003957" }}
+            placeholder="e.g. instructor, faculty"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Matched against the email and department columns of the analysis
+            registration data. Canvas users are classified by role only.
+          </p>
+        </div>
+      </div>
+
+      <h3 className="text-lg font-semibold mt-6 mb-2">
+        Preview ({preview.teacherIds.size} teachers, {preview.studentIds.size}{" "}
+        students, {preview.excludedIds.size} excluded)
+      </h3>
+      {rosterLoading ? (
+        <p className="text-sm text-gray-500">Loading roster...</p>
+      ) : preview.people.length === 0 ? (
+        <p className="text-sm text-gray-500">No enrollments found.</p>
+      ) : (
+        <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-md">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 px-2 font-medium">Name</th>
+                <th className="py-1 px-2 font-medium">User ID</th>
+                <th className="py-1 px-2 font-medium">Classified as</th>
+                <th className="py-1 px-2 font-medium">Why</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.people.map((person) => (
+                <tr key={person.userId} className="border-t border-gray-200">
+                  <td className="py-1 px-2">{person.name || "—"}</td>
+                  <td className="py-1 px-2 text-gray-500">{person.userId}</td>
+                  <td className="py-1 px-2 font-medium">
+                    {CLASS_LABELS[person.classification]}
+                  </td>
+                  <td className="py-1 px-2 text-gray-500">{person.reason}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center space-x-4 pt-4">
+        <button
+          onClick={handleSave}
+          className="px-6 py-2 font-semibold hover:opacity-90 transition-colors"
+          style={{
+            backgroundColor: "var(--color-secondary)",
+            color: "var(--color-secondary-content)",
+            borderRadius: "var(--radius-field)",
+          }}
+        >
+          Save Role Policy
+        </button>
+        {saved && (
+          <span
+            className="font-medium"
+            style={{ color: "var(--color-success-content)" }}
+          >
+            Role policy saved!
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -6,12 +6,21 @@
  */
 
 import Link from 'next/link';
+import { useCanvas } from '../canvas/CanvasProvider';
+import LoadingSpinner from './LoadingSpinner';
 
 export default function CredentialsRequired({ className = '' }) {
+  const { sessionLoading } = useCanvas();
+
+  // Don't flash the prompt while the session check is still running
+  if (sessionLoading) {
+    return <LoadingSpinner message="Checking Canvas session..." />;
+  }
+
   return (
     <div className={`bg-yellow-100 border-l-4 border-yellow-500 text-yellow-900 p-6 mb-8 rounded ${className}`}>
       <h2 className="text-xl font-bold mb-2">Canvas API Credentials Required</h2>
-      <p className="mb-2">To use this app, you must provide your Canvas API URL, Access Token, and Course ID.</p>
+      <p className="mb-2">To use this app, you must log in with your Canvas API URL and Access Token, and choose a Course ID.</p>
       <Link href="/settings" className="underline font-semibold" style={{color: '#003957'}}>
         Go to Settings
       </Link>
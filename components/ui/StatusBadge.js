@@ -3,9 +3,22 @@
  * 
  * Displays cache status, timestamps, and data source information.
  * Provides consistent styling for status indicators across the app.
+ * Pass a data-source event from canvasApi.js as `source` to show topic,
+ * post and API call counts.
  */
 
-export default function StatusBadge({ type, timestamp = null, className = '' }) {
+/**
+ * Formats the counts of a data-source event for the badge tooltip
+ * 
+ * @param {Object|null} source - Data-source event from onDataSourceEvent()
+ * @returns {string|undefined} Tooltip text
+ */
+function describeSource(source) {
+  if (!source) return undefined;
+  return `${source.topicCount} topics, ${source.postCount} posts, ${source.apiCalls} API calls`;
+}
+
+export default function StatusBadge({ type, timestamp = null, count = 0, source = null, className = '' }) {
   const getBadgeContent = () => {
     switch (type) {
       case 'cached':
@@ -16,10 +29,16 @@ export default function StatusBadge({ type, timestamp = null, className = '' })
         };
       case 'fresh':
         return {
-          text: '🔄 Fresh data',
+          text: source ? `🔄 Fresh data (${source.apiCalls} API calls)` : '🔄 Fresh data',
           bgColor: 'var(--color-info)',
           textColor: 'var(--color-info-content)'
         };
+      case 'sync':
+        return {
+          text: `${count} new post${count === 1 ? '' : 's'} since last sync`,
+          bgColor: count > 0 ? 'var(--color-info)' : 'transparent',
+          textColor: 'var(--color-info-content)'
+        };
       default:
         return null;
     }
@@ -31,6 +50,7 @@ export default function StatusBadge({ type, timestamp = null, className = '' })
   return (
     <span 
       className={`text-sm px-2 py-1 ${className}`}
+      title={describeSource(source)}
       style={{
         backgroundColor: badge.bgColor,
         color: badge.textColor,
@@ -1,13 +1,32 @@
 /**
  * StudentBadge Component - Accessible student status indicator
  *
- * Displays student names with appropriate grading status icons and styling.
+ * Displays student names with appropriate grading status icons and styling,
+ * plus a late or missing marker when the initial post missed the due date
+ * and the student's result against the topic's discussion requirements.
  * Includes full accessibility support with proper ARIA labels and keyboard navigation.
  */
 
 import Link from "next/link";
+import { useCanvasCourse } from "../canvas/useCanvasCourse";
 import NeedsGradingIcon from "./NeedsGradingIcon";
 import GradedIcon from "./GradedIcon";
+import {
+  TIMING_LATE,
+  TIMING_MISSING,
+  formatLateness,
+  getTimingLabel,
+} from "../../js/lateness";
+import {
+  REQUIREMENT_LABELS,
+  REQUIREMENT_MET,
+  REQUIREMENT_PARTIAL,
+} from "../../js/requirements";
+
+const REQUIREMENT_ICONS = {
+  [REQUIREMENT_MET]: "fa-circle-check",
+  [REQUIREMENT_PARTIAL]: "fa-circle-half-stroke",
+};
 
 /**
  * Extract initials from teacher names
@@ -23,6 +42,7 @@ function getTeacherInitials(name) {
 }
 
 export default function StudentBadge({
+  studentId,
   studentName,
   isGraded = false,
   postDate = null,
@@ -30,7 +50,10 @@ export default function StudentBadge({
   className = "",
   showTooltip = true,
   claimStatus = null,
+  timing = null,
+  requirementCheck = null,
 }) {
+  const { courseHref } = useCanvasCourse();
   const baseClasses =
     "inline-flex items-center gap-2 px-2 py-1 text-sm font-medium transition-all duration-200 hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500";
 
@@ -73,19 +96,39 @@ export default function StudentBadge({
     );
   }
 
+  // Post timing against the student's due date
+  const timingLabel = getTimingLabel(timing);
+  const showTiming =
+    timing?.status === TIMING_LATE || timing?.status === TIMING_MISSING;
+  const timingText = timingLabel
+    ? `, ${timingLabel.toLowerCase()}${timing.dueAt ? ` (due ${new Date(timing.dueAt).toLocaleString()})` : ""}`
+    : "";
+
+  // Discussion requirement result, with the reasons in the tooltip
+  const requirementText = requirementCheck
+    ? `, requirements ${REQUIREMENT_LABELS[requirementCheck.status].toLowerCase()} (${requirementCheck.checks.map((check) => check.text).join("; ")})`
+    : "";
+
   // Accessibility labels
-  const statusText = isGraded ? "graded" : "needs grading";
+  const statusText =
+    timing?.status === TIMING_MISSING
+      ? "no initial post"
+      : isGraded
+        ? "graded"
+        : "needs grading";
   const feedbackText = hasTeacherFeedback
     ? `, feedback from ${teacherFeedback.join(", ")}`
     : "";
-  const ariaLabel = `${studentName}, ${statusText}${postDate ? `, posted ${new Date(postDate).toLocaleDateString()}` : ""}${feedbackText}`;
-  const tooltipText = isGraded
-    ? `${studentName} has been graded${feedbackText}`
-    : `${studentName} needs grading${postDate ? ` (posted ${new Date(postDate).toLocaleDateString()})` : ""}`;
+  const ariaLabel = `${studentName}, ${statusText}${postDate ? `, posted ${new Date(postDate).toLocaleDateString()}` : ""}${timingText}${requirementText}${feedbackText}`;
+  const tooltipText = timing?.status === TIMING_MISSING
+    ? `${studentName} has not posted${timingText}`
+    : isGraded
+      ? `${studentName} has been graded${timingText}${requirementText}${feedbackText}`
+      : `${studentName} needs grading${postDate ? ` (posted ${new Date(postDate).toLocaleDateString()})` : ""}${timingText}${requirementText}`;
 
   return (
     <Link
-      href={`/user/${encodeURIComponent(studentName)}`}
+      href={courseHref(`/user/${studentId}`)}
       className={`${baseClasses} ${statusClasses} ${claimStatusStyles} ${className}`}
       style={statusStyles}
       aria-label={ariaLabel}
@@ -126,9 +169,43 @@ export default function StudentBadge({
       <span className="sr-only">
         {statusText}
         {postDate && `, posted on ${new Date(postDate).toLocaleDateString()}`}
+        {timingText}
+        {requirementText}
         {hasTeacherFeedback && `, feedback from ${teacherFeedback.join(", ")}`}
       </span>
 
+      {/* Late / missing marker */}
+      {showTiming && (
+        <span
+          className="inline-flex items-center gap-1 px-2 text-xs font-medium rounded-md bg-white"
+          style={{ color: "var(--color-error-content)" }}
+          aria-hidden="true"
+        >
+          <i className="fas fa-clock" aria-hidden="true"></i>
+          {timing.status === TIMING_LATE
+            ? `${formatLateness(timing.lateByMs)} late`
+            : "missing"}
+        </span>
+      )}
+
+      {/* Requirement result */}
+      {requirementCheck && (
+        <span
+          className="flex-shrink-0 text-xs"
+          style={{
+            color:
+              requirementCheck.status === REQUIREMENT_MET
+                ? "var(--color-success-content)"
+                : "var(--color-error-content)",
+          }}
+          aria-hidden="true"
+        >
+          <i
+            className={`fas ${REQUIREMENT_ICONS[requirementCheck.status] || "fa-circle-xmark"}`}
+          ></i>
+        </span>
+      )}
+
       {/* Days ago badge for needs grading students */}
       {!isGraded && postDate && (
         <span
@@ -179,13 +256,16 @@ export function StudentBadgeList({
       aria-label={`${students.length} student${students.length === 1 ? "" : "s"}`}
     >
       {students.map((student, index) => (
-        <div key={student.name || index} role="listitem">
+        <div key={student.userId || index} role="listitem">
           <StudentBadge
+            studentId={student.userId}
             studentName={student.name}
             isGraded={student.isGraded}
             postDate={student.postDate}
             teacherFeedback={student.teacherFeedback}
             claimStatus={student.claimStatus}
+            timing={student.timing}
+            requirementCheck={student.requirementCheck}
           />
         </div>
       ))}
@@ -14,6 +14,8 @@ import type {
   FunctionReference,
 } from "convex/server";
 import type * as canvas from "../canvas.js";
+import type * as commentBank from "../commentBank.js";
+import type * as requirements from "../requirements.js";
 
 /**
  * A utility for referencing Convex functions in your app's API.
@@ -25,6 +27,8 @@ import type * as canvas from "../canvas.js";
  */
 declare const fullApi: ApiFromModules<{
   canvas: typeof canvas;
+  commentBank: typeof commentBank;
+  requirements: typeof requirements;
 }>;
 export declare const api: FilterApi<
   typeof fullApi,
@@ -9,10 +9,13 @@ export const getDiscussions = query({
 });
 
 /**
- * Sets or clears the status of a student.
+ * Sets or clears the status of a student in a course.
+ * Claims are per course, so the same student can be claimed by different
+ * facilitators in different sections.
  */
 export const setStudentStatus = mutation({
   args: {
+    courseId: v.string(),
     studentId: v.string(),
     studentName: v.string(),
     status: v.optional(
@@ -22,11 +25,22 @@ export const setStudentStatus = mutation({
   },
   returns: v.null(),
   handler: async (ctx, args) => {
-    const { studentId, studentName, status, facilitatorName } = args;
+    const { courseId, studentId, studentName, status, facilitatorName } = args;
+
+    await ctx.db.insert("student_status_events", {
+      courseId: courseId,
+      studentId: studentId,
+      studentName: studentName,
+      status: status || "unclaimed",
+      facilitatorName: facilitatorName,
+      createdAt: Date.now(),
+    });
 
     const existingStatus = await ctx.db
       .query("student_statuses")
-      .withIndex("by_studentId", (q) => q.eq("studentId", studentId))
+      .withIndex("by_courseId_and_studentId", (q) =>
+        q.eq("courseId", courseId).eq("studentId", studentId)
+      )
       .unique();
 
     if (!status) {
@@ -44,6 +58,7 @@ export const setStudentStatus = mutation({
       });
     } else {
       await ctx.db.insert("student_statuses", {
+        courseId: courseId,
         studentId: studentId,
         studentName: studentName,
         status: status,
@@ -56,25 +71,90 @@ export const setStudentStatus = mutation({
 });
 
 /**
- * Gets the status document for a single student.
+ * Gets the status document for a single student in a course.
  */
 export const getStudentStatus = query({
   args: {
+    courseId: v.string(),
     studentId: v.string(),
   },
   handler: async (ctx, args) => {
     return await ctx.db
       .query("student_statuses")
-      .withIndex("by_studentId", (q) => q.eq("studentId", args.studentId))
+      .withIndex("by_courseId_and_studentId", (q) =>
+        q.eq("courseId", args.courseId).eq("studentId", args.studentId)
+      )
       .unique();
   },
 });
 
 /**
- * Gets all student statuses for the dashboard view.
+ * Gets all student statuses in a course for the dashboard view.
  */
 export const getAllStudentStatuses = query({
-  handler: async (ctx) => {
-    return await ctx.db.query("student_statuses").collect();
+  args: {
+    courseId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("student_statuses")
+      .withIndex("by_courseId", (q) => q.eq("courseId", args.courseId))
+      .collect();
+  },
+});
+
+/**
+ * Gets a student's current claim in every course plus the history of claim
+ * changes, oldest first, for the cross-course profile.
+ */
+export const getStudentClaimHistory = query({
+  args: {
+    studentId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const statuses = await ctx.db
+      .query("student_statuses")
+      .withIndex("by_studentId", (q) => q.eq("studentId", args.studentId))
+      .collect();
+    const events = await ctx.db
+      .query("student_status_events")
+      .withIndex("by_studentId", (q) => q.eq("studentId", args.studentId))
+      .collect();
+    events.sort((a, b) => a.createdAt - b.createdAt);
+    return { statuses, events };
+  },
+});
+
+/**
+ * Assigns claims made before multi-course support to a course.
+ * Run once per deployment from the Convex dashboard or CLI:
+ *   npx convex run canvas:assignLegacyStatusesToCourse '{"courseId": "12345"}'
+ */
+export const assignLegacyStatusesToCourse = mutation({
+  args: {
+    courseId: v.string(),
+  },
+  returns: v.number(),
+  handler: async (ctx, args) => {
+    const legacyStatuses = await ctx.db
+      .query("student_statuses")
+      .withIndex("by_courseId", (q) => q.eq("courseId", undefined))
+      .collect();
+
+    for (const legacyStatus of legacyStatuses) {
+      // A claim already made in the course wins over the legacy one
+      const courseStatus = await ctx.db
+        .query("student_statuses")
+        .withIndex("by_courseId_and_studentId", (q) =>
+          q.eq("courseId", args.courseId).eq("studentId", legacyStatus.studentId)
+        )
+        .unique();
+      if (courseStatus) {
+        await ctx.db.delete(legacyStatus._id);
+      } else {
+        await ctx.db.patch(legacyStatus._id, { courseId: args.courseId });
+      }
+    }
+    return legacyStatuses.length;
   },
 });
@@ -0,0 +1,137 @@
+// convex/commentBank.ts
+import { query, mutation } from "./_generated/server";
+import { v } from "convex/values";
+
+/**
+ * Lists every comment in the shared bank, grouped by category.
+ */
+export const listComments = query({
+  args: {},
+  handler: async (ctx) => {
+    const comments = await ctx.db.query("comment_bank").collect();
+    return comments.sort(
+      (a, b) =>
+        a.category.localeCompare(b.category) || a.text.localeCompare(b.text)
+    );
+  },
+});
+
+/**
+ * Adds a comment to the bank.
+ */
+export const addComment = mutation({
+  args: {
+    text: v.string(),
+    category: v.string(),
+    createdBy: v.optional(v.string()),
+  },
+  returns: v.id("comment_bank"),
+  handler: async (ctx, args) => {
+    const text = args.text.trim();
+    if (!text) {
+      throw new Error("Comment text is required");
+    }
+    return await ctx.db.insert("comment_bank", {
+      text: text,
+      category: args.category.trim() || "General",
+      createdBy: args.createdBy,
+      createdAt: Date.now(),
+      usageCount: 0,
+    });
+  },
+});
+
+/**
+ * Removes a comment and its topic favorites.
+ */
+export const deleteComment = mutation({
+  args: {
+    commentId: v.id("comment_bank"),
+  },
+  returns: v.null(),
+  handler: async (ctx, args) => {
+    const favorites = await ctx.db
+      .query("comment_favorites")
+      .withIndex("by_commentId", (q) => q.eq("commentId", args.commentId))
+      .collect();
+    for (const favorite of favorites) {
+      await ctx.db.delete(favorite._id);
+    }
+    await ctx.db.delete(args.commentId);
+    return null;
+  },
+});
+
+/**
+ * Counts a use of a comment, so overused comments stand out.
+ */
+export const recordCommentUse = mutation({
+  args: {
+    commentId: v.id("comment_bank"),
+  },
+  returns: v.null(),
+  handler: async (ctx, args) => {
+    const comment = await ctx.db.get(args.commentId);
+    if (!comment) {
+      return null;
+    }
+    await ctx.db.patch(args.commentId, {
+      usageCount: comment.usageCount + 1,
+      lastUsedAt: Date.now(),
+    });
+    return null;
+  },
+});
+
+/**
+ * Gets the IDs of the comments starred for a discussion topic.
+ */
+export const getTopicFavorites = query({
+  args: {
+    courseId: v.string(),
+    topicId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const favorites = await ctx.db
+      .query("comment_favorites")
+      .withIndex("by_courseId_and_topicId", (q) =>
+        q.eq("courseId", args.courseId).eq("topicId", args.topicId)
+      )
+      .collect();
+    return favorites.map((favorite) => favorite.commentId);
+  },
+});
+
+/**
+ * Stars or unstars a comment for a discussion topic.
+ * Returns whether the comment is now a favorite.
+ */
+export const toggleTopicFavorite = mutation({
+  args: {
+    courseId: v.string(),
+    topicId: v.string(),
+    commentId: v.id("comment_bank"),
+  },
+  returns: v.boolean(),
+  handler: async (ctx, args) => {
+    const favorites = await ctx.db
+      .query("comment_favorites")
+      .withIndex("by_courseId_and_topicId", (q) =>
+        q.eq("courseId", args.courseId).eq("topicId", args.topicId)
+      )
+      .collect();
+    const existing = favorites.find(
+      (favorite) => favorite.commentId === args.commentId
+    );
+    if (existing) {
+      await ctx.db.delete(existing._id);
+      return false;
+    }
+    await ctx.db.insert("comment_favorites", {
+      courseId: args.courseId,
+      topicId: args.topicId,
+      commentId: args.commentId,
+    });
+    return true;
+  },
+});
@@ -0,0 +1,89 @@
+// convex/requirements.ts
+import { query, mutation } from "./_generated/server";
+import { v } from "convex/values";
+
+/**
+ * Lists the discussion requirements set for a course.
+ */
+export const listRequirements = query({
+  args: {
+    courseId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const requirements = await ctx.db
+      .query("discussion_requirements")
+      .withIndex("by_courseId", (q) => q.eq("courseId", args.courseId))
+      .collect();
+    return requirements.map((requirement) => ({
+      topicId: requirement.topicId,
+      minTopLevelPosts: requirement.minTopLevelPosts,
+      minWords: requirement.minWords,
+      minPeerReplies: requirement.minPeerReplies,
+      dueBy: requirement.dueBy ?? null,
+    }));
+  },
+});
+
+/**
+ * Replaces a course's requirements with the given topics.
+ * Topics left out, or with nothing required, lose their requirement.
+ */
+export const saveRequirements = mutation({
+  args: {
+    courseId: v.string(),
+    requirements: v.array(
+      v.object({
+        topicId: v.string(),
+        minTopLevelPosts: v.number(),
+        minWords: v.number(),
+        minPeerReplies: v.number(),
+        dueBy: v.optional(v.string()),
+      })
+    ),
+    updatedBy: v.optional(v.string()),
+  },
+  returns: v.null(),
+  handler: async (ctx, args) => {
+    const existing = await ctx.db
+      .query("discussion_requirements")
+      .withIndex("by_courseId", (q) => q.eq("courseId", args.courseId))
+      .collect();
+    const existingByTopic = new Map(existing.map((row) => [row.topicId, row]));
+    const now = Date.now();
+
+    for (const requirement of args.requirements) {
+      const isSet =
+        requirement.minTopLevelPosts > 0 ||
+        requirement.minWords > 0 ||
+        requirement.minPeerReplies > 0;
+      if (!isSet) {
+        continue;
+      }
+      const fields = {
+        minTopLevelPosts: requirement.minTopLevelPosts,
+        minWords: requirement.minWords,
+        minPeerReplies: requirement.minPeerReplies,
+        dueBy: requirement.dueBy,
+        updatedBy: args.updatedBy,
+        updatedAt: now,
+      };
+      const row = existingByTopic.get(requirement.topicId);
+      if (row) {
+        await ctx.db.patch(row._id, fields);
+        existingByTopic.delete(requirement.topicId);
+      } else {
+        await ctx.db.insert("discussion_requirements", {
+          courseId: args.courseId,
+          topicId: requirement.topicId,
+          ...fields,
+        });
+      }
+    }
+
+    // Whatever wasn't saved again has been cleared
+    for (const row of existingByTopic.values()) {
+      await ctx.db.delete(row._id);
+    }
+    return null;
+  },
+});
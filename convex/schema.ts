@@ -31,10 +31,62 @@ export default defineSchema({
   }).index("by_canvas_reply_id", ["canvas_reply_id"]),
 
   student_statuses: defineTable({
+    courseId: v.optional(v.string()), // The Canvas course ID (missing on claims made before multi-course support)
     studentId: v.string(), // The Canvas user ID
     studentName: v.string(), // The Canvas user display name
     status: v.optional(v.union(v.literal("claimed"), v.literal("completed"))),
     facilitatorName: v.optional(v.string()),
     statusUpdatedAt: v.optional(v.number()),
+  })
+    .index("by_studentId", ["studentId"])
+    .index("by_courseId", ["courseId"])
+    .index("by_courseId_and_studentId", ["courseId", "studentId"]),
+
+  // Append-only log of claim changes, for the cross-course student profile
+  student_status_events: defineTable({
+    courseId: v.string(),
+    studentId: v.string(),
+    studentName: v.string(),
+    status: v.union(
+      v.literal("claimed"),
+      v.literal("completed"),
+      v.literal("unclaimed")
+    ),
+    facilitatorName: v.optional(v.string()),
+    createdAt: v.number(),
   }).index("by_studentId", ["studentId"]),
+
+  // Feedback comments shared by every facilitator; text may contain
+  // template variables such as {first_name}
+  comment_bank: defineTable({
+    text: v.string(),
+    category: v.string(),
+    createdBy: v.optional(v.string()),
+    createdAt: v.number(),
+    usageCount: v.number(),
+    lastUsedAt: v.optional(v.number()),
+  }).index("by_category", ["category"]),
+
+  // Comments starred for a discussion topic (topic IDs are per course)
+  comment_favorites: defineTable({
+    courseId: v.string(),
+    topicId: v.string(),
+    commentId: v.id("comment_bank"),
+  })
+    .index("by_courseId_and_topicId", ["courseId", "topicId"])
+    .index("by_commentId", ["commentId"]),
+
+  // What a graded discussion topic asks of each student, shared per course
+  discussion_requirements: defineTable({
+    courseId: v.string(),
+    topicId: v.string(),
+    minTopLevelPosts: v.number(),
+    minWords: v.number(),
+    minPeerReplies: v.number(),
+    dueBy: v.optional(v.string()), // ISO date after which posts stop counting
+    updatedBy: v.optional(v.string()),
+    updatedAt: v.number(),
+  })
+    .index("by_courseId", ["courseId"])
+    .index("by_courseId_and_topicId", ["courseId", "topicId"]),
 });
@@ -0,0 +1,105 @@
+/**
+ * Discussion Post Attachments
+ *
+ * Canvas entries carry files either as a single `attachment` or an
+ * `attachments` array (newer entries). These helpers normalize both shapes,
+ * describe files for display and download them through /api/canvas-file,
+ * which adds the session's Canvas token.
+ */
+
+// Labels for common content types; anything else falls back to the extension
+const TYPE_LABELS = {
+  'application/pdf': 'PDF',
+  'application/msword': 'Word',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word',
+  'application/vnd.ms-powerpoint': 'PowerPoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PowerPoint',
+  'application/vnd.ms-excel': 'Excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel',
+  'application/zip': 'ZIP',
+  'text/plain': 'Text'
+};
+
+/**
+ * Lists a post's attachments in one shape
+ *
+ * @param {Object} post - Flattened discussion post
+ * @returns {Array} Attachments as { id, name, contentType, size, url }
+ */
+export function getPostAttachments(post) {
+  const raw = [
+    ...(Array.isArray(post.attachments) ? post.attachments : []),
+    ...(post.attachment ? [post.attachment] : [])
+  ];
+
+  const seen = new Set();
+  return raw
+    .filter(file => file && file.id && !seen.has(file.id) && seen.add(file.id))
+    .map(file => ({
+      id: file.id,
+      name: file.display_name || file.filename || `file-${file.id}`,
+      contentType: file['content-type'] || file.content_type || '',
+      size: file.size ?? null,
+      url: file.url || null
+    }));
+}
+
+/**
+ * Formats a byte count for display
+ *
+ * @param {number|null} bytes - File size in bytes
+ * @returns {string} e.g. "2.4 MB", or '' when unknown
+ */
+export function formatFileSize(bytes) {
+  if (bytes === null || bytes === undefined) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(size < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * Describes an attachment's file type
+ *
+ * @param {Object} attachment - From getPostAttachments()
+ * @returns {string} Short label such as "PDF", "Video" or "DOCX"
+ */
+export function getFileTypeLabel(attachment) {
+  const { contentType, name } = attachment;
+  if (TYPE_LABELS[contentType]) return TYPE_LABELS[contentType];
+  if (contentType.startsWith('video/')) return 'Video';
+  if (contentType.startsWith('audio/')) return 'Audio';
+  if (contentType.startsWith('image/')) return 'Image';
+  const extension = name.includes('.') ? name.split('.').pop() : '';
+  return extension ? extension.toUpperCase() : 'File';
+}
+
+/**
+ * Builds the app URL that downloads an attachment with the session's token
+ *
+ * @param {Object} attachment - From getPostAttachments()
+ * @returns {string} /api/canvas-file URL
+ */
+export function getAttachmentDownloadUrl(attachment) {
+  return `/api/canvas-file?fileId=${encodeURIComponent(attachment.id)}`;
+}
+
+/**
+ * Downloads an attachment's contents
+ *
+ * @param {Object} attachment - From getPostAttachments()
+ * @returns {Promise<Uint8Array>} File bytes
+ */
+export async function fetchAttachmentBytes(attachment) {
+  const res = await fetch(getAttachmentDownloadUrl(attachment));
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Could not download ${attachment.name} (${res.status})`);
+  }
+  return new Uint8Array(await res.arrayBuffer());
+}
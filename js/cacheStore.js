@@ -0,0 +1,295 @@
+/**
+ * IndexedDB Cache Store for Canvas Data
+ *
+ * Persistent browser storage for discussion posts and processed dashboard data.
+ * Replaces the old single-key localStorage caches, which hit the ~5 MB quota
+ * once a course has a few dozen students' worth of post HTML.
+ *
+ * Object stores:
+ * - topics:    one record per course topic ({ courseId, topicId, posts, state })
+ * - courses:   per-course metadata (timestamp, counts, last sync summary)
+ * - processed: per-course processed dashboard data
+ *
+ * Every function is async and degrades to a no-op (or null) when IndexedDB is
+ * unavailable, so callers simply fall back to fetching from Canvas.
+ */
+
+const DB_NAME = 'canvas-discussion-browser';
+// Version 2: posts gained group discussion entries and group tags
+// Version 3: processed data gained per-student counts for section filtering
+// Version 4: processed data gained post timing and missing students
+// Version 5: processed data gained the enrolled student list for requirement checks
+// Version 6: processed data gained peer interactions for the user page
+const DB_VERSION = 6;
+
+// localStorage keys used before the IndexedDB migration
+const LEGACY_KEY_PREFIXES = ['canvas_discussions_', 'canvas_processed_', 'canvas_last_sync_'];
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the cache database
+ *
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+function openDb() {
+  if (typeof window === 'undefined' || !window.indexedDB) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const topicStore = db.createObjectStore('topics', { keyPath: ['courseId', 'topicId'] });
+          topicStore.createIndex('courseId', 'courseId', { unique: false });
+          db.createObjectStore('courses', { keyPath: 'courseId' });
+          db.createObjectStore('processed', { keyPath: 'courseId' });
+          removeLegacyLocalStorage();
+          return;
+        }
+
+        // Caches written by an older version are missing data; refetch from Canvas
+        ['topics', 'courses', 'processed'].forEach(name => {
+          request.transaction.objectStore(name).clear();
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Frees the quota held by the pre-IndexedDB localStorage caches
+ */
+function removeLegacyLocalStorage() {
+  try {
+    Object.keys(localStorage)
+      .filter(key => LEGACY_KEY_PREFIXES.some(prefix => key.startsWith(prefix)))
+      .forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    console.warn('Could not remove legacy localStorage cache:', error);
+  }
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ *
+ * @param {IDBRequest} request - Pending IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs work inside a transaction and resolves once it has committed
+ *
+ * @param {Array<string>} storeNames - Object stores used by the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the stores by name, may return a promise
+ * @returns {Promise<*>} Value returned by work, or null if IndexedDB failed
+ */
+async function withStores(storeNames, mode, work) {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(storeNames, mode);
+    const stores = {};
+    storeNames.forEach(name => { stores[name] = tx.objectStore(name); });
+
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+    const result = await work(stores);
+    await done;
+    return result;
+  } catch (error) {
+    console.warn('IndexedDB cache unavailable:', error);
+    return null;
+  }
+}
+
+/**
+ * Normalizes course IDs so '123' and 123 share the same records
+ *
+ * @param {string|number} courseId - Canvas course ID
+ * @returns {string} Course ID as a string
+ */
+function courseKey(courseId) {
+  return String(courseId);
+}
+
+/**
+ * Gets cache metadata for a course
+ *
+ * @param {string} courseId - Canvas course ID
+ * @returns {Promise<Object|null>} { timestamp, topicCount, postCount, lastSync } or null
+ */
+export async function getCourseMeta(courseId) {
+  return withStores(['courses'], 'readonly', ({ courses }) =>
+    promisifyRequest(courses.get(courseKey(courseId)))
+  ).then(meta => meta || null);
+}
+
+/**
+ * Merges fields into a course's metadata record
+ *
+ * @param {string} courseId - Canvas course ID
+ * @param {Object} fields - Fields to merge into the record
+ * @returns {Promise<Object|null>} Updated metadata
+ */
+export async function updateCourseMeta(courseId, fields) {
+  return withStores(['courses'], 'readwrite', async ({ courses }) => {
+    const existing = await promisifyRequest(courses.get(courseKey(courseId)));
+    const meta = { ...existing, ...fields, courseId: courseKey(courseId) };
+    courses.put(meta);
+    return meta;
+  });
+}
+
+/**
+ * Reads every cached topic record for a course
+ *
+ * @param {string} courseId - Canvas course ID
+ * @returns {Promise<Array|null>} Topic records ({ topicId, posts, state }), or null if none are cached
+ */
+export async function getCourseTopics(courseId) {
+  const records = await withStores(['topics'], 'readonly', ({ topics }) =>
+    promisifyRequest(topics.index('courseId').getAll(courseKey(courseId)))
+  );
+  return records && records.length > 0 ? records : null;
+}
+
+/**
+ * Writes topic records for a course and refreshes its metadata
+ *
+ * Topics listed in removeTopicIds are deleted; pass replaceAll to drop every
+ * existing topic for the course first (used by full fetches).
+ *
+ * @param {string} courseId - Canvas course ID
+ * @param {Array} topicRecords - Records of shape { topicId, posts, state }
+ * @param {Object} options - Write options
+ * @param {boolean} options.replaceAll - Remove all existing course topics first
+ * @param {Array} options.removeTopicIds - Topic IDs to delete
+ * @returns {Promise<Object|null>} Updated course metadata
+ */
+export async function putCourseTopics(courseId, topicRecords, { replaceAll = false, removeTopicIds = [] } = {}) {
+  const id = courseKey(courseId);
+
+  return withStores(['topics', 'courses'], 'readwrite', async ({ topics, courses }) => {
+    if (replaceAll) {
+      const keys = await promisifyRequest(topics.index('courseId').getAllKeys(id));
+      keys.forEach(key => topics.delete(key));
+    }
+    removeTopicIds.forEach(topicId => topics.delete([id, topicId]));
+    topicRecords.forEach(record => topics.put({ ...record, courseId: id }));
+
+    // Recount from the stored records so the metadata always matches the cache
+    const stored = await promisifyRequest(topics.index('courseId').getAll(id));
+    const existing = await promisifyRequest(courses.get(id));
+    const meta = {
+      ...existing,
+      courseId: id,
+      timestamp: Date.now(),
+      topicCount: stored.length,
+      postCount: stored.reduce((sum, record) => sum + record.posts.length, 0)
+    };
+    courses.put(meta);
+    return meta;
+  });
+}
+
+/**
+ * Adds posts to one cached topic without refetching it
+ *
+ * Used after the app itself posts to Canvas. The cache timestamp and the
+ * topic's sync state are left alone, so the next sync still picks up
+ * whatever else changed in the topic.
+ *
+ * @param {string} courseId - Canvas course ID
+ * @param {number} topicId - Course-level topic ID the posts belong to
+ * @param {Array} posts - Flattened posts to add
+ * @returns {Promise<boolean>} Whether the topic was cached and updated
+ */
+export async function appendTopicPosts(courseId, topicId, posts) {
+  const id = courseKey(courseId);
+
+  const updated = await withStores(['topics', 'courses'], 'readwrite', async ({ topics, courses }) => {
+    const record = await promisifyRequest(topics.get([id, topicId]));
+    if (!record) return false;
+    topics.put({ ...record, posts: record.posts.concat(posts) });
+
+    const existing = await promisifyRequest(courses.get(id));
+    if (existing) {
+      courses.put({ ...existing, postCount: (existing.postCount || 0) + posts.length });
+    }
+    return true;
+  });
+  return Boolean(updated);
+}
+
+/**
+ * Removes all cached discussion data and metadata for a course
+ *
+ * @param {string} courseId - Canvas course ID
+ */
+export async function clearCourse(courseId) {
+  const id = courseKey(courseId);
+
+  await withStores(['topics', 'courses'], 'readwrite', async ({ topics, courses }) => {
+    const keys = await promisifyRequest(topics.index('courseId').getAllKeys(id));
+    keys.forEach(key => topics.delete(key));
+    courses.delete(id);
+  });
+}
+
+/**
+ * Gets processed dashboard data for a course
+ *
+ * @param {string} courseId - Canvas course ID
+ * @returns {Promise<Object|null>} { data, timestamp } or null
+ */
+export async function getProcessedData(courseId) {
+  return withStores(['processed'], 'readonly', ({ processed }) =>
+    promisifyRequest(processed.get(courseKey(courseId)))
+  ).then(record => record || null);
+}
+
+/**
+ * Stores processed dashboard data for a course
+ *
+ * @param {string} courseId - Canvas course ID
+ * @param {Object} data - Processed dashboard data
+ */
+export async function putProcessedData(courseId, data) {
+  await withStores(['processed'], 'readwrite', ({ processed }) => {
+    processed.put({ courseId: courseKey(courseId), data, timestamp: Date.now() });
+  });
+}
+
+/**
+ * Removes processed dashboard data for a course
+ *
+ * @param {string} courseId - Canvas course ID
+ */
+export async function clearProcessedData(courseId) {
+  await withStores(['processed'], 'readwrite', ({ processed }) => {
+    processed.delete(courseKey(courseId));
+  });
+}
@@ -8,51 +8,426 @@
  * - Intelligent caching with manual refresh control
  * - Discussion post and reply fetching with deduplication
  * - User-specific post filtering and threading
+ * - Data-source events (cache vs. network, counts, API calls) for status badges
  * 
  * All requests are routed through /api/canvas-proxy.js to avoid CORS issues
  * and keep API tokens secure on the server side.
  */
 
+import {
+  getCourseMeta,
+  updateCourseMeta,
+  getCourseTopics,
+  putCourseTopics,
+  appendTopicPosts,
+  clearCourse,
+  clearProcessedData
+} from './cacheStore';
+import {
+  MAX_RETRIES,
+  getBackoffDelay,
+  getLowQuotaDelay,
+  sleep,
+  createConcurrencyLimiter
+} from './rateLimit';
+
+// Cap in-flight proxy requests so parallel fetches don't trip Canvas throttling
+const MAX_CONCURRENT_REQUESTS = 4;
+const runLimited = createConcurrencyLimiter(MAX_CONCURRENT_REQUESTS);
+
+// Data-source event subscribers and the running count of proxy calls
+const dataSourceListeners = new Set();
+let apiCallCount = 0;
+
+/**
+ * Subscribes to data-source events emitted whenever discussion data is loaded
+ * 
+ * Event shape:
+ * - courseId: Canvas course ID
+ * - source: 'cache' | 'network' | 'sync'
+ * - timestamp: When the data was fetched from Canvas
+ * - topicCount / postCount: Size of the loaded dataset
+ * - apiCalls: Proxy requests made to produce it (0 for cache hits)
+ * - newPostCount / changedTopicCount: Only present for 'sync'
+ * 
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+export function onDataSourceEvent(listener) {
+  dataSourceListeners.add(listener);
+  return () => dataSourceListeners.delete(listener);
+}
+
+/**
+ * Notifies data-source subscribers; a failing listener never breaks a fetch
+ * 
+ * @param {Object} event - Data-source event (see onDataSourceEvent)
+ */
+function emitDataSourceEvent(event) {
+  dataSourceListeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Data source listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Sends a request through the Canvas proxy and returns the raw Response
+ * Shared by canvasProxy() and fetchAllPages() so both get identical error handling
+ * 
+ * Requests run through a concurrency limiter. Responses the proxy reports as
+ * rate limited (and 5xx responses to GETs) are retried with jittered backoff,
+ * and a low X-Rate-Limit-Remaining holds the slot briefly before the next call.
+ * 
+ * @param {Object} params - API request parameters (see canvasProxy)
+ * @returns {Promise<Response>} Successful proxy response
+ * @throws {Error} With the Canvas HTTP `status` when the request failed
+ */
+async function canvasProxyRequest({ endpoint, method = 'GET', body }) {
+  return runLimited(async () => {
+    for (let attempt = 0; ; attempt++) {
+      apiCallCount++;
+      const res = await fetch('/api/canvas-proxy', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ endpoint, method, body })
+      });
+
+      const quotaDelay = getLowQuotaDelay(res.headers.get('x-rate-limit-remaining'));
+      if (quotaDelay > 0) {
+        await sleep(quotaDelay);
+      }
+
+      if (res.ok) {
+        return res;
+      }
+
+      const error = await res.json().catch(() => ({}));
+      const retryable = error.rateLimited || (res.status >= 500 && method === 'GET');
+      if (!retryable || attempt >= MAX_RETRIES) {
+        const failure = new Error(error.error || 'Failed to fetch from Canvas API');
+        failure.status = res.status;
+        throw failure;
+      }
+
+      const delay = getBackoffDelay(attempt);
+      console.warn(`Canvas request ${endpoint} failed (${res.status}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  });
+}
+
 /**
  * Proxy function to make Canvas API requests through Next.js API route
  * Handles CORS issues by routing all Canvas API calls through server-side proxy
+ * The proxy adds the Canvas URL and token from the session cookie
  * 
  * @param {Object} params - API request parameters
- * @param {string} params.apiUrl - Canvas API base URL
- * @param {string} params.apiKey - Canvas API access token
  * @param {string} params.endpoint - Canvas API endpoint path
  * @param {string} params.method - HTTP method (default: 'GET')
  * @param {Object} params.body - Request body for POST/PUT requests
  * @returns {Promise<Object>} Canvas API response data
  */
-async function canvasProxy({ apiUrl, apiKey, endpoint, method = 'GET', body }) {
-  const res = await fetch('/api/canvas-proxy', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ apiUrl, apiKey, endpoint, method, body })
+export async function canvasProxy(params) {
+  const res = await canvasProxyRequest(params);
+  return res.json();
+}
+
+/**
+ * Extracts the rel="next" page from a Canvas Link header
+ * Canvas returns absolute URLs, so the API base path is stripped to get back
+ * an endpoint the proxy accepts
+ * 
+ * @param {string|null} linkHeader - Value of the Link response header
+ * @param {string} apiUrl - Canvas API base URL
+ * @returns {string|null} Endpoint for the next page, or null on the last page
+ */
+export function getNextPageEndpoint(linkHeader, apiUrl) {
+  if (!linkHeader) return null;
+
+  const nextLink = linkHeader
+    .split(',')
+    .map(part => part.match(/<([^>]+)>\s*;\s*rel="?next"?/))
+    .find(Boolean);
+  if (!nextLink) return null;
+
+  const nextUrl = new URL(nextLink[1]);
+  const basePath = new URL(apiUrl).pathname.replace(/\/$/, '');
+  const path = nextUrl.pathname.startsWith(basePath)
+    ? nextUrl.pathname.slice(basePath.length)
+    : nextUrl.pathname;
+
+  return `${path}${nextUrl.search}`;
+}
+
+/**
+ * Fetches every page of a Canvas list endpoint by following Link headers
+ * All Canvas list calls should go through this instead of guessing the last
+ * page from the number of results
+ * 
+ * @param {Object} params - API request parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.endpoint - Canvas list endpoint path (query string allowed)
+ * @returns {Promise<Array>} Items from all pages, in order
+ */
+export async function fetchAllPages({ apiUrl, endpoint }) {
+  // Ask for the largest page Canvas allows unless the caller chose a size
+  let nextEndpoint = /[?&]per_page=/.test(endpoint)
+    ? endpoint
+    : `${endpoint}${endpoint.includes('?') ? '&' : '?'}per_page=100`;
+  let allItems = [];
+
+  while (nextEndpoint) {
+    const res = await canvasProxyRequest({ endpoint: nextEndpoint, method: 'GET' });
+    const page = await res.json();
+    allItems = allItems.concat(Array.isArray(page) ? page : Object.values(page || {}));
+    nextEndpoint = getNextPageEndpoint(res.headers.get('link'), apiUrl);
+  }
+
+  return allItems;
+}
+
+/**
+ * Fetches the courses the current user teaches or assists in
+ * Used by the course switcher; teacher and TA enrollments are merged and sorted by name
+ *
+ * @param {Object} params - API request parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @returns {Promise<Array>} Courses as { id, name, courseCode, term }
+ */
+export async function fetchTeachingCourses({ apiUrl }) {
+  const enrollmentTypes = ['teacher', 'ta'];
+  const lists = await Promise.all(enrollmentTypes.map(type => fetchAllPages({
+    apiUrl,
+    endpoint: `/courses?enrollment_type=${type}&include[]=term`
+  })));
+
+  const coursesById = new Map();
+  lists.flat().forEach(course => {
+    // Courses the user can no longer access come back with only an id
+    if (!course || !course.name || coursesById.has(course.id)) return;
+    coursesById.set(course.id, {
+      id: String(course.id),
+      name: course.name,
+      courseCode: course.course_code || '',
+      term: course.term?.name || ''
+    });
   });
-  if (!res.ok) {
-    const error = await res.json().catch(() => ({}));
-    throw new Error(error.error || 'Failed to fetch from Canvas API');
+
+  return Array.from(coursesById.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Flattens a discussion "view" entry tree into a post list
+ * Keeps Canvas's real parent_id and records how deep each reply is nested.
+ * Deleted entries are dropped and their replies are attached to the nearest
+ * surviving ancestor so threads stay connected.
+ * 
+ * @param {Array} entries - Entries at the current level of the view tree
+ * @param {Object} context - Shared flattening state
+ * @param {Object} context.topic - Canvas discussion topic the entries belong to
+ * @param {Map} context.participantsById - Participant user objects keyed by user ID
+ * @param {Array} context.posts - Output array of flattened posts
+ * @param {Object|null} context.groupTag - Group fields for group discussion posts (see getGroupTag)
+ * @param {number|null} parentId - ID of the nearest non-deleted ancestor
+ * @param {number} depth - Nesting depth (0 for top-level entries)
+ */
+function flattenEntryTree(entries, context, parentId = null, depth = 0) {
+  const { topic, participantsById, posts, groupTag } = context;
+
+  for (const entry of entries || []) {
+    const { replies, ...fields } = entry;
+
+    if (entry.deleted) {
+      flattenEntryTree(replies, context, parentId, depth);
+      continue;
+    }
+
+    const user = participantsById.get(entry.user_id);
+    const post = {
+      ...fields,
+      parent_id: parentId,
+      depth,
+      user,
+      user_name: user?.display_name,
+      topic_title: topic.title,
+      discussion_topic_id: topic.id
+    };
+    if (typeof topic.assignment_id !== 'undefined') {
+      post.assignment_id = topic.assignment_id;
+    }
+    if (groupTag) {
+      Object.assign(post, groupTag);
+    }
+    posts.push(post);
+
+    flattenEntryTree(replies, context, entry.id, depth + 1);
   }
-  return res.json();
 }
 
 /**
- * Helper function for debugging post data structure
- * Creates a simplified view of Canvas discussion posts for console logging
+ * Adds the view's `new_entries` to the flattened tree
  * 
- * @param {Object} post - Canvas discussion post object
- * @returns {Object} Simplified post object for debugging
+ * Canvas caches the /view tree, so entries written since the cache was built
+ * only appear in `new_entries`, each with its parent_id. They are placed under
+ * their parent (or at the top level) and skipped if the tree already has them.
+ * New entries are sorted by ID so replies to other new entries find their parent.
+ * 
+ * @param {Array} newEntries - The view's new_entries
+ * @param {Object} context - Same context as flattenEntryTree
  */
-function logPost(post) {
+function mergeNewEntries(newEntries, context) {
+  const { posts } = context;
+  const depthById = new Map(posts.map(post => [post.id, post.depth]));
+  const sorted = [...(newEntries || [])].sort((a, b) => a.id - b.id);
+
+  for (const entry of sorted) {
+    if (depthById.has(entry.id) || entry.deleted) continue;
+    const parentId = depthById.has(entry.parent_id) ? entry.parent_id : null;
+    const depth = parentId === null ? 0 : depthById.get(parentId) + 1;
+    flattenEntryTree([{ ...entry, replies: [] }], context, parentId, depth);
+    depthById.set(entry.id, depth);
+  }
+}
+
+/**
+ * Builds the fields that tag a post with the group it was written in
+ * 
+ * @param {Object|null} group - Canvas group, or null for course-level topics
+ * @param {number} groupTopicId - ID of the group's child topic
+ * @returns {Object|null} { group_id, group_name, group_topic_id } or null
+ */
+function getGroupTag(group, groupTopicId) {
+  if (!group) return null;
   return {
-    id: post.id,
-    title: post.topic_title,
-    message: post.message?.substring(0, 50),
-    user: post.user_name || post.user?.display_name,
-    isReply: Boolean(post.parent_id)
+    group_id: group.id,
+    group_name: group.name,
+    group_topic_id: groupTopicId
+  };
+}
+
+/**
+ * Fetches the entry tree of one topic from a course or group discussion endpoint
+ * 
+ * Uses /discussion_topics/:id/view, which returns the participants list and the
+ * complete entry tree in one request; include_new_entries=1 adds entries
+ * posted since Canvas cached the view. Canvas answers 503 while it is still
+ * building the view for a large topic; only then do we fall back to the
+ * paginated entries endpoint, which only includes recent direct replies.
+ * Other errors are passed on to the caller.
+ * 
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.basePath - `/courses/:id` or `/groups/:id`
+ * @param {Object} params.topic - Course-level topic the posts are reported under
+ * @param {number} params.topicId - Topic to load (the group's child topic for group discussions)
+ * @param {Object|null} params.group - Canvas group for group discussions
+ * @returns {Promise<Array>} Flattened posts with topic context, parent_id and depth
+ */
+async function fetchTopicTree({ apiUrl, basePath, topic, topicId, group = null }) {
+  const posts = [];
+  const groupTag = getGroupTag(group, topicId);
+
+  try {
+    const { participants = [], view = [], new_entries: newEntries = [] } = await canvasProxy({
+      apiUrl,
+      endpoint: `${basePath}/discussion_topics/${topicId}/view?include_new_entries=1`,
+      method: 'GET'
+    });
+
+    const participantsById = new Map(participants.map(participant => [participant.id, participant]));
+    const context = { topic, participantsById, posts, groupTag };
+    flattenEntryTree(view, context);
+    mergeNewEntries(newEntries, context);
+    return posts;
+  } catch (error) {
+    if (error.status !== 503) {
+      throw error;
+    }
+    console.warn(`⚠️ Discussion view not ready for topic ${topicId}, falling back to entries`);
+  }
+
+  const entries = await fetchAllPages({
+    apiUrl,
+    endpoint: `${basePath}/discussion_topics/${topicId}/entries?per_page=100&include[]=recent_replies`
+  });
+
+  const topicContext = {
+    topic_title: topic.title,
+    discussion_topic_id: topic.id,
+    assignment_id: topic.assignment_id,
+    ...groupTag
   };
+
+  for (const entry of entries) {
+    const { recent_replies: replies = [], ...fields } = entry;
+    posts.push({ ...fields, ...topicContext, parent_id: null, depth: 0 });
+
+    for (const reply of replies) {
+      posts.push({ ...reply, ...topicContext, parent_id: reply.parent_id || entry.id, depth: 1 });
+    }
+  }
+
+  return posts;
+}
+
+/**
+ * Fetches the posts of a group discussion from every group's child topic
+ * 
+ * Topics with a group_category_id only hold a placeholder at course level;
+ * each group in the category has its own child topic under
+ * /groups/:group_id/discussion_topics/:id. The child IDs come from the
+ * topic's group_topic_children, or from the group's topic list
+ * (root_topic_id) when Canvas leaves that out.
+ * 
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {Object} params.topic - Course-level group discussion topic
+ * @returns {Promise<Array>} Posts of all groups, tagged with group_id and group_name
+ */
+async function fetchGroupTopicPosts({ apiUrl, topic }) {
+  const groups = await fetchAllPages({
+    apiUrl,
+    endpoint: `/group_categories/${topic.group_category_id}/groups`
+  });
+  const childTopicIds = new Map(
+    (topic.group_topic_children || []).map(child => [child.group_id, child.id])
+  );
+
+  const groupPosts = await Promise.all(groups.map(async group => {
+    let childTopicId = childTopicIds.get(group.id);
+    if (!childTopicId) {
+      const groupTopics = await fetchAllPages({
+        apiUrl,
+        endpoint: `/groups/${group.id}/discussion_topics`
+      });
+      childTopicId = groupTopics.find(groupTopic => groupTopic.root_topic_id === topic.id)?.id;
+    }
+    if (!childTopicId) return [];
+
+    return fetchTopicTree({ apiUrl, basePath: `/groups/${group.id}`, topic, topicId: childTopicId, group });
+  }));
+
+  return groupPosts.flat();
+}
+
+/**
+ * Fetches every post in a single discussion topic, including nested replies
+ * Group discussions are loaded from each group's child topic.
+ * 
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.courseId - Canvas course ID
+ * @param {Object} params.topic - Canvas discussion topic object
+ * @returns {Promise<Array>} Flattened posts with topic context, parent_id and depth
+ */
+export async function fetchTopicPosts({ apiUrl, courseId, topic }) {
+  if (topic.group_category_id) {
+    return fetchGroupTopicPosts({ apiUrl, topic });
+  }
+  return fetchTopicTree({ apiUrl, basePath: `/courses/${courseId}`, topic, topicId: topic.id });
 }
 
 /**
@@ -60,47 +435,51 @@ function logPost(post) {
  * 
  * Core functionality:
  * - Fetches all discussion topics for the course
- * - Gets all posts (entries) for each topic with full pagination
- * - Fetches all replies for each post with full pagination
+ * - Loads each topic's full entry tree via the discussion "view" endpoint
+ * - Loads group discussions from every group's child topic and tags the posts
+ *   with group_id/group_name
+ * - Flattens nested replies with their true parent_id and depth
  * - Implements deduplication to prevent duplicate posts
  * - Adds topic context (title, assignment_id) to each post
- * - Caches results in browser localStorage for performance
+ * - Caches results per topic in IndexedDB (see cacheStore.js) for performance
  * 
  * Canvas API Pagination Pattern:
  * - Uses per_page=100 for efficiency (Canvas default is ~10-20)
- * - Loops through pages until empty response
- * - Handles both discussion entries and replies with separate pagination
+ * - Follows the Link header's rel="next" page via fetchAllPages()
+ * - The topic list is paged; the view endpoint returns each tree in one response
  * 
  * @param {Object} params - API parameters
  * @param {string} params.apiUrl - Canvas API base URL
- * @param {string} params.apiKey - Canvas API access token  
  * @param {string} params.courseId - Canvas course ID
  * @returns {Promise<Array>} Array of all discussion posts with replies
  */
-export async function fetchCanvasDiscussions({ apiUrl, apiKey, courseId }) {
+export async function fetchCanvasDiscussions({ apiUrl, courseId }) {
   
   // Check for cached data (manual refresh only - no automatic expiry)
-  const cacheKey = `canvas_discussions_${courseId}`;
-  const cached = localStorage.getItem(cacheKey);
+  const cacheMeta = await getCourseMeta(courseId);
   
-  if (cached) {
-    try {
-      const { data, timestamp } = JSON.parse(cached);
-      console.log('✓ Using cached discussion data', new Date(timestamp));
-      return data;
-    } catch (error) {
-      localStorage.removeItem(cacheKey);
-    }
+  if (cacheMeta?.timestamp) {
+    const cachedTopics = await getCourseTopics(courseId) || [];
+    const cachedPosts = cachedTopics.flatMap(record => record.posts);
+    console.log('✓ Using cached discussion data', new Date(cacheMeta.timestamp));
+    emitDataSourceEvent({
+      courseId,
+      source: 'cache',
+      timestamp: cacheMeta.timestamp,
+      topicCount: cachedTopics.length,
+      postCount: cachedPosts.length,
+      apiCalls: 0
+    });
+    return cachedPosts;
   }
 
   console.log('→ Fetching fresh discussion data from Canvas API');
+  const apiCallsBefore = apiCallCount;
   
   // Step 1: Fetch all discussion topics for the course
-  const topics = await canvasProxy({
+  const topics = await fetchAllPages({
     apiUrl,
-    apiKey,
-    endpoint: `/courses/${courseId}/discussion_topics`,
-    method: 'GET'
+    endpoint: `/courses/${courseId}/discussion_topics`
   });
 
   // DEBUG: Log topics structure for troubleshooting
@@ -117,74 +496,23 @@ export async function fetchCanvasDiscussions({ apiUrl, apiKey, courseId }) {
     console.log('⚠️ DEBUG: No discussion topics found - this may be why no users are showing up');
   }
 
-  // Step 2: Fetch all discussion entries and replies for each topic
+  // Step 2: Fetch the full entry tree for each topic
   // Use Set-based deduplication to prevent duplicate posts across topics
   const seenIds = new Set(); // Track unique post IDs to prevent duplicates
+  const topicRecords = [];
   let allPosts = [];
 
   for (const topic of topics) {
     console.log(`🔍 DEBUG: Processing topic "${topic.title}" (ID: ${topic.id})`);
     
-    // Fetch all top-level entries for this topic with full pagination
-    let allEntries = [];
-    let page = 1;
-    let hasMore = true;
-    
-    // Canvas API pagination: loop until we get fewer than 100 results
-    while (hasMore) {
-      const entries = await canvasProxy({
-        apiUrl,
-        apiKey,
-        endpoint: `/courses/${courseId}/discussion_topics/${topic.id}/entries?per_page=100&page=${page}&include[]=recent_replies`,
-        method: 'GET'
-      });
-      
-      console.log(`🔍 DEBUG: Topic "${topic.title}" page ${page}: found ${entries.length} entries`);
-      allEntries = allEntries.concat(entries);
-      
-      // Canvas pagination: if we get fewer than 100 results, we've reached the last page
-      hasMore = entries.length === 100;
-      page++;
-    }
-    
-    const entries = allEntries;
-    console.log(`🔍 DEBUG: Topic "${topic.title}" total entries: ${entries.length}`);
-
-    // Process each top-level discussion entry
-    for (const entry of entries) {
-      // Deduplication: only add if we haven't seen this post ID before
-      if (!seenIds.has(entry.id)) {
-        seenIds.add(entry.id);
-        // Enrich post data with topic context
-        entry.topic_title = topic.title;
-        entry.discussion_topic_id = topic.id;
-        if (typeof topic.assignment_id !== 'undefined') {
-          entry.assignment_id = topic.assignment_id;
-        }
-        allPosts.push(entry);
-
-        // Process replies that came with the entry (from include[]=recent_replies)
-        // This eliminates individual API calls for each entry's replies
-        const replies = entry.recent_replies || [];
-        console.log(`🔍 DEBUG: Entry ${entry.id} has ${replies.length} included replies`);
-
-        // Process each reply with same deduplication and enrichment
-        for (const reply of replies) {
-          // Deduplication: only add if we haven't seen this reply ID before
-          if (!seenIds.has(reply.id)) {
-            seenIds.add(reply.id);
-            // Enrich reply data with topic and parent context
-            reply.topic_title = topic.title;
-            reply.discussion_topic_id = topic.id;
-            reply.parent_id = entry.id; // Link reply to parent entry
-            if (typeof topic.assignment_id !== 'undefined') {
-              reply.assignment_id = topic.assignment_id;
-            }
-            allPosts.push(reply);
-          }
-        }
-      }
-    }
+    const topicPosts = await fetchTopicPosts({ apiUrl, courseId, topic });
+    console.log(`🔍 DEBUG: Topic "${topic.title}" total posts: ${topicPosts.length}`);
+
+    // Deduplication: only keep posts we haven't seen before
+    const uniquePosts = topicPosts.filter(post => !seenIds.has(post.id));
+    uniquePosts.forEach(post => seenIds.add(post.id));
+    allPosts = allPosts.concat(uniquePosts);
+    topicRecords.push(createTopicRecord(topic, uniquePosts));
   }
 
   // DEBUG: Final summary
@@ -204,85 +532,209 @@ export async function fetchCanvasDiscussions({ apiUrl, apiKey, courseId }) {
     console.log('   - Topics are unpublished or restricted');
   }
 
-  // Cache the complete dataset in browser localStorage
+  // Cache one record per topic in IndexedDB
   // Cache persists until manual refresh - no automatic expiry
-  localStorage.setItem(cacheKey, JSON.stringify({
-    data: allPosts,
-    timestamp: Date.now()
-  }));
+  // Topic activity timestamps are stored so syncCanvasDiscussions() can diff later
+  const savedMeta = await putCourseTopics(courseId, topicRecords, { replaceAll: true });
+
+  emitDataSourceEvent({
+    courseId,
+    source: 'network',
+    timestamp: savedMeta?.timestamp || Date.now(),
+    topicCount: topics.length,
+    postCount: allPosts.length,
+    apiCalls: apiCallCount - apiCallsBefore
+  });
 
   return allPosts;
 }
 
+/**
+ * Builds the cache record for one topic, including the activity timestamps
+ * syncCanvasDiscussions() compares against
+ * 
+ * @param {Object} topic - Canvas discussion topic
+ * @param {Array} posts - Flattened posts of the topic
+ * @returns {Object} { topicId, posts, state: { last_reply_at, updated_at } }
+ */
+function createTopicRecord(topic, posts) {
+  return {
+    topicId: topic.id,
+    posts,
+    state: {
+      last_reply_at: topic.last_reply_at || null,
+      updated_at: topic.updated_at || null
+    }
+  };
+}
+
+/**
+ * Incrementally syncs cached discussion data with Canvas
+ * 
+ * Sync process:
+ * - Re-fetches the topic list (cheap) and compares each topic's
+ *   last_reply_at/updated_at with the values stored at the last sync
+ * - Re-fetches posts only for new or changed topics
+ * - Drops posts for topics that no longer exist
+ * - Merges everything into the cached post set and counts new post IDs
+ * 
+ * Falls back to a full fetch when there is no cache, or the cache predates
+ * topic tracking.
+ * 
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.courseId - Canvas course ID
+ * @returns {Promise<Object>} { posts, newPostCount, changedTopicCount, timestamp }
+ */
+export async function syncCanvasDiscussions({ apiUrl, courseId }) {
+  const cacheMeta = await getCourseMeta(courseId);
+  const cachedTopics = cacheMeta?.timestamp ? await getCourseTopics(courseId) || [] : null;
+
+  // No baseline to diff against - do a full fetch instead
+  if (!cachedTopics) {
+    console.log('→ No sync baseline found, fetching all discussions');
+    await clearCache(courseId);
+    const posts = await fetchCanvasDiscussions({ apiUrl, courseId });
+    return writeLastSync(courseId, { posts, newPostCount: 0, changedTopicCount: null });
+  }
+
+  console.log('→ Syncing discussion changes since', new Date(cacheMeta.timestamp));
+  const apiCallsBefore = apiCallCount;
+
+  const topics = await fetchAllPages({
+    apiUrl,
+    endpoint: `/courses/${courseId}/discussion_topics`
+  });
+
+  const cachedById = new Map(cachedTopics.map(record => [record.topicId, record]));
+  // Group discussions are always refetched: activity happens in the groups'
+  // child topics, so the course-level timestamps don't move
+  const changedTopics = topics.filter(topic => {
+    const previous = cachedById.get(topic.id)?.state;
+    return !previous ||
+      Boolean(topic.group_category_id) ||
+      previous.last_reply_at !== (topic.last_reply_at || null) ||
+      previous.updated_at !== (topic.updated_at || null);
+  });
+
+  // Keep cached posts from unchanged topics that still exist
+  const currentTopicIds = new Set(topics.map(topic => topic.id));
+  const changedTopicIds = new Set(changedTopics.map(topic => topic.id));
+  const removedTopicIds = cachedTopics
+    .map(record => record.topicId)
+    .filter(topicId => !currentTopicIds.has(topicId));
+  const previousPostIds = new Set(cachedTopics.flatMap(record => record.posts.map(post => post.id)));
+  let mergedPosts = cachedTopics
+    .filter(record => currentTopicIds.has(record.topicId) && !changedTopicIds.has(record.topicId))
+    .flatMap(record => record.posts);
+
+  const seenIds = new Set(mergedPosts.map(post => post.id));
+  const changedRecords = [];
+  let newPostCount = 0;
+  for (const topic of changedTopics) {
+    console.log(`→ Topic "${topic.title}" changed since last sync, refetching`);
+    const topicPosts = await fetchTopicPosts({ apiUrl, courseId, topic });
+    const uniquePosts = topicPosts.filter(post => !seenIds.has(post.id));
+    uniquePosts.forEach(post => {
+      seenIds.add(post.id);
+      if (!previousPostIds.has(post.id)) newPostCount++;
+    });
+    mergedPosts = mergedPosts.concat(uniquePosts);
+    changedRecords.push(createTopicRecord(topic, uniquePosts));
+  }
+
+  const savedMeta = await putCourseTopics(courseId, changedRecords, { removeTopicIds: removedTopicIds });
+
+  console.log(`✓ Synced ${changedTopics.length} changed topics, ${newPostCount} new posts`);
+  emitDataSourceEvent({
+    courseId,
+    source: 'sync',
+    timestamp: savedMeta?.timestamp || Date.now(),
+    topicCount: topics.length,
+    postCount: mergedPosts.length,
+    apiCalls: apiCallCount - apiCallsBefore,
+    newPostCount,
+    changedTopicCount: changedTopics.length
+  });
+  return writeLastSync(courseId, { posts: mergedPosts, newPostCount, changedTopicCount: changedTopics.length });
+}
+
+/**
+ * Stores the result summary of the latest sync alongside the discussion cache
+ * 
+ * @param {string} courseId - Canvas course ID
+ * @param {Object} result - Sync result ({ posts, newPostCount, changedTopicCount })
+ * @returns {Promise<Object>} The sync result with its timestamp
+ */
+async function writeLastSync(courseId, { posts, newPostCount, changedTopicCount }) {
+  const timestamp = Date.now();
+  await updateCourseMeta(courseId, {
+    lastSync: { timestamp, newPostCount, changedTopicCount }
+  });
+  return { posts, newPostCount, changedTopicCount, timestamp };
+}
+
+/**
+ * Gets the summary of the last incremental sync for a course
+ * 
+ * @param {string} courseId - Canvas course ID
+ * @returns {Promise<Object|null>} { timestamp, newPostCount, changedTopicCount } or null
+ */
+export async function getLastSync(courseId) {
+  const cacheMeta = await getCourseMeta(courseId);
+  return cacheMeta?.lastSync || null;
+}
+
 /**
  * Fetches all posts by a specific user, including replies to their posts
  * 
  * Functionality:
  * - Gets all discussion posts using fetchCanvasDiscussions()
- * - Filters for posts by the specified user (by display name or user ID)
- * - Includes replies to user's posts (regardless of who made the reply)
+ * - Filters for top-level posts by the specified Canvas user ID
+ * - Includes every reply nested under the user's posts (regardless of who made the reply)
  * - Organizes posts and replies for threaded display
  * 
- * User Identification:
- * - Uses Canvas user.display_name or user_name fields
- * - Matches by user_id when available (more reliable)
- * - Falls back to display name matching
+ * Users are matched by ID only, so students who share a display name are
+ * never merged and renames in Canvas don't lose posts.
  * 
  * @param {Object} params - API parameters
  * @param {string} params.apiUrl - Canvas API base URL
- * @param {string} params.apiKey - Canvas API access token
  * @param {string} params.courseId - Canvas course ID
- * @param {string} params.userName - User's display name for filtering
- * @param {string} params.userId - Canvas user ID for filtering (optional but more reliable)
+ * @param {string|number} params.userId - Canvas user ID
  * @returns {Promise<Array>} Array of user's posts and replies to their posts
  */
-export async function fetchCanvasUserPosts({ apiUrl, apiKey, courseId, userName, userId }) {
+export async function fetchCanvasUserPosts({ apiUrl, courseId, userId }) {
   // Get all course discussions first
-  const allPosts = await fetchCanvasDiscussions({ apiUrl, apiKey, courseId });
-  
-  // Debug logging for specific topic (can be removed in production)
-  console.log('=== All Posts ===');
-  allPosts.forEach(post => {
-    if (post.topic_title.includes('Module 1 | Reflection')) {
-      console.log(logPost(post));
-    }
-  });
+  const allPosts = await fetchCanvasDiscussions({ apiUrl, courseId });
 
   // Step 1: Get all top-level posts by the user (posts without parent_id)
-  // Canvas user identification can use multiple fields - check all possibilities
   const userMainPosts = allPosts.filter(post => {
-    const isUserPost = (
-      ((post.user && (post.user.id == userId || post.user.display_name === userName)) ||
-       post.user_id == userId ||
-       post.user_name === userName) &&
-      !post.parent_id  // Only include top-level posts (no parent)
-    );
-    return isUserPost;
+    const postUserId = post.user?.id ?? post.user_id;
+    return String(postUserId) === String(userId) && !post.parent_id;
   });
 
-  // Step 2: Get all replies to the user's posts (regardless of who made the reply)
+  // Step 2: Get the whole reply tree under the user's posts (regardless of who replied)
   // This creates a comprehensive view of the user's discussion threads
-  const userMainPostIds = userMainPosts.map(post => post.id);
-
-  // Track replies by parent post for organization
   const repliesByParent = new Map();
-
-  // Find all replies to the user's top-level posts
-  const repliesToUserPosts = allPosts.filter(post => {
-    // Only include posts that are replies to user's main posts
-    if (!userMainPostIds.includes(post.parent_id)) return false;
-    
-    // Organize replies by parent post for threaded display
+  allPosts.forEach(post => {
+    if (!post.parent_id) return;
     if (!repliesByParent.has(post.parent_id)) {
       repliesByParent.set(post.parent_id, []);
     }
-    
-    // Add this reply to its parent's reply array
     repliesByParent.get(post.parent_id).push(post);
-    
-    return true;
   });
 
+  // Walk down from each main post so reply-to-reply conversations are kept
+  const repliesToUserPosts = [];
+  const pendingParentIds = userMainPosts.map(post => post.id);
+  while (pendingParentIds.length > 0) {
+    const parentId = pendingParentIds.shift();
+    for (const reply of repliesByParent.get(parentId) || []) {
+      repliesToUserPosts.push(reply);
+      pendingParentIds.push(reply.id);
+    }
+  }
+
   // Step 3: Combine user's main posts with all replies to those posts
   // This gives a complete view of the user's discussion participation
   const postsAndReplies = [...userMainPosts, ...repliesToUserPosts];
@@ -297,36 +749,149 @@ export async function fetchCanvasUserPosts({ apiUrl, apiKey, courseId, userName,
   return postsAndReplies;
 }
 
+/**
+ * Fetches a user enrolled in the course
+ * 
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.courseId - Canvas course ID
+ * @param {string|number} params.userId - Canvas user ID
+ * @returns {Promise<Object|null>} { id, name, avatarUrl } or null if Canvas doesn't return the user
+ */
+export async function fetchCourseUser({ apiUrl, courseId, userId }) {
+  try {
+    const user = await canvasProxy({
+      endpoint: `/courses/${courseId}/users/${userId}?include[]=avatar_url`
+    });
+    if (!user?.id) return null;
+    return { id: String(user.id), name: user.name || user.short_name || '', avatarUrl: user.avatar_url || null };
+  } catch (error) {
+    console.warn(`Could not fetch course user ${userId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Finds the Canvas users in a course with a given display name
+ * Used to redirect old name-based user links to ID-based ones. Discussion
+ * authors are checked first (cached), then the course roster search.
+ * 
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.courseId - Canvas course ID
+ * @param {string} params.userName - Display name from the old URL
+ * @returns {Promise<Array>} Matching users as { id, name }; more than one when names are shared
+ */
+export async function findCourseUsersByName({ apiUrl, courseId, userName }) {
+  const matches = new Map();
+  const posts = await fetchCanvasDiscussions({ apiUrl, courseId });
+  posts.forEach(post => {
+    const name = post.user?.display_name || post.user_name;
+    const id = post.user?.id ?? post.user_id;
+    if (name === userName && id) matches.set(String(id), { id: String(id), name });
+  });
+  if (matches.size > 0) return Array.from(matches.values());
+
+  const users = await fetchAllPages({
+    apiUrl,
+    endpoint: `/courses/${courseId}/users?search_term=${encodeURIComponent(userName)}&per_page=100`
+  }).catch(() => []);
+  return users
+    .filter(user => user.name === userName || user.short_name === userName)
+    .map(user => ({ id: String(user.id), name: user.name }));
+}
+
+/**
+ * Posts a reply to a discussion entry and adds it to the local cache
+ * 
+ * Group discussion entries are answered in the group's child topic. The new
+ * reply is appended to the cached topic and the processed dashboard data is
+ * dropped, so teacher feedback counts include it the next time a dashboard
+ * loads, without refetching the discussions.
+ * 
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.courseId - Canvas course ID
+ * @param {Object} params.parent - Flattened post being replied to
+ * @param {string} params.message - Reply HTML
+ * @param {Object|null} params.author - Logged-in Canvas user ({ id, name }) for the local copy
+ * @returns {Promise<Object>} The new reply, flattened like the cached posts
+ */
+export async function postDiscussionReply({ apiUrl, courseId, parent, message, author = null }) {
+  const basePath = parent.group_id ? `/groups/${parent.group_id}` : `/courses/${courseId}`;
+  const topicId = parent.group_topic_id || parent.discussion_topic_id;
+
+  const entry = await canvasProxy({
+    apiUrl,
+    endpoint: `${basePath}/discussion_topics/${topicId}/entries/${parent.id}/replies`,
+    method: 'POST',
+    body: { message }
+  });
+
+  const reply = {
+    ...entry,
+    user_id: entry.user_id ?? author?.id,
+    parent_id: parent.id,
+    depth: (parent.depth || 0) + 1,
+    user: entry.user || (author ? { id: author.id, display_name: author.name } : undefined),
+    user_name: entry.user_name || author?.name,
+    topic_title: parent.topic_title,
+    discussion_topic_id: parent.discussion_topic_id
+  };
+  if (typeof parent.assignment_id !== 'undefined') {
+    reply.assignment_id = parent.assignment_id;
+  }
+  if (parent.group_id) {
+    Object.assign(reply, {
+      group_id: parent.group_id,
+      group_name: parent.group_name,
+      group_topic_id: parent.group_topic_id
+    });
+  }
+
+  await appendTopicPosts(courseId, parent.discussion_topic_id, [reply]);
+  await clearProcessedData(courseId);
+  return reply;
+}
+
 /**
  * Clears cached discussion data for a specific course
  * Used when user wants fresh data or when settings change
  * 
  * @param {string} courseId - Canvas course ID
  */
-export function clearCache(courseId) {
-  const cacheKey = `canvas_discussions_${courseId}`;
-  localStorage.removeItem(cacheKey);
+export async function clearCache(courseId) {
+  await clearCourse(courseId);
   console.log('✓ Cache cleared for course', courseId);
 }
 
+/**
+ * Gets metadata about the cached discussion data for a course
+ * Lets the UI show cache age and size without loading every post
+ * 
+ * @param {string} courseId - Canvas course ID
+ * @returns {Promise<Object|null>} { timestamp, topicCount, postCount, lastSync } or null if nothing is cached
+ */
+export async function getCacheMetadata(courseId) {
+  const cacheMeta = await getCourseMeta(courseId);
+  if (!cacheMeta?.timestamp) return null;
+  
+  return {
+    timestamp: cacheMeta.timestamp,
+    topicCount: cacheMeta.topicCount || 0,
+    postCount: cacheMeta.postCount || 0,
+    lastSync: cacheMeta.lastSync || null
+  };
+}
+
 /**
  * Gets the timestamp when discussion data was last cached
  * Used to display cache age to users
  * 
  * @param {string} courseId - Canvas course ID
- * @returns {number|null} Cache timestamp or null if no cache exists
+ * @returns {Promise<number|null>} Cache timestamp or null if no cache exists
  */
-export function getCacheTimestamp(courseId) {
-  const cacheKey = `canvas_discussions_${courseId}`;
-  const cached = localStorage.getItem(cacheKey);
-  
-  if (cached) {
-    try {
-      const { timestamp } = JSON.parse(cached);
-      return timestamp;
-    } catch (error) {
-      return null;
-    }
-  }
-  return null;
+export async function getCacheTimestamp(courseId) {
+  const cacheMeta = await getCacheMetadata(courseId);
+  return cacheMeta ? cacheMeta.timestamp : null;
 }
@@ -0,0 +1,230 @@
+/**
+ * Canvas OAuth2 - Authorization Code Flow
+ *
+ * Alternative to pasting a personal access token. Facilitators are sent to
+ * Canvas to approve the app's developer key; the callback exchanges the code
+ * for an access/refresh token pair that is stored in the same encrypted
+ * session cookie as pasted tokens (authMode: 'oauth'). The rest of the app
+ * only sees "a session exists", whichever mode created it.
+ *
+ * Configuration (environment):
+ * - CANVAS_OAUTH_BASE_URL: Canvas root, e.g. https://school.instructure.com
+ * - CANVAS_OAUTH_CLIENT_ID / CANVAS_OAUTH_CLIENT_SECRET: developer key
+ * - CANVAS_OAUTH_REDIRECT_URI: optional, defaults to <origin>/api/auth/oauth/callback
+ * - CANVAS_OAUTH_SCOPES: optional space-separated scopes; defaults to
+ *   DEFAULT_SCOPES for developer keys with scope enforcement
+ *
+ * Server-only: import from pages/api routes.
+ */
+
+import crypto from 'crypto';
+import { setSessionCookie } from './canvasSession';
+
+export const OAUTH_STATE_COOKIE = 'canvas_oauth_state';
+
+// Refresh a little before Canvas expires the token (access tokens last an hour)
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Endpoints the app calls, for developer keys that enforce scopes
+export const DEFAULT_SCOPES = [
+  'url:GET|/api/v1/users/:id',
+  'url:GET|/api/v1/courses',
+  'url:GET|/api/v1/courses/:id',
+  'url:GET|/api/v1/courses/:course_id/discussion_topics',
+  'url:GET|/api/v1/courses/:course_id/discussion_topics/:topic_id/view',
+  'url:GET|/api/v1/courses/:course_id/discussion_topics/:topic_id/entries',
+  'url:POST|/api/v1/courses/:course_id/discussion_topics/:topic_id/entries/:entry_id/replies',
+  'url:GET|/api/v1/courses/:course_id/enrollments',
+  'url:GET|/api/v1/courses/:course_id/sections',
+  'url:GET|/api/v1/courses/:course_id/users',
+  'url:GET|/api/v1/courses/:course_id/users/:id',
+  'url:GET|/api/v1/courses/:course_id/students/submissions',
+  'url:GET|/api/v1/courses/:course_id/assignments',
+  'url:GET|/api/v1/courses/:course_id/assignments/:id',
+  'url:GET|/api/v1/courses/:course_id/assignments/:assignment_id/submissions',
+  'url:GET|/api/v1/courses/:course_id/assignments/:assignment_id/submissions/:user_id',
+  'url:PUT|/api/v1/courses/:course_id/assignments/:assignment_id/submissions/:user_id',
+  'url:POST|/api/v1/courses/:course_id/assignments/:assignment_id/submissions/update_grades',
+  'url:GET|/api/v1/progress/:id',
+  'url:GET|/api/v1/group_categories/:group_category_id/groups',
+  'url:GET|/api/v1/groups/:group_id/discussion_topics',
+  'url:GET|/api/v1/groups/:group_id/discussion_topics/:topic_id/view',
+  'url:GET|/api/v1/groups/:group_id/discussion_topics/:topic_id/entries',
+  'url:POST|/api/v1/groups/:group_id/discussion_topics/:topic_id/entries/:entry_id/replies',
+  'url:GET|/api/v1/files/:id'
+];
+
+/**
+ * Reads the OAuth configuration from the environment
+ *
+ * @returns {Object|null} { baseUrl, clientId, clientSecret, redirectUri, scopes } or null if not configured
+ */
+export function getOAuthConfig() {
+  const baseUrl = (process.env.CANVAS_OAUTH_BASE_URL || '').replace(/\/$/, '');
+  const clientId = process.env.CANVAS_OAUTH_CLIENT_ID;
+  const clientSecret = process.env.CANVAS_OAUTH_CLIENT_SECRET;
+  if (!baseUrl || !clientId || !clientSecret) return null;
+
+  const scopes = process.env.CANVAS_OAUTH_SCOPES
+    ? process.env.CANVAS_OAUTH_SCOPES.split(/\s+/).filter(Boolean)
+    : DEFAULT_SCOPES;
+
+  return {
+    baseUrl,
+    clientId,
+    clientSecret,
+    redirectUri: process.env.CANVAS_OAUTH_REDIRECT_URI || null,
+    scopes
+  };
+}
+
+/**
+ * Works out the callback URL registered with the developer key
+ *
+ * @param {Object} config - OAuth configuration
+ * @param {NextApiRequest} req - Next.js API request object
+ * @returns {string} Absolute redirect URI
+ */
+export function getRedirectUri(config, req) {
+  if (config.redirectUri) return config.redirectUri;
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  return `${protocol}://${req.headers.host}/api/auth/oauth/callback`;
+}
+
+/**
+ * Creates a random state value to tie the callback to this browser
+ *
+ * @returns {string} URL-safe random string
+ */
+export function createState() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Builds the Canvas authorization URL the browser is redirected to
+ *
+ * @param {Object} config - OAuth configuration
+ * @param {string} redirectUri - Callback URL
+ * @param {string} state - Value echoed back to the callback
+ * @returns {string} Canvas /login/oauth2/auth URL
+ */
+export function buildAuthorizeUrl(config, redirectUri, state) {
+  const params = new URLSearchParams({
+    client_id: config.clientId,
+    response_type: 'code',
+    redirect_uri: redirectUri,
+    state
+  });
+  if (config.scopes.length > 0) {
+    params.set('scope', config.scopes.join(' '));
+  }
+  return `${config.baseUrl}/login/oauth2/auth?${params.toString()}`;
+}
+
+/**
+ * Posts to the Canvas token endpoint
+ *
+ * @param {Object} config - OAuth configuration
+ * @param {Object} params - Grant-specific form fields
+ * @returns {Promise<Object>} Token response
+ */
+async function requestToken(config, params) {
+  const res = await fetch(`${config.baseUrl}/login/oauth2/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      ...params
+    }).toString()
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.access_token) {
+    throw new Error(data.error_description || data.error || `Canvas token request failed (${res.status})`);
+  }
+  return data;
+}
+
+/**
+ * Builds the session payload from a Canvas token response
+ *
+ * @param {Object} config - OAuth configuration
+ * @param {Object} token - Token response from Canvas
+ * @param {Object} previous - Existing session (refresh responses omit refresh_token and user)
+ * @returns {Object} Session payload for setSessionCookie()
+ */
+function toSession(config, token, previous = {}) {
+  return {
+    authMode: 'oauth',
+    apiUrl: `${config.baseUrl}/api/v1`,
+    apiKey: token.access_token,
+    refreshToken: token.refresh_token || previous.refreshToken,
+    expiresAt: token.expires_in ? Date.now() + token.expires_in * 1000 : null,
+    user: token.user ? { id: token.user.id, name: token.user.name } : previous.user || null
+  };
+}
+
+/**
+ * Exchanges an authorization code for tokens
+ *
+ * @param {Object} config - OAuth configuration
+ * @param {string} code - Code from the callback query string
+ * @param {string} redirectUri - Same redirect URI used for the authorize step
+ * @returns {Promise<Object>} Session payload
+ */
+export async function exchangeCode(config, code, redirectUri) {
+  const token = await requestToken(config, {
+    grant_type: 'authorization_code',
+    redirect_uri: redirectUri,
+    code
+  });
+  return toSession(config, token);
+}
+
+/**
+ * Returns the request's session, refreshing an expiring OAuth access token
+ * first and re-sealing the cookie. Token sessions pass through unchanged.
+ *
+ * @param {Object|null} session - Session from getSession()
+ * @param {NextApiResponse} res - Next.js API response object
+ * @returns {Promise<Object|null>} Usable session, or null if the refresh failed
+ */
+export async function ensureFreshSession(session, res) {
+  if (!session || session.authMode !== 'oauth') return session;
+  if (!session.expiresAt || session.expiresAt - REFRESH_MARGIN_MS > Date.now()) return session;
+
+  const config = getOAuthConfig();
+  if (!config || !session.refreshToken) return null;
+
+  try {
+    const token = await requestToken(config, {
+      grant_type: 'refresh_token',
+      refresh_token: session.refreshToken
+    });
+    const refreshed = toSession(config, token, session);
+    setSessionCookie(res, refreshed);
+    return refreshed;
+  } catch (error) {
+    console.error('Canvas OAuth refresh failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Revokes an OAuth access token at Canvas (best effort, used on logout)
+ *
+ * @param {Object} session - Session being ended
+ */
+export async function revokeToken(session) {
+  const config = getOAuthConfig();
+  if (!config || session?.authMode !== 'oauth') return;
+
+  try {
+    await fetch(`${config.baseUrl}/login/oauth2/token`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${session.apiKey}` }
+    });
+  } catch (error) {
+    console.warn('Canvas OAuth token revocation failed:', error.message);
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Canvas Proxy Request Policy
+ *
+ * Server-side checks that keep /api/canvas-proxy from being used as an open
+ * relay. A request is only forwarded when:
+ * - apiUrl is an https Canvas API base (…/api/v1) on an allowlisted host
+ *   (http://localhost is accepted outside production for the mock Canvas)
+ * - endpoint is a relative API path (no absolute URLs, `..` or backslashes)
+ * - method is one the app actually uses
+ *
+ * Allowed hosts come from the CANVAS_ALLOWED_HOSTS environment variable, a
+ * comma-separated list where `*.` matches any subdomain
+ * (e.g. "bostoncollege.instructure.com,*.instructure.com").
+ */
+
+// Used when CANVAS_ALLOWED_HOSTS is not set: Instructure-hosted Canvas only
+const DEFAULT_ALLOWED_HOSTS = ['*.instructure.com'];
+
+// GET for reads, POST for replies, PUT for grades
+export const ALLOWED_METHODS = ['GET', 'POST', 'PUT'];
+
+/**
+ * Reads the host allowlist from the environment
+ *
+ * @param {string|undefined} envValue - Raw CANVAS_ALLOWED_HOSTS value
+ * @returns {Array<string>} Lowercased host patterns
+ */
+export function getAllowedHosts(envValue = process.env.CANVAS_ALLOWED_HOSTS) {
+  const hosts = (envValue || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return hosts.length > 0 ? hosts : DEFAULT_ALLOWED_HOSTS;
+}
+
+/**
+ * Checks a hostname against the allowlist
+ *
+ * @param {string} hostname - Hostname from the requested apiUrl
+ * @param {Array<string>} allowedHosts - Host patterns from getAllowedHosts()
+ * @returns {boolean} True when the host is allowed
+ */
+export function isHostAllowed(hostname, allowedHosts) {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(pattern => {
+    if (pattern.startsWith('*.')) {
+      return host.endsWith(pattern.slice(1));
+    }
+    return host === pattern;
+  });
+}
+
+/**
+ * Checks that an endpoint is a plain Canvas API path
+ *
+ * @param {string} endpoint - Endpoint requested by the client
+ * @returns {boolean} True when the path is safe to append to apiUrl
+ */
+export function isEndpointValid(endpoint) {
+  if (typeof endpoint !== 'string' || !endpoint.startsWith('/') || endpoint.startsWith('//')) {
+    return false;
+  }
+
+  const [path] = endpoint.split('?');
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(path);
+  } catch (error) {
+    return false;
+  }
+
+  return !decodedPath.includes('\\') &&
+    !decodedPath.includes('://') &&
+    !decodedPath.split('/').some(segment => segment === '..' || segment === '.');
+}
+
+/**
+ * Allows plain http to a local mock Canvas (scripts/mock-canvas-oauth.mjs) outside production
+ *
+ * @param {URL} url - Parsed apiUrl
+ * @returns {boolean} True for http://localhost or 127.0.0.1 in development
+ */
+function isLocalDevHost(url) {
+  return process.env.NODE_ENV !== 'production' &&
+    url.protocol === 'http:' &&
+    ['localhost', '127.0.0.1'].includes(url.hostname);
+}
+
+/**
+ * Validates a proxy request and builds the Canvas URL to call
+ *
+ * @param {Object} params - Proxy request parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.endpoint - Canvas API endpoint path
+ * @param {string} params.method - HTTP method
+ * @param {Array<string>} allowedHosts - Host patterns (defaults to the environment)
+ * @returns {Object} { url } when allowed, or { error } describing why it was blocked
+ */
+export function validateProxyRequest({ apiUrl, endpoint, method = 'GET' }, allowedHosts = getAllowedHosts()) {
+  if (!ALLOWED_METHODS.includes(String(method).toUpperCase())) {
+    return { error: `Method ${method} is not allowed. Allowed methods: ${ALLOWED_METHODS.join(', ')}.` };
+  }
+
+  let base;
+  try {
+    base = new URL(apiUrl);
+  } catch (error) {
+    return { error: 'apiUrl is not a valid URL.' };
+  }
+
+  if (base.protocol !== 'https:' && !isLocalDevHost(base)) {
+    return { error: 'apiUrl must use https.' };
+  }
+  if (base.username || base.password || base.search || base.hash) {
+    return { error: 'apiUrl must not include credentials, a query string or a fragment.' };
+  }
+  if (!isHostAllowed(base.hostname, allowedHosts)) {
+    return { error: `Canvas host ${base.hostname} is not in the allowlist (CANVAS_ALLOWED_HOSTS).` };
+  }
+
+  const basePath = base.pathname.replace(/\/$/, '');
+  if (basePath !== '/api/v1') {
+    return { error: 'apiUrl must point at the Canvas API root (…/api/v1).' };
+  }
+
+  if (!isEndpointValid(endpoint)) {
+    return { error: 'endpoint must be a relative Canvas API path without ".." segments.' };
+  }
+
+  // Final guard: the combined URL must stay on the same origin and under /api/v1
+  let url;
+  try {
+    url = new URL(`${base.origin}${basePath}${endpoint}`);
+  } catch (error) {
+    return { error: 'endpoint is not a valid path.' };
+  }
+  if (url.origin !== base.origin || !url.pathname.startsWith(`${basePath}/`)) {
+    return { error: 'endpoint resolves outside the Canvas API.' };
+  }
+
+  return { url: url.toString() };
+}
@@ -0,0 +1,140 @@
+/**
+ * Canvas Session - Server-Side Credential Storage
+ *
+ * Keeps the Canvas API token out of the browser. The login endpoints seal
+ * { authMode, apiUrl, apiKey, user } with AES-256-GCM into an httpOnly cookie
+ * (OAuth sessions also carry refreshToken/expiresAt), and API routes
+ * (canvas-proxy, auth/*) unseal it on each request. Page scripts can't read
+ * the cookie, so the token never reaches client-side code.
+ *
+ * The encryption key is derived from the SESSION_SECRET environment variable.
+ * Server-only: import from pages/api routes, never from components or pages.
+ */
+
+import crypto from 'crypto';
+
+export const SESSION_COOKIE = 'canvas_session';
+
+// Sessions last one working day; users log in again after that
+const SESSION_MAX_AGE_SECONDS = 12 * 60 * 60;
+
+let devSecret = null;
+
+/**
+ * Derives the 256-bit encryption key from SESSION_SECRET
+ * Outside production a random per-process secret is used when none is set,
+ * which means sessions end whenever the dev server restarts.
+ *
+ * @returns {Buffer} Encryption key
+ */
+function getKey() {
+  let secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SESSION_SECRET must be set to store Canvas credentials');
+    }
+    if (!devSecret) {
+      devSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('SESSION_SECRET is not set; using a temporary secret for this dev server');
+    }
+    secret = devSecret;
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypts session data into a cookie-safe string
+ *
+ * @param {Object} data - Session payload
+ * @returns {string} base64url(iv | auth tag | ciphertext)
+ */
+export function sealSession(data) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const payload = JSON.stringify({ ...data, exp: Date.now() + SESSION_MAX_AGE_SECONDS * 1000 });
+  const ciphertext = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+/**
+ * Decrypts and verifies a sealed session
+ *
+ * @param {string} sealed - Value produced by sealSession()
+ * @returns {Object|null} Session payload, or null if tampered with or expired
+ */
+export function unsealSession(sealed) {
+  if (!sealed) return null;
+  try {
+    const raw = Buffer.from(sealed, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    const payload = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+    const data = JSON.parse(payload);
+    return data.exp > Date.now() ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds a Set-Cookie header value for an httpOnly app cookie
+ *
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {number} maxAge - Lifetime in seconds (0 deletes the cookie)
+ * @returns {string} Set-Cookie header value
+ */
+export function serializeCookie(name, value, maxAge) {
+  const parts = [
+    `${name}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAge}`
+  ];
+  if (process.env.NODE_ENV === 'production') {
+    parts.push('Secure');
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Adds a Set-Cookie header without dropping cookies set earlier in the request
+ *
+ * @param {NextApiResponse} res - Next.js API response object
+ * @param {string} cookie - Serialized cookie from serializeCookie()
+ */
+export function appendCookie(res, cookie) {
+  const existing = res.getHeader('Set-Cookie');
+  const cookies = existing ? [].concat(existing) : [];
+  res.setHeader('Set-Cookie', [...cookies, cookie]);
+}
+
+/**
+ * Reads the current session from the request cookie
+ *
+ * @param {NextApiRequest} req - Next.js API request object
+ * @returns {Object|null} Session payload ({ authMode, apiUrl, apiKey, user, ... }) or null
+ */
+export function getSession(req) {
+  return unsealSession(req.cookies?.[SESSION_COOKIE]);
+}
+
+/**
+ * Stores session data in an encrypted httpOnly cookie
+ *
+ * @param {NextApiResponse} res - Next.js API response object
+ * @param {Object} data - Session payload
+ */
+export function setSessionCookie(res, data) {
+  appendCookie(res, serializeCookie(SESSION_COOKIE, sealSession(data), SESSION_MAX_AGE_SECONDS));
+}
+
+/**
+ * Deletes the session cookie
+ *
+ * @param {NextApiResponse} res - Next.js API response object
+ */
+export function clearSessionCookie(res) {
+  appendCookie(res, serializeCookie(SESSION_COOKIE, '', 0));
+}
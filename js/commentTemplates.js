@@ -0,0 +1,55 @@
+/**
+ * Comment Bank Templates
+ *
+ * Comments in the shared bank (convex/commentBank.ts) can contain
+ * variables in braces that are filled from Canvas data when the comment is
+ * inserted. Unknown variables and variables without a value are left as
+ * written, so a facilitator can see what still needs editing.
+ */
+
+// Variables offered in the comment bank, with the help text shown for each
+export const COMMENT_VARIABLES = [
+  { name: 'first_name', description: "Student's first name" },
+  { name: 'student_name', description: "Student's full name" },
+  { name: 'topic_title', description: 'Discussion topic title' },
+  { name: 'facilitator_name', description: 'Your name from Settings' }
+];
+
+/**
+ * Guesses a first name from a Canvas display name
+ *
+ * @param {string} name - Display name (e.g. "Ada Lovelace")
+ * @returns {string} First word of the name, or '' when unknown
+ */
+export function getFirstName(name) {
+  return String(name || '').trim().split(/\s+/)[0] || '';
+}
+
+/**
+ * Builds template values for a student and topic
+ *
+ * @param {Object} context - Canvas data for the comment
+ * @param {string} [context.studentName] - Student display name
+ * @param {string} [context.topicTitle] - Discussion topic title
+ * @param {string} [context.facilitatorName] - Facilitator name
+ * @returns {Object} Variable name -> value
+ */
+export function buildTemplateValues({ studentName, topicTitle, facilitatorName } = {}) {
+  return {
+    first_name: getFirstName(studentName),
+    student_name: studentName || '',
+    topic_title: topicTitle || '',
+    facilitator_name: facilitatorName || ''
+  };
+}
+
+/**
+ * Fills a comment's {variables}
+ *
+ * @param {string} text - Comment text from the bank
+ * @param {Object} values - From buildTemplateValues()
+ * @returns {string} Comment with known variables replaced
+ */
+export function fillCommentTemplate(text, values) {
+  return String(text || '').replace(/\{(\w+)\}/g, (match, name) => values[name] || match);
+}
@@ -0,0 +1,60 @@
+/**
+ * Course-Scoped Routes
+ *
+ * Course pages live under /courses/[courseId]/… so links and bookmarks always
+ * name the course they show. The unscoped routes (/, /feedback, /users,
+ * /user/[userId]) still work and use the last selected course.
+ */
+
+// Next.js pathname prefix of the course-scoped pages
+export const COURSE_ROUTE_PREFIX = '/courses/[courseId]';
+
+// Unscoped pages that also exist under /courses/[courseId]
+const COURSE_PAGES = ['/', '/feedback', '/users'];
+
+/**
+ * Builds the course-scoped URL for a page
+ *
+ * @param {string|number} courseId - Canvas course ID (falls back to the unscoped path when empty)
+ * @param {string} path - Page path within the course, e.g. '/feedback' or '/user/1234'
+ * @returns {string} URL such as /courses/123/feedback
+ */
+export function coursePath(courseId, path = '/') {
+  if (!courseId) return path;
+  const suffix = path === '/' ? '' : path;
+  return `/courses/${encodeURIComponent(courseId)}${suffix}`;
+}
+
+/**
+ * Reads the course ID from a browser path before the router has parsed it
+ *
+ * @param {string} pathname - window.location.pathname
+ * @returns {string} Course ID, or '' when the path is not course-scoped
+ */
+export function getCourseIdFromPath(pathname) {
+  const match = /^\/courses\/([^/]+)/.exec(pathname || '');
+  return match ? decodeURIComponent(match[1]) : '';
+}
+
+/**
+ * Works out where to go after switching course from the current page
+ * List pages keep their place in the new course; per-student pages go to the
+ * course home because the student may not be enrolled there.
+ *
+ * @param {string} pathname - Next.js router pathname (e.g. '/courses/[courseId]/feedback')
+ * @param {string|number} courseId - Course being switched to
+ * @returns {string|null} URL to navigate to, or null to stay on the current page
+ */
+export function getCourseSwitchPath(pathname, courseId) {
+  let page = pathname;
+  if (pathname.startsWith(COURSE_ROUTE_PREFIX)) {
+    page = pathname.slice(COURSE_ROUTE_PREFIX.length) || '/';
+  } else if (!COURSE_PAGES.includes(pathname) && !pathname.startsWith('/user/')) {
+    return null;
+  }
+
+  if (page.includes('[')) {
+    return coursePath(courseId, '/');
+  }
+  return coursePath(courseId, page);
+}
@@ -1,5 +1,15 @@
 // Data utilities for attendance verification
 
+import { fetchAllPages } from './canvasApi';
+import {
+  ROLE_STUDENT,
+  loadRolePolicy,
+  normalizeRolePolicy,
+  classifyRoster,
+  getUserRole,
+  isEnrolled
+} from './rolePolicy';
+
 
 // Advanced CSV parser that handles quoted fields and various edge cases
 export function parseCSV(csvText, filename = 'file') {
@@ -230,13 +240,14 @@ export async function loadDataFiles() {
 export function createMasterParticipantList(canvasUsers, csvData) {
   const participants = new Map();
   
-  // Start with Canvas users as the authoritative source, use display name as key
+  // Start with Canvas users as the authoritative source, keyed by Canvas user ID
+  // (display names are only a fallback for users without one)
   canvasUsers.forEach(user => {
-    const nameKey = user.displayName || user.userName || 'unknown';
+    const key = user.userId ? `id-${user.userId}` : user.displayName || user.userName || 'unknown';
     
-    console.log(`Processing Canvas user: ${user.displayName} -> key: ${nameKey}`);
+    console.log(`Processing Canvas user: ${user.displayName} -> key: ${key}`);
     
-    participants.set(nameKey, {
+    participants.set(key, {
       id: user.userId,
       canvasDisplayName: user.displayName,
       canvasUserName: user.userName,
@@ -347,7 +358,7 @@ export function createMasterParticipantList(canvasUsers, csvData) {
             discrepancies: []
           };
           
-          participants.set(reg.Name.trim(), newParticipant);
+          participants.set(newParticipant.id, newParticipant);
         }
       }
     });
@@ -364,13 +375,14 @@ export function createMasterParticipantList(canvasUsers, csvData) {
 export function createMasterParticipantListWithVerification(canvasUsers, csvData) {
   const participants = new Map();
   
-  // Start with Canvas users as the authoritative source, use display name as key
+  // Start with Canvas users as the authoritative source, keyed by Canvas user ID
+  // (display names are only a fallback for users without one)
   canvasUsers.forEach(user => {
-    const nameKey = user.displayName || user.userName || 'unknown';
+    const key = user.userId ? `id-${user.userId}` : user.displayName || user.userName || 'unknown';
     
-    console.log(`Processing Canvas user: ${user.displayName} -> key: ${nameKey}`);
+    console.log(`Processing Canvas user: ${user.displayName} -> key: ${key}`);
     
-    participants.set(nameKey, {
+    participants.set(key, {
       id: user.userId,
       canvasDisplayName: user.displayName,
       canvasUserName: user.userName,
@@ -468,7 +480,7 @@ export function createMasterParticipantListWithVerification(canvasUsers, csvData
             discrepancies: []
           };
           
-          participants.set(reg.Name.trim(), newParticipant);
+          participants.set(newParticipant.id, newParticipant);
         }
       }
     });
@@ -581,75 +593,95 @@ export function createMasterParticipantListWithVerification(canvasUsers, csvData
   return Array.from(participants.values());
 }
 
-// Filter out teacher/instructor roles
-// Fetch course enrollments to identify teacher roles
-export async function fetchCourseEnrollments(apiUrl, apiKey, courseId) {
-  try {
-    const response = await fetch('/api/canvas-proxy', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        apiUrl,
-        apiKey,
-        endpoint: `/courses/${courseId}/enrollments?per_page=100`,
-        method: 'GET'
-      })
-    });
-    
-    if (!response.ok) {
-      console.warn('Could not fetch course enrollments');
+// Fetch every enrollment in a course with its section
+// Users enrolled in several sections have one enrollment per section
+async function fetchEnrollmentList(apiUrl, courseId) {
+  const enrollments = await fetchAllPages({
+    apiUrl,
+    endpoint: `/courses/${courseId}/enrollments?per_page=100`
+  });
+
+  return enrollments.map(enrollment => ({
+    userId: enrollment.user_id,
+    name: enrollment.user?.name || '',
+    type: enrollment.type,
+    role: enrollment.role,
+    sectionId: enrollment.course_section_id != null ? String(enrollment.course_section_id) : null,
+    state: enrollment.enrollment_state
+  }));
+}
+
+// Fetch course enrollments with their sections, plus the section names
+export async function fetchCourseRoster(apiUrl, courseId) {
+  const [roster, sections] = await Promise.all([
+    fetchEnrollmentList(apiUrl, courseId),
+    fetchAllPages({
+      apiUrl,
+      endpoint: `/courses/${courseId}/sections`
+    }).catch(error => {
+      console.warn('Could not fetch course sections:', error);
       return [];
+    })
+  ]);
+
+  // Name sections from the sections endpoint, falling back to their IDs
+  const sectionNames = new Map(sections.map(section => [String(section.id), section.name]));
+  roster.forEach(enrollment => {
+    if (enrollment.sectionId && !sectionNames.has(enrollment.sectionId)) {
+      sectionNames.set(enrollment.sectionId, `Section ${enrollment.sectionId}`);
     }
-    
-    const enrollments = await response.json();
-    
-    // Extract teacher/instructor user IDs
-    const teacherUserIds = new Set();
-    enrollments.forEach(enrollment => {
-      // Canvas roles that indicate instructors/teachers
-      const teacherRoles = ['TeacherEnrollment', 'TaEnrollment', 'DesignerEnrollment'];
-      if (teacherRoles.includes(enrollment.type)) {
-        teacherUserIds.add(enrollment.user_id);
-        console.log(`Found teacher: ${enrollment.user?.name} (${enrollment.user_id}) - Role: ${enrollment.type}`);
-      }
-    });
-    
-    return Array.from(teacherUserIds);
+  });
+  const sectionList = Array.from(sectionNames, ([id, name]) => ({ id, name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return { enrollments: roster, sections: sectionList };
+}
+
+// Classify everyone enrolled in a course under the course's role policy
+// (teachers, students and excluded users such as observers and the Test Student)
+export async function fetchCourseRoles(apiUrl, courseId, policy = loadRolePolicy(courseId)) {
+  try {
+    const enrollments = await fetchEnrollmentList(apiUrl, courseId);
+    const courseRoles = classifyRoster(enrollments, policy);
+    console.log(`Classified ${courseRoles.people.length} users: ${courseRoles.teacherIds.size} teachers, ` +
+      `${courseRoles.studentIds.size} students, ${courseRoles.excludedIds.size} excluded`);
+    return courseRoles;
   } catch (error) {
     console.error('Error fetching enrollments:', error);
-    return [];
+    return classifyRoster([], policy);
   }
 }
 
-export function filterStudentParticipants(participants, teacherUserIds = []) {
+// Keep student participants, dropping teachers and excluded users by role policy
+export function filterStudentParticipants(participants, courseRoles, policy = normalizeRolePolicy()) {
+  const keywords = policy.instructorKeywords.map(keyword => keyword.toLowerCase());
+
   return participants.filter(participant => {
     const userId = participant.id || participant.userId;
     const name = participant.canvasDisplayName || '';
     const email = participant.canvasEmail || participant.registrationData?.Email || '';
     
-    // Check if this user ID is in the teacher list
-    const isTeacherByRole = teacherUserIds.includes(parseInt(userId)) || teacherUserIds.includes(userId);
+    // Canvas users are classified by their enrollment role and the manual lists
+    if (userId && isEnrolled(courseRoles, userId)) {
+      const role = getUserRole(courseRoles, userId);
+      if (role !== ROLE_STUDENT) {
+        console.log(`Filtering out ${role}: ${name} (ID: ${userId})`);
+      }
+      return role === ROLE_STUDENT;
+    }
     
     // Fallback: Check for instructor indicators in email or department for users not in Canvas
     const department = participant.registrationData?.['Team / Department'] || '';
-    const instructorKeywords = [
-      'instructor', 'teacher', 'faculty', 'professor', 'admin',
-      'staff', 'coordinator', 'director', 'manager'
-    ];
-    
-    const isInstructorByKeyword = instructorKeywords.some(keyword => 
+    const isInstructorByKeyword = keywords.some(keyword => 
       email.toLowerCase().includes(keyword) ||
       department.toLowerCase().includes(keyword)
     );
     
-    // Debug logging for instructor filtering
-    if (isTeacherByRole || isInstructorByKeyword) {
-      console.log(`Filtering out instructor: ${name} (${email}, ID: ${userId}) - Reason: ${
-        isTeacherByRole ? 'Canvas teacher role' : 'Instructor keyword match'
-      }`);
+    if (isInstructorByKeyword) {
+      console.log(`Filtering out instructor: ${name} (${email}) - Reason: Instructor keyword match`);
     }
     
-    return !isTeacherByRole && !isInstructorByKeyword;
+    return !isInstructorByKeyword;
   });
 }
 
@@ -703,11 +735,12 @@ export function analyzeReflectionCompletion(participants, allPosts) {
     };
     
     Object.values(reflectionTopics).forEach(topic => {
-      const userPosts = topic.posts.filter(post => {
-        const postUser = post.user?.display_name || post.user_name || '';
-        return postUser === participant.canvasDisplayName || 
-               postUser === participant.canvasUserName;
-      });
+      // Canvas participants are matched by user ID; registrants without a
+      // Canvas account have no posts to match
+      const userPosts = participant.id ? topic.posts.filter(post => {
+        const postUserId = post.user?.id || post.user_id;
+        return String(postUserId) === String(participant.id);
+      }) : [];
       
       reflectionStatus.reflectionDetails[topic.title] = {
         completed: userPosts.length > 0,
@@ -0,0 +1,173 @@
+/**
+ * Grade Entry for Discussion Assignments
+ *
+ * Writes grades, submission comments and rubric assessments to Canvas
+ * through the proxy and keeps the cached feedback dashboard in step, so a
+ * grade entered in the app shows up as graded without reprocessing the
+ * course.
+ */
+
+import { canvasProxy, fetchAllPages } from './canvasApi';
+import { updateProcessedGrade } from './gradingDataProcessor';
+import { sleep } from './rateLimit';
+
+// Canvas runs bulk grade updates as a background job; poll its Progress
+// object at this interval, giving up after PROGRESS_TIMEOUT_MS
+const PROGRESS_POLL_MS = 1500;
+const PROGRESS_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Checks whether a Canvas submission has a grade
+ * Matches how processGradingTopics() decides isGraded.
+ *
+ * @param {Object|null} submission - Canvas submission
+ * @returns {boolean} True when a grade is set
+ */
+export function isSubmissionGraded(submission) {
+  return Boolean(submission) &&
+    submission.grade !== null &&
+    submission.grade !== undefined &&
+    submission.grade !== '';
+}
+
+/**
+ * Adds up the points of a rubric assessment
+ *
+ * @param {Object} assessment - Criterion ID -> { points, rating_id, comments }
+ * @returns {number} Total points of the rated criteria
+ */
+export function getRubricTotal(assessment) {
+  return Object.values(assessment || {}).reduce((sum, rating) => {
+    const points = Number(rating?.points);
+    return Number.isFinite(points) ? sum + points : sum;
+  }, 0);
+}
+
+/**
+ * Grades one student's submission and optionally adds a comment and a rubric assessment
+ *
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.courseId - Canvas course ID
+ * @param {string|number} params.assignmentId - Canvas assignment ID
+ * @param {string|number} params.userId - Canvas user ID of the student
+ * @param {string} [params.grade] - Posted grade (points, percentage, letter or complete/incomplete); empty leaves the grade unchanged
+ * @param {string} [params.comment] - Submission comment text
+ * @param {Object|null} [params.rubricAssessment] - Criterion ID -> { points, rating_id, comments }
+ * @returns {Promise<Object>} Updated Canvas submission, including its rubric_assessment
+ */
+export async function submitGrade({ apiUrl, courseId, assignmentId, userId, grade = '', comment = '', rubricAssessment = null }) {
+  const body = {};
+  if (String(grade).trim() !== '') {
+    body.submission = { posted_grade: String(grade).trim() };
+  }
+  if (comment.trim()) {
+    body.comment = { text_comment: comment.trim() };
+  }
+  if (rubricAssessment && Object.keys(rubricAssessment).length > 0) {
+    body.rubric_assessment = rubricAssessment;
+  }
+  if (!body.submission && !body.comment && !body.rubric_assessment) {
+    throw new Error('Enter a grade, a comment or rubric ratings.');
+  }
+
+  const submission = await canvasProxy({
+    apiUrl,
+    endpoint: `/courses/${courseId}/assignments/${assignmentId}/submissions/${userId}?include[]=rubric_assessment`,
+    method: 'PUT',
+    body
+  });
+
+  await updateProcessedGrade(courseId, {
+    assignmentId,
+    userIds: [userId],
+    isGraded: isSubmissionGraded(submission)
+  });
+  return submission;
+}
+
+/**
+ * Waits for a Canvas Progress object to finish
+ *
+ * @param {number} progressId - Canvas Progress ID
+ * @param {Function} [onProgress] - Called with each polled Progress
+ * @returns {Promise<Object>} Final Progress ('completed' or 'failed')
+ */
+async function waitForProgress(progressId, onProgress) {
+  const deadline = Date.now() + PROGRESS_TIMEOUT_MS;
+  for (;;) {
+    const progress = await canvasProxy({ endpoint: `/progress/${progressId}` });
+    onProgress?.(progress);
+    if (progress.workflow_state === 'completed' || progress.workflow_state === 'failed') {
+      return progress;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Canvas is still applying the grades. Check again in a few minutes.');
+    }
+    await sleep(PROGRESS_POLL_MS);
+  }
+}
+
+/**
+ * Applies the same grade (and optional comment) to several students at once
+ *
+ * Sends one request to Canvas' submissions/update_grades endpoint, polls the
+ * returned Progress until the job finishes, then reads the submissions back
+ * to report which students actually received a grade.
+ *
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.courseId - Canvas course ID
+ * @param {string|number} params.assignmentId - Canvas assignment ID
+ * @param {Array} params.userIds - Canvas user IDs of the students to grade
+ * @param {string} params.grade - Posted grade for every student
+ * @param {string|Function} [params.comment] - Comment added to every submission, or a function of the user ID for per-student comments
+ * @param {Function} [params.onProgress] - Called with each polled Progress
+ * @returns {Promise<Array>} One result per student: { userId, ok, grade, error }
+ */
+export async function bulkUpdateGrades({ apiUrl, courseId, assignmentId, userIds, grade, comment = '', onProgress }) {
+  const commentFor = typeof comment === 'function' ? comment : () => comment;
+  const gradeData = {};
+  userIds.forEach(userId => {
+    gradeData[userId] = { posted_grade: String(grade).trim() };
+    const text = String(commentFor(String(userId)) || '').trim();
+    if (text) gradeData[userId].text_comment = text;
+  });
+
+  const job = await canvasProxy({
+    apiUrl,
+    endpoint: `/courses/${courseId}/assignments/${assignmentId}/submissions/update_grades`,
+    method: 'POST',
+    body: { grade_data: gradeData }
+  });
+  if (!job?.id) {
+    throw new Error('Canvas did not start the grade update.');
+  }
+
+  const progress = await waitForProgress(job.id, onProgress);
+  if (progress.workflow_state === 'failed') {
+    const error = progress.message || 'Canvas could not apply the grades.';
+    return userIds.map(userId => ({ userId: String(userId), ok: false, grade: null, error }));
+  }
+
+  const query = userIds.map(userId => `student_ids[]=${encodeURIComponent(userId)}`).join('&');
+  const submissions = await fetchAllPages({
+    apiUrl,
+    endpoint: `/courses/${courseId}/students/submissions?assignment_ids[]=${assignmentId}&${query}&per_page=100`
+  });
+  const submissionByUserId = new Map(submissions.map(submission => [String(submission.user_id), submission]));
+
+  const results = userIds.map(userId => {
+    const submission = submissionByUserId.get(String(userId));
+    return isSubmissionGraded(submission)
+      ? { userId: String(userId), ok: true, grade: submission.grade, error: null }
+      : { userId: String(userId), ok: false, grade: null, error: submission ? 'No grade was recorded' : 'No submission found' };
+  });
+
+  await updateProcessedGrade(courseId, {
+    assignmentId,
+    userIds: results.filter(result => result.ok).map(result => result.userId),
+    isGraded: true
+  });
+  return results;
+}
@@ -5,8 +5,13 @@
  * and grading dashboard to reduce redundant Canvas API requests.
  */
 
-import { fetchCanvasDiscussions } from './canvasApi';
-import { fetchCourseEnrollments } from './dataUtils';
+import { fetchCanvasDiscussions, fetchAllPages } from './canvasApi';
+import { fetchCourseRoles } from './dataUtils';
+import { ROLE_STUDENT, ROLE_TEACHER, getUserRole } from './rolePolicy';
+import { getProcessedData, putProcessedData, clearProcessedData } from './cacheStore';
+import { fetchAssignmentsWithOverrides, getEffectiveDueAt, classifyPostTiming, TIMING_MISSING } from './lateness';
+import { evaluateRequirement } from './requirements';
+import { buildPeerInteractions } from './peerInteractions';
 
 /**
  * Batch fetch assignment submissions for multiple assignments
@@ -14,42 +19,20 @@ import { fetchCourseEnrollments } from './dataUtils';
  * 
  * @param {Object} params - API parameters
  * @param {string} params.apiUrl - Canvas API base URL
- * @param {string} params.apiKey - Canvas API access token
  * @param {string} params.courseId - Canvas course ID
  * @param {Array} assignmentIds - Array of assignment IDs to fetch submissions for
  * @returns {Promise<Object>} Map of assignment_id -> submissions array
  */
-async function fetchAssignmentSubmissionsBatch({ apiUrl, apiKey, courseId }, assignmentIds) {
+async function fetchAssignmentSubmissionsBatch({ apiUrl, courseId }, assignmentIds) {
   const submissionsByAssignment = {};
   
   // Fetch submissions for each assignment in parallel
   await Promise.all(assignmentIds.map(async (assignmentId) => {
     try {
-      let allSubmissions = [];
-      let page = 1;
-      let hasMore = true;
-      
-      while (hasMore) {
-        const response = await fetch('/api/canvas-proxy', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            apiUrl,
-            apiKey,
-            endpoint: `/courses/${courseId}/assignments/${assignmentId}/submissions?per_page=100&page=${page}`,
-            method: 'GET'
-          })
-        });
-        
-        if (response.ok) {
-          const submissions = await response.json();
-          allSubmissions = allSubmissions.concat(submissions);
-          hasMore = submissions.length === 100;
-          page++;
-        } else {
-          hasMore = false;
-        }
-      }
+      const allSubmissions = await fetchAllPages({
+        apiUrl,
+        endpoint: `/courses/${courseId}/assignments/${assignmentId}/submissions?per_page=100`
+      });
       
       submissionsByAssignment[assignmentId] = allSubmissions;
       console.log(`✓ Fetched ${allSubmissions.length} submissions for assignment ${assignmentId}`);
@@ -68,57 +51,49 @@ async function fetchAssignmentSubmissionsBatch({ apiUrl, apiKey, courseId }, ass
  * 
  * @param {Object} params - API parameters
  * @param {string} params.apiUrl - Canvas API base URL
- * @param {string} params.apiKey - Canvas API access token
  * @param {string} params.courseId - Canvas course ID
  * @returns {Promise<Object>} Processed data for both views
  */
-export async function processCanvasDataForDashboards({ apiUrl, apiKey, courseId }) {
+export async function processCanvasDataForDashboards({ apiUrl, courseId }) {
   const startTime = performance.now();
   console.log('→ Processing Canvas data for dashboards (optimized)');
   
   // Check for cached processed data
-  const processingCacheKey = `canvas_processed_${courseId}`;
-  const cached = localStorage.getItem(processingCacheKey);
+  const cached = await getProcessedData(courseId);
   
   if (cached) {
-    try {
-      const { data, timestamp } = JSON.parse(cached);
-      console.log('✓ Using cached processed dashboard data', new Date(timestamp));
-      return data;
-    } catch (error) {
-      localStorage.removeItem(processingCacheKey);
-    }
+    console.log('✓ Using cached processed dashboard data', new Date(cached.timestamp));
+    return cached.data;
   }
   
   // Fetch all Canvas data in parallel
-  const [allPosts, teacherUserIds] = await Promise.all([
-    fetchCanvasDiscussions({ apiUrl, apiKey, courseId }),
-    fetchCourseEnrollments(apiUrl, apiKey, courseId)
+  const [allPosts, courseRoles] = await Promise.all([
+    fetchCanvasDiscussions({ apiUrl, courseId }),
+    fetchCourseRoles(apiUrl, courseId)
   ]);
   
-  // Filter student posts (exclude teachers)
+  // Filter student posts (exclude teachers and excluded users)
   const studentPosts = allPosts.filter(post => {
     const userId = post.user?.id || post.user_id;
-    return !teacherUserIds.includes(parseInt(userId)) && !teacherUserIds.includes(userId);
+    return getUserRole(courseRoles, userId) === ROLE_STUDENT;
   });
   
   // Process recent activity data for homepage
   const recentActivityData = processRecentActivity(studentPosts);
   
   // Process grading topics data for feedback dashboard
-  const gradingTopicsData = await processGradingTopics(allPosts, teacherUserIds, { apiUrl, apiKey, courseId });
+  const gradingTopicsData = await processGradingTopics(allPosts, courseRoles, { apiUrl, courseId });
   
   const processedData = {
     recentActivity: recentActivityData,
     gradingTopics: gradingTopicsData,
+    enrolledStudents: getEnrolledStudents(courseRoles).map(({ userId, name }) => ({ userId, name })),
+    peerInteractions: buildPeerInteractions(allPosts, courseRoles),
     lastProcessed: Date.now()
   };
   
   // Cache the processed data
-  localStorage.setItem(processingCacheKey, JSON.stringify({
-    data: processedData,
-    timestamp: Date.now()
-  }));
+  await putProcessedData(courseId, processedData);
   
   const processingTime = Math.round(performance.now() - startTime);
   console.log('✓ Processed Canvas data for dashboards', {
@@ -131,6 +106,18 @@ export async function processCanvasDataForDashboards({ apiUrl, apiKey, courseId
   return processedData;
 }
 
+/**
+ * Students actually enrolled in the course (not just listed by a policy override)
+ * 
+ * @param {Object} courseRoles - Role classification from fetchCourseRoles()
+ * @returns {Array} People from courseRoles.people classified as students
+ */
+function getEnrolledStudents(courseRoles) {
+  return courseRoles.people.filter(person =>
+    person.classification === ROLE_STUDENT && person.roles.length > 0
+  );
+}
+
 /**
  * Process recent activity data for homepage
  * Transforms student posts into activity feed format
@@ -145,6 +132,7 @@ function processRecentActivity(studentPosts) {
   // Transform posts into activity entries
   const activities = studentPosts.map(post => ({
     userName: post.user?.display_name || post.user_name || 'Unknown',
+    userId: post.user?.id ?? post.user_id ?? null,
     discussionName: post.topic_title || 'Unknown Discussion',
     createdAt: post.created_at,
     postId: post.id,
@@ -159,24 +147,212 @@ function processRecentActivity(studentPosts) {
   }));
   
   // Count unique users
-  const uniqueUserNames = new Set(activities.map(activity => activity.userName));
+  const uniqueUserIds = new Set(activities.map(activity => activity.userId));
   
   return {
     activities,
-    uniqueUsers: uniqueUserNames.size
+    uniqueUsers: uniqueUserIds.size
   };
 }
 
+/**
+ * Lists the groups that posted in a set of posts
+ * 
+ * @param {Array} posts - Flattened discussion posts
+ * @returns {Array} Groups as { id, name }, sorted by name (empty for course-level topics)
+ */
+function collectGroups(posts) {
+  const groupsById = new Map();
+  posts.forEach(post => {
+    if (post.group_id !== undefined && post.group_id !== null && !groupsById.has(post.group_id)) {
+      groupsById.set(post.group_id, { id: post.group_id, name: post.group_name || `Group ${post.group_id}` });
+    }
+  });
+  return Array.from(groupsById.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Counts posts and teacher replies per group, so the dashboard can be
+ * filtered to one group without reprocessing
+ * 
+ * @param {Object} topic - Topic with studentPosts and teacherReplies
+ * @returns {Object} groupId -> { teacherReplyStats, totalStudentPosts, totalTeacherReplies }
+ */
+function buildGroupStats(topic) {
+  const groupStats = {};
+  const statsFor = groupId => {
+    if (!groupStats[groupId]) {
+      groupStats[groupId] = { teacherReplyStats: {}, totalStudentPosts: 0, totalTeacherReplies: 0 };
+    }
+    return groupStats[groupId];
+  };
+
+  topic.studentPosts.forEach(post => {
+    if (post.group_id === undefined || post.group_id === null) return;
+    statsFor(post.group_id).totalStudentPosts++;
+  });
+  topic.teacherReplies.forEach(reply => {
+    if (reply.group_id === undefined || reply.group_id === null) return;
+    const stats = statsFor(reply.group_id);
+    const teacherName = reply.user?.display_name || reply.user_name || 'Unknown Teacher';
+    stats.teacherReplyStats[teacherName] = (stats.teacherReplyStats[teacherName] || 0) + 1;
+    stats.totalTeacherReplies++;
+  });
+  return groupStats;
+}
+
+/**
+ * Lists every discussion group that appears in the processed grading topics
+ * 
+ * @param {Array} topics - Grading topics from processCanvasDataForDashboards()
+ * @returns {Array} Groups as { id, name }, sorted by name
+ */
+export function getDiscussionGroups(topics) {
+  const groupsById = new Map();
+  topics.forEach(topic => {
+    (topic.groups || []).forEach(group => groupsById.set(String(group.id), group));
+  });
+  return Array.from(groupsById.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Checks every enrolled student against the topics' discussion requirements
+ * 
+ * Requirements live in Convex and can change at any time, so they are applied
+ * to the processed topics when shown rather than stored with them. Students
+ * with only replies or no posts at all in a topic are checked too. Apply
+ * before filterTopicsByGroup/filterTopicsBySection, which narrow the results.
+ * 
+ * @param {Array} topics - Grading topics from processCanvasDataForDashboards()
+ * @param {Object} requirements - Topic ID -> requirement (see indexRequirements)
+ * @param {Array} enrolledStudents - processedData.enrolledStudents ({ userId, name })
+ * @returns {Array} Topics with requirement, requirementResults ({ name, userId,
+ *   groupId, requirementCheck }) and requirementCheck on each listed student
+ */
+export function applyRequirements(topics, requirements, enrolledStudents = []) {
+  return topics.map(topic => {
+    const requirement = requirements[String(topic.id)] || null;
+    if (!requirement) {
+      return { ...topic, requirement: null, requirementResults: [] };
+    }
+
+    const studentPosts = topic.studentPosts || [];
+    const topicPosts = studentPosts.concat(topic.teacherReplies || []);
+    const candidates = new Map(enrolledStudents.map(student => [String(student.userId), { name: student.name, groupId: null }]));
+    studentPosts.forEach(post => {
+      const userId = String(post.user?.id || post.user_id);
+      const candidate = candidates.get(userId);
+      if (!candidate) {
+        candidates.set(userId, { name: post.user?.display_name || post.user_name || 'Unknown', groupId: post.group_id ?? null });
+      } else if (candidate.groupId === null) {
+        candidate.groupId = post.group_id ?? null;
+      }
+    });
+    // Student posts were already filtered by role, so their authors plus the roster are the students
+    const isStudent = userId => candidates.has(String(userId));
+
+    const requirementResults = Array.from(candidates, ([userId, { name, groupId }]) => ({
+      name,
+      userId,
+      groupId,
+      requirementCheck: evaluateRequirement(requirement, { userId, topicPosts, isStudent })
+    })).sort((a, b) => a.name.localeCompare(b.name));
+    const checks = new Map(requirementResults.map(result => [result.userId, result.requirementCheck]));
+    const withCheck = student => ({ ...student, requirementCheck: checks.get(String(student.userId)) || null });
+
+    return {
+      ...topic,
+      requirement,
+      requirementResults,
+      allStudentsWithStatus: topic.allStudentsWithStatus.map(withCheck),
+      studentsNeedingGradesDetailed: (topic.studentsNeedingGradesDetailed || []).map(withCheck),
+      missingStudents: (topic.missingStudents || []).map(withCheck)
+    };
+  });
+}
+
+/**
+ * Narrows processed grading topics to a single discussion group
+ * Topics the group didn't post in (including course-level topics) are dropped,
+ * and student lists and teacher totals are recalculated for the group.
+ * 
+ * @param {Array} topics - Grading topics from processCanvasDataForDashboards()
+ * @param {string|number|null} groupId - Group to keep, or empty for all groups
+ * @returns {Array} Filtered grading topics
+ */
+export function filterTopicsByGroup(topics, groupId) {
+  if (!groupId) return topics;
+  const key = String(groupId);
+
+  return topics
+    .filter(topic => (topic.groups || []).some(group => String(group.id) === key))
+    .map(topic => {
+      const stats = topic.groupStats?.[key] || { teacherReplyStats: {}, totalStudentPosts: 0, totalTeacherReplies: 0 };
+      const allStudentsWithStatus = topic.allStudentsWithStatus.filter(student => String(student.groupId) === key);
+      const studentsNeedingGradesDetailed = allStudentsWithStatus.filter(student => !student.isGraded);
+      return {
+        ...topic,
+        allStudentsWithStatus,
+        studentsNeedingGradesDetailed,
+        studentsNeedingGrades: studentsNeedingGradesDetailed.map(student => student.name),
+        missingStudents: [], // Without a post there's no group to tell which group they're in
+        requirementResults: (topic.requirementResults || []).filter(result => String(result.groupId) === key),
+        teacherReplyStats: stats.teacherReplyStats,
+        totalStudentPosts: stats.totalStudentPosts,
+        totalTeacherReplies: stats.totalTeacherReplies
+      };
+    });
+}
+
+/**
+ * Narrows processed grading topics to the students in the chosen sections
+ * Every topic is kept so sections with no posts still show up; teacher totals
+ * count only replies to the remaining students' posts.
+ * 
+ * @param {Array} topics - Grading topics (optionally already filtered by group)
+ * @param {Set<string>|null} sectionUserIds - From getSectionUserIds() in sectionFilter.js
+ * @returns {Array} Filtered grading topics
+ */
+export function filterTopicsBySection(topics, sectionUserIds) {
+  if (!sectionUserIds) return topics;
+
+  return topics.map(topic => {
+    const allStudentsWithStatus = topic.allStudentsWithStatus.filter(student =>
+      sectionUserIds.has(String(student.userId))
+    );
+    const studentsNeedingGradesDetailed = allStudentsWithStatus.filter(student => !student.isGraded);
+
+    const teacherReplyStats = {};
+    allStudentsWithStatus.forEach(student => {
+      Object.entries(student.teacherReplyCounts || {}).forEach(([teacherName, count]) => {
+        teacherReplyStats[teacherName] = (teacherReplyStats[teacherName] || 0) + count;
+      });
+    });
+
+    return {
+      ...topic,
+      allStudentsWithStatus,
+      studentsNeedingGradesDetailed,
+      studentsNeedingGrades: studentsNeedingGradesDetailed.map(student => student.name),
+      missingStudents: (topic.missingStudents || []).filter(student => sectionUserIds.has(String(student.userId))),
+      requirementResults: (topic.requirementResults || []).filter(result => sectionUserIds.has(result.userId)),
+      teacherReplyStats,
+      totalStudentPosts: allStudentsWithStatus.reduce((sum, student) => sum + (student.postCount || 0), 0),
+      totalTeacherReplies: Object.values(teacherReplyStats).reduce((sum, count) => sum + count, 0)
+    };
+  });
+}
+
 /**
  * Process grading topics data for feedback dashboard
  * Optimized with batch submission fetching and proper sorting
  * 
  * @param {Array} allPosts - All discussion posts
- * @param {Array} teacherUserIds - Array of teacher user IDs
+ * @param {Object} courseRoles - Role classification from fetchCourseRoles()
  * @param {Object} apiParams - API parameters for submission fetching
  * @returns {Promise<Array>} Processed grading topics
  */
-async function processGradingTopics(allPosts, teacherUserIds, { apiUrl, apiKey, courseId }) {
+async function processGradingTopics(allPosts, courseRoles, { apiUrl, courseId }) {
   // Filter to only graded discussions (assignment-based topics)
   const gradedPosts = allPosts.filter(post => {
     return post.assignment_id !== null && post.assignment_id !== undefined;
@@ -206,24 +382,37 @@ async function processGradingTopics(allPosts, teacherUserIds, { apiUrl, apiKey,
     
     const topic = topicMap[topicId];
     const userId = post.user?.id || post.user_id;
-    const isTeacher = teacherUserIds.includes(parseInt(userId)) || teacherUserIds.includes(userId);
+    const role = getUserRole(courseRoles, userId);
     
-    if (isTeacher) {
+    if (role === ROLE_TEACHER) {
       topic.teacherReplies.push(post);
-    } else {
+    } else if (role === ROLE_STUDENT) {
       topic.studentPosts.push(post);
     }
   });
   
-  // Batch fetch all assignment submissions
+  // Batch fetch all assignment submissions, plus due dates for post timing
   console.log(`→ Batch fetching submissions for ${assignmentIds.size} assignments:`, Array.from(assignmentIds));
-  const submissionsByAssignment = await fetchAssignmentSubmissionsBatch(
-    { apiUrl, apiKey, courseId }, 
-    Array.from(assignmentIds)
-  );
+  const [submissionsByAssignment, assignmentsById] = await Promise.all([
+    fetchAssignmentSubmissionsBatch({ apiUrl, courseId }, Array.from(assignmentIds)),
+    fetchAssignmentsWithOverrides({ apiUrl, courseId })
+  ]);
+  const sectionIdsByUserId = new Map(courseRoles.people.map(person => [person.userId, person.sectionIds || []]));
+  const now = Date.now();
+  const rosterStudents = getEnrolledStudents(courseRoles);
   
   // Process topics with batch submission data
   const topicsArray = Object.values(topicMap).map(topic => {
+    const assignment = assignmentsById.get(String(topic.assignment_id)) || null;
+    const timingFor = (userId, postDate, groupId = null) => {
+      const { dueAt, assigned } = getEffectiveDueAt(assignment, {
+        userId,
+        sectionIds: sectionIdsByUserId.get(String(userId)) || [],
+        groupIds: [groupId]
+      });
+      return assigned ? classifyPostTiming({ postDate, dueAt, now }) : null;
+    };
+
     // Count teacher replies by teacher
     const teacherReplyStats = {};
     topic.teacherReplies.forEach(reply => {
@@ -244,51 +433,61 @@ async function processGradingTopics(allPosts, teacherUserIds, { apiUrl, apiKey,
     const allStudentsWithStatus = [];
     const studentPostsMap = {};
     const studentTeacherFeedback = {}; // Track which teachers replied to each student
+    const studentTeacherReplyCounts = {}; // Teacher reply counts per student, for section totals
+    const studentPostCounts = {}; // All posts (entries and replies) per student user ID
+    
+    topic.studentPosts.forEach(post => {
+      const userId = post.user?.id || post.user_id;
+      studentPostCounts[userId] = (studentPostCounts[userId] || 0) + 1;
+    });
     
-    // Map all student posts by student name
+    // Map all student posts by Canvas user ID, so students sharing a name stay separate
     const studentMainPosts = topic.studentPosts.filter(post => !post.parent_id);
     studentMainPosts.forEach(post => {
-      const studentName = post.user?.display_name || post.user_name;
-      if (studentName) {
-        studentPostsMap[studentName] = {
-          name: studentName,
-          userId: post.user?.id || post.user_id,
+      const userId = post.user?.id || post.user_id;
+      if (userId) {
+        studentPostsMap[userId] = {
+          name: post.user?.display_name || post.user_name || 'Unknown',
+          userId,
           postDate: post.created_at,
-          postId: post.id
+          postId: post.id,
+          groupId: post.group_id ?? null,
+          groupName: post.group_name || null
         };
-        studentTeacherFeedback[studentName] = new Set(); // Initialize feedback tracking
+        studentTeacherFeedback[userId] = new Set(); // Initialize feedback tracking
+        studentTeacherReplyCounts[userId] = {};
       }
     });
     
     // Debug: Log teacher identification
-    console.log(`🎓 Teachers identified for topic "${topic.title}":`, Array.from(teacherUserIds));
+    console.log(`🎓 Teachers identified for topic "${topic.title}":`, Array.from(courseRoles.teacherIds));
     
     // Track teacher feedback for each student using the flattened post structure
     console.log(`🔍 Topic "${topic.title}" has ${topic.studentPosts.length} student posts and ${topic.teacherReplies.length} teacher replies`);
     
-    // Create a map of student post IDs to student names
-    const studentPostIdToName = {};
-    const topicStudentMainPosts = topic.studentPosts.filter(post => !post.parent_id);
-    topicStudentMainPosts.forEach(post => {
-      const studentName = post.user?.display_name || post.user_name;
-      if (studentName && studentPostsMap[studentName]) {
-        studentPostIdToName[post.id] = studentName;
+    // Create a map of student post IDs to student user IDs
+    const studentPostIdToUserId = {};
+    studentMainPosts.forEach(post => {
+      const userId = post.user?.id || post.user_id;
+      if (userId && studentPostsMap[userId]) {
+        studentPostIdToUserId[post.id] = userId;
       }
     });
     
-    console.log(`📋 Found ${topicStudentMainPosts.length} main student posts, mapped ${Object.keys(studentPostIdToName).length} post IDs`);
+    console.log(`📋 Found ${studentMainPosts.length} main student posts, mapped ${Object.keys(studentPostIdToUserId).length} post IDs`);
     
     // Check teacher replies to see if they're replying to student posts
     topic.teacherReplies.forEach(reply => {
       const replyAuthor = reply.user?.display_name || reply.user_name;
-      const replyUserId = reply.user_id || reply.user?.id;
       const parentPostId = reply.parent_id;
       
       // If this teacher reply is to a student's main post, track it
-      if (parentPostId && studentPostIdToName[parentPostId]) {
-        const studentName = studentPostIdToName[parentPostId];
-        studentTeacherFeedback[studentName].add(replyAuthor);
-        console.log(`📝 Teacher feedback tracked: ${replyAuthor} → ${studentName} (post ${parentPostId})`);
+      if (parentPostId && studentPostIdToUserId[parentPostId]) {
+        const studentUserId = studentPostIdToUserId[parentPostId];
+        studentTeacherFeedback[studentUserId].add(replyAuthor);
+        const replyCounts = studentTeacherReplyCounts[studentUserId];
+        replyCounts[replyAuthor] = (replyCounts[replyAuthor] || 0) + 1;
+        console.log(`📝 Teacher feedback tracked: ${replyAuthor} → ${studentPostsMap[studentUserId].name} (post ${parentPostId})`);
       }
     });
     
@@ -300,15 +499,20 @@ async function processGradingTopics(allPosts, teacherUserIds, { apiUrl, apiKey,
                       submission.grade !== undefined && 
                       submission.grade !== '';
       
-      const teacherFeedbackArray = Array.from(studentTeacherFeedback[studentInfo.name] || []);
+      const teacherFeedbackArray = Array.from(studentTeacherFeedback[studentInfo.userId] || []);
       
       allStudentsWithStatus.push({
         name: studentInfo.name,
         userId: studentInfo.userId,
         postDate: studentInfo.postDate,
         postId: studentInfo.postId,
+        groupId: studentInfo.groupId,
+        groupName: studentInfo.groupName,
         isGraded: isGraded,
-        teacherFeedback: teacherFeedbackArray
+        teacherFeedback: teacherFeedbackArray,
+        teacherReplyCounts: studentTeacherReplyCounts[studentInfo.userId] || {},
+        postCount: studentPostCounts[studentInfo.userId] || 0,
+        timing: timingFor(studentInfo.userId, studentInfo.postDate, studentInfo.groupId)
       });
       
       // Debug: Log students with teacher feedback
@@ -322,13 +526,23 @@ async function processGradingTopics(allPosts, teacherUserIds, { apiUrl, apiKey,
     
     // Filter just the students needing grades
     const finalStudentsNeedingGrades = allStudentsWithStatus.filter(student => !student.isGraded);
+
+    // Enrolled students with no initial post whose own due date has passed
+    const missingStudents = rosterStudents
+      .filter(person => !studentPostsMap[person.userId])
+      .map(person => ({ name: person.name, userId: person.userId, timing: timingFor(person.userId, null) }))
+      .filter(student => student.timing?.status === TIMING_MISSING);
     
     return {
       ...topic,
       teacherReplyStats,
+      groups: collectGroups(topic.studentPosts.concat(topic.teacherReplies)),
+      groupStats: buildGroupStats(topic),
       studentsNeedingGrades: finalStudentsNeedingGrades.map(student => student.name),
       studentsNeedingGradesDetailed: finalStudentsNeedingGrades, // Keep detailed info for sorting
       allStudentsWithStatus: allStudentsWithStatus, // NEW: Complete list with status
+      missingStudents,
+      dueAt: assignment?.due_at || null,
       totalStudentPosts: topic.studentPosts.length,
       totalTeacherReplies: topic.teacherReplies.length
     };
@@ -340,14 +554,46 @@ async function processGradingTopics(allPosts, teacherUserIds, { apiUrl, apiKey,
   return topicsArray;
 }
 
+/**
+ * Records a grade change in the cached dashboard data
+ * Lets the feedback dashboard show a grade entered in the app without
+ * reprocessing the course. Does nothing when no processed data is cached.
+ * 
+ * @param {string} courseId - Canvas course ID
+ * @param {Object} change - Grade change
+ * @param {string|number} change.assignmentId - Canvas assignment ID
+ * @param {Array} change.userIds - Canvas user IDs of the students whose submissions changed
+ * @param {boolean} change.isGraded - Whether those submissions now have a grade
+ */
+export async function updateProcessedGrade(courseId, { assignmentId, userIds, isGraded }) {
+  const cached = await getProcessedData(courseId);
+  if (!cached || userIds.length === 0) return;
+
+  const changedIds = new Set(userIds.map(String));
+  const gradingTopics = cached.data.gradingTopics.map(topic => {
+    if (String(topic.assignment_id) !== String(assignmentId)) return topic;
+    const allStudentsWithStatus = topic.allStudentsWithStatus.map(student =>
+      changedIds.has(String(student.userId)) ? { ...student, isGraded } : student
+    );
+    const studentsNeedingGradesDetailed = allStudentsWithStatus.filter(student => !student.isGraded);
+    return {
+      ...topic,
+      allStudentsWithStatus,
+      studentsNeedingGradesDetailed,
+      studentsNeedingGrades: studentsNeedingGradesDetailed.map(student => student.name)
+    };
+  });
+
+  await putProcessedData(courseId, { ...cached.data, gradingTopics });
+}
+
 /**
  * Clear processed data cache
  * Use when you want to force fresh processing
  * 
  * @param {string} courseId - Canvas course ID
  */
-export function clearProcessedDataCache(courseId) {
-  const processingCacheKey = `canvas_processed_${courseId}`;
-  localStorage.removeItem(processingCacheKey);
+export async function clearProcessedDataCache(courseId) {
+  await clearProcessedData(courseId);
   console.log('✓ Cleared processed data cache for course', courseId);
 }
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Post Timing Against Due Dates
+ *
+ * Classifies a student's initial post in a graded discussion as on time,
+ * late or missing. The due date that counts is the student's own one: Canvas
+ * assignment overrides can move it for a section, a group or individual
+ * students, and a student covered by several overrides gets the latest.
+ */
+
+import { fetchAllPages } from './canvasApi';
+
+export const TIMING_ON_TIME = 'on_time';
+export const TIMING_LATE = 'late';
+export const TIMING_MISSING = 'missing';
+export const TIMING_PENDING = 'pending'; // Not posted yet, due date still ahead
+export const TIMING_NO_DUE_DATE = 'no_due_date';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Fetches the course's assignments with their due date overrides
+ *
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.courseId - Canvas course ID
+ * @returns {Promise<Map>} Assignment ID (string) -> Canvas assignment; empty when Canvas can't be reached
+ */
+export async function fetchAssignmentsWithOverrides({ apiUrl, courseId }) {
+  try {
+    const assignments = await fetchAllPages({
+      apiUrl,
+      endpoint: `/courses/${courseId}/assignments?include[]=overrides&per_page=100`
+    });
+    return new Map(assignments.map(assignment => [String(assignment.id), assignment]));
+  } catch (error) {
+    console.warn('Could not fetch assignment due dates:', error);
+    return new Map();
+  }
+}
+
+// Does an override cover this student (by user, section or group)?
+function overrideApplies(override, userId, sectionIds, groupIds) {
+  if (override.student_ids?.some(id => String(id) === userId)) return true;
+  if (override.course_section_id != null && sectionIds.includes(String(override.course_section_id))) return true;
+  return override.group_id != null && groupIds.includes(String(override.group_id));
+}
+
+/**
+ * Works out a student's due date for an assignment
+ *
+ * @param {Object|null} assignment - Canvas assignment fetched with include[]=overrides
+ * @param {Object} student - Who the due date is for
+ * @param {string|number} student.userId - Canvas user ID
+ * @param {Array} [student.sectionIds] - Course section IDs the student is enrolled in
+ * @param {Array} [student.groupIds] - Group IDs the student belongs to
+ * @returns {Object} { dueAt, assigned }: dueAt is an ISO date or null for no due date;
+ *   assigned is false when the assignment is only visible to overrides that don't cover the student
+ */
+export function getEffectiveDueAt(assignment, { userId, sectionIds = [], groupIds = [] }) {
+  if (!assignment) return { dueAt: null, assigned: true };
+
+  const id = String(userId);
+  const sections = sectionIds.map(String);
+  const groups = groupIds.filter(groupId => groupId != null).map(String);
+  const applicable = (assignment.overrides || []).filter(override => overrideApplies(override, id, sections, groups));
+
+  if (applicable.length === 0) {
+    return assignment.only_visible_to_overrides
+      ? { dueAt: null, assigned: false }
+      : { dueAt: assignment.due_at || null, assigned: true };
+  }
+
+  // An override without its own due_at keeps the assignment's; no due date beats any date
+  const dueDates = applicable.map(override => ('due_at' in override ? override.due_at : assignment.due_at) || null);
+  if (dueDates.includes(null)) return { dueAt: null, assigned: true };
+  const latest = dueDates.reduce((a, b) => (new Date(b) > new Date(a) ? b : a));
+  return { dueAt: latest, assigned: true };
+}
+
+/**
+ * Compares an initial post with the student's due date
+ *
+ * @param {Object} params - Post and due date
+ * @param {string|null} params.postDate - When the initial post was made, or null if there is none
+ * @param {string|null} params.dueAt - The student's due date from getEffectiveDueAt()
+ * @param {number} [params.now] - Current time in ms, for deciding missing vs pending
+ * @returns {Object} { status, dueAt, lateByMs } with status one of the TIMING_* constants
+ */
+export function classifyPostTiming({ postDate, dueAt, now = Date.now() }) {
+  if (!dueAt) {
+    return { status: postDate ? TIMING_NO_DUE_DATE : TIMING_PENDING, dueAt: null, lateByMs: 0 };
+  }
+
+  const due = new Date(dueAt).getTime();
+  if (!postDate) {
+    return { status: now > due ? TIMING_MISSING : TIMING_PENDING, dueAt, lateByMs: 0 };
+  }
+
+  const lateByMs = new Date(postDate).getTime() - due;
+  return lateByMs > 0
+    ? { status: TIMING_LATE, dueAt, lateByMs }
+    : { status: TIMING_ON_TIME, dueAt, lateByMs: 0 };
+}
+
+/**
+ * Formats how late a post was
+ *
+ * @param {number} ms - Lateness in milliseconds
+ * @returns {string} e.g. "2d 3h", "5h 10m" or "12m"
+ */
+export function formatLateness(ms) {
+  const days = Math.floor(ms / DAY_MS);
+  const hours = Math.floor((ms % DAY_MS) / HOUR_MS);
+  const minutes = Math.floor((ms % HOUR_MS) / MINUTE_MS);
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  return `${Math.max(1, minutes)}m`;
+}
+
+/**
+ * Short label for a timing, as shown on badges and in exports
+ *
+ * @param {Object|null} timing - From classifyPostTiming()
+ * @returns {string} "On time", "Late by 2d 3h", "Missing", or '' when there is nothing to say
+ */
+export function getTimingLabel(timing) {
+  if (!timing) return '';
+  if (timing.status === TIMING_ON_TIME) return 'On time';
+  if (timing.status === TIMING_LATE) return `Late by ${formatLateness(timing.lateByMs)}`;
+  if (timing.status === TIMING_MISSING) return 'Missing';
+  return '';
+}
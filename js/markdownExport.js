@@ -0,0 +1,360 @@
+/**
+ * Markdown Export Utility for Canvas Discussions
+ *
+ * Builds the "Download All Conversations" file shared by the home, feedback
+ * and users pages. Posts are threaded by their real parent_id, so replies to
+ * replies are nested under the entry they answer. Group discussions are split
+ * into one section per group, and the export can be limited to one group
+ * and to the threads of students in the chosen course sections.
+ *
+ * Attachments are listed under each post. The ZIP mode also downloads the
+ * files through /api/canvas-file and links them by relative path.
+ *
+ * Embedded videos and recordings are exported as placeholder links.
+ *
+ * Initial posts in graded topics are marked on time or late against each
+ * student's own due date, and students with no post are listed as missing.
+ */
+
+import DOMPurify from 'dompurify';
+import { fetchCanvasDiscussions, fetchAllPages } from './canvasApi';
+import { filterPostsBySection } from './sectionFilter';
+import { fetchCourseRoles } from './dataUtils';
+import { ROLE_STUDENT, removeExcludedPosts } from './rolePolicy';
+import { fetchAssignmentsWithOverrides, getEffectiveDueAt, classifyPostTiming, getTimingLabel, TIMING_MISSING } from './lateness';
+import {
+  getPostAttachments,
+  formatFileSize,
+  getFileTypeLabel,
+  fetchAttachmentBytes
+} from './attachments';
+import { createZip } from './zipWriter';
+import { extractPostMedia, formatMediaPlaceholder, getCanvasOrigin } from './postMedia';
+
+// Every bundled file is held in browser memory until the ZIP is built, so
+// very large videos stay linked to Canvas instead
+const MAX_BUNDLED_ATTACHMENT_BYTES = 100 * 1024 * 1024;
+
+// Links attachments to Canvas when they aren't bundled
+const canvasAttachmentHref = attachment => attachment.url || '';
+
+/**
+ * Dynamically loads TurndownService for HTML to Markdown conversion
+ *
+ * @returns {Promise<Object>} Configured TurndownService instance
+ */
+async function createTurndownService() {
+  if (!window.TurndownService) {
+    await new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = '/turndown.js';
+      script.onload = resolve;
+      script.onerror = reject;
+      document.body.appendChild(script);
+    });
+  }
+
+  const turndownService = new window.TurndownService({ headingStyle: 'atx' });
+  turndownService.remove('script');  // Remove script tags
+  turndownService.remove('style');   // Remove style tags
+  turndownService.remove('link');    // Remove link tags
+  return turndownService;
+}
+
+/**
+ * Converts HTML content to clean Markdown format
+ * Embedded videos and recordings become "[Video submission: link]" lines,
+ * so a post that is only a video doesn't export as an empty message.
+ *
+ * @param {Object} turndownService - TurndownService instance
+ * @param {string} html - Raw HTML content from Canvas
+ * @param {string|null} canvasOrigin - Canvas origin for relative media links
+ * @returns {string} Clean Markdown text
+ */
+function htmlToMarkdown(turndownService, html, canvasOrigin) {
+  const extracted = extractPostMedia(html, canvasOrigin);
+  html = DOMPurify.sanitize(extracted.html);
+  html = html.replace(/<script[\s\S]*?<\/script>/gi, '')
+             .replace(/<style[\s\S]*?<\/style>/gi, '')
+             .replace(/<link[\s\S]*?>/gi, '');
+  const text = turndownService.turndown(html).replace(/\n{2,}/g, '\n\n').trim();
+  // Linked videos are already in the text; only embeds need a placeholder
+  const placeholders = extracted.media.filter(item => !item.fromLink).map(formatMediaPlaceholder);
+  return [text, ...placeholders].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Lists a post's attachments as Markdown links
+ *
+ * @param {Object} post - Discussion post
+ * @param {Function} attachmentHref - Maps an attachment to its link target
+ * @returns {string} Attachment list, or '' when the post has none
+ */
+function buildAttachmentList(post, attachmentHref) {
+  const attachments = getPostAttachments(post);
+  if (attachments.length === 0) return '';
+
+  const lines = attachments.map(attachment => {
+    const size = formatFileSize(attachment.size);
+    const details = `${getFileTypeLabel(attachment)}${size ? `, ${size}` : ''}`;
+    const href = attachmentHref(attachment);
+    const label = attachment.name.replace(/([\[\]])/g, '\\$1');
+    return href ? `- [${label}](${href}) (${details})` : `- ${label} (${details})`;
+  });
+  return `\n\n**Attachments:**\n${lines.join('\n')}`;
+}
+
+/**
+ * Recursively builds threaded discussion structure in Markdown
+ *
+ * @param {Array} posts - All posts of one topic (top-level entries and replies)
+ * @param {Object} turndownService - TurndownService instance
+ * @param {number|null} parentId - Parent post ID, or null for top-level entries
+ * @param {number} depth - Current nesting depth for headings and quoting
+ * @param {Object} [options]
+ * @param {Function} [options.attachmentHref] - Maps an attachment to its link target
+ * @param {string|null} [options.canvasOrigin] - Canvas origin for relative media links
+ * @param {Function} [options.postTiming] - Maps a top-level entry to its timing from classifyPostTiming(), or null
+ * @returns {string} Formatted Markdown thread
+ */
+export function buildThread(posts, turndownService, parentId = null, depth = 0, options = {}) {
+  const { attachmentHref = canvasAttachmentHref, canvasOrigin = null, postTiming = null } = options;
+  let md = '';
+  const children = posts
+    .filter(post => (post.parent_id || null) === parentId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  for (const entry of children) {
+    // Build author and date information
+    const author = entry.user?.display_name || entry.user_name || 'Unknown';
+    const date = entry.created_at ? new Date(entry.created_at).toLocaleString() : '';
+    const timingLabel = depth === 0 && postTiming ? getTimingLabel(postTiming(entry)) : '';
+    const heading = `${'#'.repeat(Math.min(2 + depth, 6))} ${depth > 0 ? 'Reply: ' : ''}${author} at ${date}` +
+      (timingLabel ? ` (${timingLabel})` : '');
+
+    // Convert HTML message to markdown and quote replies by depth
+    let message = htmlToMarkdown(turndownService, entry.message, canvasOrigin) + buildAttachmentList(entry, attachmentHref);
+    if (depth > 0) {
+      message = message.split('\n').map(line => '>'.repeat(depth) + ' ' + line).join('\n');
+    }
+
+    md += `\n${heading}\n\n${message}\n`;
+    md += buildThread(posts, turndownService, entry.id, depth + 1, options);
+  }
+  return md;
+}
+
+/**
+ * Builds the threads of one topic, with a section per group for group discussions
+ *
+ * @param {Array} posts - All posts of one topic
+ * @param {Object} turndownService - TurndownService instance
+ * @param {Object} options - Passed to buildThread()
+ * @returns {string} Formatted Markdown
+ */
+function buildTopicThreads(posts, turndownService, options) {
+  const groupIds = Array.from(new Set(posts.map(post => post.group_id ?? null)));
+  if (groupIds.length === 1 && groupIds[0] === null) {
+    return buildThread(posts, turndownService, null, 0, options);
+  }
+
+  return groupIds
+    .map(groupId => posts.filter(post => (post.group_id ?? null) === groupId))
+    .sort((a, b) => (a[0].group_name || '').localeCompare(b[0].group_name || ''))
+    .map(groupPosts => {
+      const groupName = groupPosts[0].group_name || 'No group';
+      return `\n**Group: ${groupName}**\n${buildThread(groupPosts, turndownService, null, 0, options)}`;
+    })
+    .join('');
+}
+
+/**
+ * Exports all Canvas discussions for a course as a threaded Markdown file
+ * Uses cached discussion posts when available and triggers a browser download
+ *
+ * @param {Object} params - API parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {string} params.courseId - Canvas course ID
+ * @param {string|number} [params.groupId] - Only export this discussion group's posts
+ * @param {Set<string>|null} [params.sectionUserIds] - Only export threads started by these users (section filter)
+ * @param {boolean} [params.withAttachments] - Download a ZIP with the attachments instead of a Markdown file
+ */
+export async function downloadDiscussionsMarkdown({ apiUrl, courseId, groupId = null, sectionUserIds = null, withAttachments = false }) {
+  const turndownService = await createTurndownService();
+  const [canvasPosts, courseRoles, assignmentsById] = await Promise.all([
+    fetchCanvasDiscussions({ apiUrl, courseId }),
+    fetchCourseRoles(apiUrl, courseId),
+    fetchAssignmentsWithOverrides({ apiUrl, courseId })
+  ]);
+  // Observers, the Test Student and manually excluded users are left out
+  const coursePosts = removeExcludedPosts(canvasPosts, courseRoles);
+  const groupPosts = groupId
+    ? coursePosts.filter(post => String(post.group_id) === String(groupId))
+    : coursePosts;
+  const allPosts = filterPostsBySection(groupPosts, sectionUserIds);
+
+  // Group posts by topic; threading happens in buildThread via parent_id
+  const topicMap = {};
+  allPosts.forEach(post => {
+    if (!topicMap[post.discussion_topic_id]) {
+      topicMap[post.discussion_topic_id] = {
+        id: post.discussion_topic_id,
+        title: post.topic_title,
+        assignment_id: post.assignment_id,
+        posts: []
+      };
+    }
+    topicMap[post.discussion_topic_id].posts.push(post);
+  });
+
+  const topicEntries = Object.values(topicMap);
+
+  try {
+    const topics = await fetchAllPages({
+      apiUrl,
+      endpoint: `/courses/${courseId}/discussion_topics`
+    });
+    topicEntries.forEach(topicEntry => {
+      const originalTopic = topics.find(t => t.id === topicEntry.id);
+      if (originalTopic) {
+        topicEntry.due_at = originalTopic.due_at;
+      }
+    });
+  } catch (error) {
+    console.warn('Could not fetch topic due dates for export:', error);
+  }
+
+  topicEntries.sort((a, b) => {
+    if (a.due_at && b.due_at) {
+      return new Date(a.due_at) - new Date(b.due_at);
+    }
+    if (a.due_at) return -1;
+    if (b.due_at) return 1;
+    return a.title.localeCompare(b.title);
+  });
+
+  // In ZIP mode, attachments are downloaded first so the Markdown can link them by path
+  const bundled = withAttachments ? await downloadAttachments(allPosts) : null;
+  const attachmentHref = bundled
+    ? attachment => bundled.paths.get(attachment.id) || canvasAttachmentHref(attachment)
+    : canvasAttachmentHref;
+
+  // Each student's due date, with section, group and individual overrides
+  const sectionIdsByUserId = new Map(courseRoles.people.map(person => [person.userId, person.sectionIds || []]));
+  const timingFor = (assignmentId, userId, postDate, groupId = null) => {
+    const assignment = assignmentsById.get(String(assignmentId));
+    if (!assignment) return null;
+    const { dueAt, assigned } = getEffectiveDueAt(assignment, {
+      userId,
+      sectionIds: sectionIdsByUserId.get(String(userId)) || [],
+      groupIds: [groupId]
+    });
+    return assigned ? classifyPostTiming({ postDate, dueAt }) : null;
+  };
+  const postTiming = post => {
+    const userId = post.user?.id || post.user_id;
+    return courseRoles.studentIds.has(String(userId))
+      ? timingFor(post.assignment_id, userId, post.created_at, post.group_id)
+      : null;
+  };
+  // Enrolled students in the exported sections who could be missing a post;
+  // a group export skips the list, as the roster doesn't say who is in which group
+  const rosterStudents = groupId
+    ? []
+    : courseRoles.people.filter(person =>
+      person.classification === ROLE_STUDENT && person.roles.length > 0 &&
+      (!sectionUserIds || sectionUserIds.has(person.userId))
+    );
+
+  let md = '';
+  for (const topic of topicEntries) {
+    md += `# ${topic.title}\n`;
+    if (topic.due_at) {
+      md += `*Due: ${new Date(topic.due_at).toLocaleString()}*\n`;
+    }
+    if (topic.assignment_id) {
+      const posted = new Set(topic.posts.filter(post => !post.parent_id).map(post => String(post.user?.id || post.user_id)));
+      const missing = rosterStudents
+        .filter(person => !posted.has(person.userId))
+        .filter(person => timingFor(topic.assignment_id, person.userId, null)?.status === TIMING_MISSING)
+        .map(person => person.name);
+      if (missing.length > 0) {
+        md += `*Missing initial post: ${missing.join(', ')}*\n`;
+      }
+    }
+    if (topic.posts.length > 0) {
+      md += buildTopicThreads(topic.posts, turndownService, { attachmentHref, canvasOrigin: getCanvasOrigin(apiUrl), postTiming });
+    } else {
+      md += '\n_No posts in this topic._\n';
+    }
+    md += '\n---\n\n';
+  }
+
+  const baseName = groupId
+    ? `canvas-discussions-${courseId}-group-${groupId}`
+    : `canvas-discussions-${courseId}`;
+
+  if (bundled) {
+    if (bundled.failed.length > 0) {
+      md += `_Could not download: ${bundled.failed.join(', ')}. They are linked to Canvas instead._\n`;
+    }
+    saveBlob(createZip([{ path: `${baseName}.md`, data: md }, ...bundled.files]), `${baseName}.zip`);
+  } else {
+    saveBlob(new Blob([md], { type: 'text/markdown' }), `${baseName}.md`);
+  }
+}
+
+/**
+ * Downloads every attachment on the exported posts for the ZIP export
+ * Files are fetched one after another to spare the Canvas rate limit. Every
+ * file stays in memory until the ZIP is built, so the export needs roughly
+ * the total attachment size in browser memory; files Canvas reports as larger
+ * than MAX_BUNDLED_ATTACHMENT_BYTES are not fetched and stay linked to Canvas.
+ *
+ * @param {Array} posts - Posts being exported
+ * @returns {Promise<Object>} { files: [{ path, data }], paths: Map of attachment ID -> relative path, failed: file names }
+ */
+async function downloadAttachments(posts) {
+  const files = [];
+  const paths = new Map();
+  const failed = [];
+
+  for (const attachment of posts.flatMap(getPostAttachments)) {
+    if (paths.has(attachment.id)) continue;
+    if (attachment.size > MAX_BUNDLED_ATTACHMENT_BYTES) {
+      failed.push(`${attachment.name} (over ${formatFileSize(MAX_BUNDLED_ATTACHMENT_BYTES)})`);
+      continue;
+    }
+    // Keep names readable but safe for every unzip tool and Markdown link
+    const safeName = attachment.name.replace(/[^\w.-]+/g, '-');
+    const path = `attachments/${attachment.id}-${safeName}`;
+    try {
+      files.push({ path, data: await fetchAttachmentBytes(attachment) });
+      paths.set(attachment.id, path);
+    } catch (error) {
+      console.warn(`Could not bundle attachment ${attachment.name}:`, error);
+      failed.push(attachment.name);
+    }
+  }
+
+  return { files, paths, failed };
+}
+
+/**
+ * Triggers a browser download of a generated file
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+}
@@ -0,0 +1,91 @@
+/**
+ * Peer Interactions
+ *
+ * Works out who replied to whom in the course's discussions. Every reply is
+ * matched to the post it answers: a student answering another student counts
+ * as a reply given by one and received by the other, and a teacher answering
+ * a student counts as teacher feedback for that student. Replies to one's own
+ * posts and anything involving excluded users are ignored.
+ */
+
+import { ROLE_STUDENT, ROLE_TEACHER, getUserRole } from './rolePolicy';
+
+const getAuthorId = post => String(post.user?.id ?? post.user_id);
+const getAuthorName = post => post.user?.display_name || post.user_name || 'Unknown';
+
+function emptyCounts() {
+  return { givenToPeers: 0, receivedFromPeers: 0, fromTeachers: 0 };
+}
+
+/**
+ * Counts peer and teacher replies per student and topic
+ *
+ * @param {Array} posts - Flattened discussion posts of the course (with parent_id)
+ * @param {Object} courseRoles - From fetchCourseRoles()
+ * @returns {Map} Student user ID (string) -> { totals, topics }, where totals is
+ *   { givenToPeers, receivedFromPeers, fromTeachers } and topics maps topic ID ->
+ *   { topicId, topicTitle, ...counts, peers } with peers mapping a classmate's
+ *   user ID -> { name, given, received }
+ */
+export function buildPeerInteractions(posts, courseRoles) {
+  const postsById = new Map(posts.map(post => [post.id, post]));
+  const byStudent = new Map();
+
+  const topicFor = (userId, post) => {
+    if (!byStudent.has(userId)) {
+      byStudent.set(userId, { totals: emptyCounts(), topics: {} });
+    }
+    const student = byStudent.get(userId);
+    const topicId = post.discussion_topic_id;
+    if (!student.topics[topicId]) {
+      student.topics[topicId] = { topicId, topicTitle: post.topic_title, ...emptyCounts(), peers: {} };
+    }
+    return { totals: student.totals, topic: student.topics[topicId] };
+  };
+  const peerFor = (topic, post) => {
+    const peerId = getAuthorId(post);
+    if (!topic.peers[peerId]) {
+      topic.peers[peerId] = { name: getAuthorName(post), given: 0, received: 0 };
+    }
+    return topic.peers[peerId];
+  };
+
+  posts.forEach(reply => {
+    const parent = reply.parent_id ? postsById.get(reply.parent_id) : null;
+    if (!parent) return;
+
+    const authorId = getAuthorId(reply);
+    const parentAuthorId = getAuthorId(parent);
+    if (authorId === parentAuthorId || getUserRole(courseRoles, parentAuthorId) !== ROLE_STUDENT) return;
+
+    const authorRole = getUserRole(courseRoles, authorId);
+    if (authorRole === ROLE_TEACHER) {
+      const { totals, topic } = topicFor(parentAuthorId, reply);
+      totals.fromTeachers++;
+      topic.fromTeachers++;
+    } else if (authorRole === ROLE_STUDENT) {
+      const giver = topicFor(authorId, reply);
+      giver.totals.givenToPeers++;
+      giver.topic.givenToPeers++;
+      peerFor(giver.topic, parent).given++;
+
+      const receiver = topicFor(parentAuthorId, reply);
+      receiver.totals.receivedFromPeers++;
+      receiver.topic.receivedFromPeers++;
+      peerFor(receiver.topic, reply).received++;
+    }
+  });
+
+  return byStudent;
+}
+
+/**
+ * Reads one student's counts, with zeros for students who never interacted
+ *
+ * @param {Map} interactions - From buildPeerInteractions()
+ * @param {string|number} userId - Canvas user ID
+ * @returns {Object} { totals, topics }
+ */
+export function getStudentInteractions(interactions, userId) {
+  return interactions.get(String(userId)) || { totals: emptyCounts(), topics: {} };
+}
@@ -0,0 +1,216 @@
+/**
+ * Embedded Media in Discussion Posts
+ *
+ * Finds video and audio embedded in Canvas post HTML: Canvas media comments
+ * and media iframes, Canvas Studio LTI embeds, and YouTube or Vimeo players
+ * or links. Each is described by provider and validated ID so callers can
+ * build their own allowlisted player (or an export placeholder) instead of
+ * trusting the original embed markup, which DOMPurify strips anyway.
+ *
+ * Parsing uses DOMParser, so it only finds media in the browser.
+ */
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const VIMEO_HOSTS = ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'];
+
+const YOUTUBE_ID = /^[\w-]{11}$/;
+const CANVAS_MEDIA_ID = /^[\w-]+$/;
+
+function parseUrl(value, base) {
+  try {
+    return new URL(value, base || undefined);
+  } catch {
+    return null;
+  }
+}
+
+function isStudioHost(hostname) {
+  return hostname === 'instructuremedia.com' || hostname.endsWith('.instructuremedia.com');
+}
+
+function youtubeMedia(id) {
+  if (!YOUTUBE_ID.test(id || '')) return null;
+  return {
+    provider: 'youtube',
+    kind: 'video',
+    id,
+    url: `https://www.youtube.com/watch?v=${id}`,
+    embedUrl: `https://www.youtube-nocookie.com/embed/${id}`,
+    thumbnailUrl: `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+  };
+}
+
+function vimeoMedia(id) {
+  if (!/^\d+$/.test(id || '')) return null;
+  return {
+    provider: 'vimeo',
+    kind: 'video',
+    id,
+    url: `https://vimeo.com/${id}`,
+    embedUrl: `https://player.vimeo.com/video/${id}`,
+    thumbnailUrl: null
+  };
+}
+
+// Canvas media objects (media comments, RCE recordings) and media-backed files
+function canvasMedia(canvasOrigin, { mediaId, attachmentId, kind }) {
+  if (!canvasOrigin) return null;
+  const type = kind === 'audio' ? 'audio' : 'video';
+  if (attachmentId && /^\d+$/.test(attachmentId)) {
+    const url = `${canvasOrigin}/media_attachments_iframe/${attachmentId}?type=${type}`;
+    return { provider: 'canvas', kind: type, id: `attachment-${attachmentId}`, url, embedUrl: url, thumbnailUrl: null };
+  }
+  if (!CANVAS_MEDIA_ID.test(mediaId || '')) return null;
+  return {
+    provider: 'canvas',
+    kind: type,
+    id: mediaId,
+    url: `${canvasOrigin}/media_objects/${mediaId}`,
+    embedUrl: `${canvasOrigin}/media_objects_iframe/${mediaId}?type=${type}`,
+    thumbnailUrl: null
+  };
+}
+
+// Canvas Studio only plays through its LTI launch, so it gets a link, never a player
+function studioMedia(url) {
+  return { provider: 'studio', kind: 'video', id: url.href, url: url.href, embedUrl: null, thumbnailUrl: null };
+}
+
+/**
+ * Identifies a video URL from an iframe src or link href
+ *
+ * @param {string} value - URL as written in the post
+ * @param {string|null} canvasOrigin - Canvas origin for relative Canvas URLs
+ * @param {string} [kind] - 'audio' or 'video' hint from the element
+ * @returns {Object|null} Media description, or null if not recognized
+ */
+function mediaFromUrl(value, canvasOrigin, kind) {
+  const url = parseUrl(value, canvasOrigin);
+  if (!url || !['http:', 'https:'].includes(url.protocol)) return null;
+  const host = url.hostname.toLowerCase();
+
+  if (YOUTUBE_HOSTS.includes(host)) {
+    const embed = url.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/);
+    return youtubeMedia(embed ? embed[1] : url.searchParams.get('v'));
+  }
+  if (host === 'youtu.be') {
+    return youtubeMedia(url.pathname.slice(1));
+  }
+  if (VIMEO_HOSTS.includes(host)) {
+    const match = url.pathname.match(/^\/(?:video\/)?(\d+)/);
+    return vimeoMedia(match && match[1]);
+  }
+  if (isStudioHost(host)) {
+    return studioMedia(url);
+  }
+
+  if (canvasOrigin && url.origin === canvasOrigin) {
+    const mediaObject = url.pathname.match(/^\/media_objects(?:_iframe)?\/([^/]+)/);
+    if (mediaObject) {
+      return canvasMedia(canvasOrigin, { mediaId: mediaObject[1], kind: url.searchParams.get('type') || kind });
+    }
+    const mediaAttachment = url.pathname.match(/^\/media_attachments_iframe\/(\d+)/);
+    if (mediaAttachment) {
+      return canvasMedia(canvasOrigin, { attachmentId: mediaAttachment[1], kind: url.searchParams.get('type') || kind });
+    }
+    // Studio embeds go through Canvas' LTI launch with the Studio URL as a parameter
+    if (/\/external_tools\/retrieve$/.test(url.pathname)) {
+      const target = parseUrl(url.searchParams.get('url'));
+      if (target && isStudioHost(target.hostname.toLowerCase())) {
+        return studioMedia(url);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Separates embedded media from a post's HTML
+ *
+ * Embeds (iframes and media comment links) are removed from the returned
+ * HTML. Plain YouTube and Vimeo links stay in the text and are also listed,
+ * marked `fromLink`, so the reader can play them in place.
+ *
+ * @param {string} html - Post message HTML from Canvas
+ * @param {string|null} canvasOrigin - Canvas origin (e.g. https://school.instructure.com)
+ * @returns {Object} { html, media: [{ provider, kind, id, url, embedUrl, thumbnailUrl, fromLink }] }
+ */
+export function extractPostMedia(html, canvasOrigin) {
+  if (!html || typeof DOMParser === 'undefined') {
+    return { html: html || '', media: [] };
+  }
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const media = [];
+  const seen = new Set();
+  const add = (item, fromLink = false) => {
+    if (!item || seen.has(`${item.provider}:${item.id}`)) return;
+    seen.add(`${item.provider}:${item.id}`);
+    media.push({ ...item, fromLink });
+  };
+
+  doc.querySelectorAll('iframe[src]').forEach(iframe => {
+    const kind = iframe.getAttribute('data-media-type') || undefined;
+    const item = mediaFromUrl(iframe.getAttribute('src'), canvasOrigin, kind) ||
+      canvasMedia(canvasOrigin, { mediaId: iframe.getAttribute('data-media-id'), kind });
+    if (item) {
+      add(item);
+      iframe.remove();
+    }
+  });
+
+  doc.querySelectorAll('a.instructure_inline_media_comment, a[id^="media_comment_"]').forEach(link => {
+    const kind = link.classList.contains('audio_comment') ? 'audio' : 'video';
+    const idMatch = (link.getAttribute('id') || '').match(/^media_comment_(.+)$/);
+    const item = idMatch
+      ? canvasMedia(canvasOrigin, { mediaId: idMatch[1], kind })
+      : mediaFromUrl(link.getAttribute('href'), canvasOrigin, kind);
+    if (item) {
+      add(item);
+      link.remove();
+    }
+  });
+
+  doc.querySelectorAll('a[href]').forEach(link => {
+    const item = mediaFromUrl(link.getAttribute('href'), null);
+    if (item && item.provider !== 'studio') add(item, true);
+  });
+
+  return { html: doc.body.innerHTML, media };
+}
+
+/**
+ * Describes an embedded media item for Markdown exports
+ *
+ * @param {Object} item - From extractPostMedia()
+ * @returns {string} e.g. "[Video submission: https://…]"
+ */
+export function formatMediaPlaceholder(item) {
+  return `[${item.kind === 'audio' ? 'Audio' : 'Video'} submission: ${item.url}]`;
+}
+
+/**
+ * Names the service hosting an embedded media item
+ *
+ * @param {Object} item - From extractPostMedia()
+ * @returns {string} Display name
+ */
+export function getMediaProviderLabel(item) {
+  return {
+    youtube: 'YouTube',
+    vimeo: 'Vimeo',
+    canvas: 'Canvas media',
+    studio: 'Canvas Studio'
+  }[item.provider] || 'Media';
+}
+
+/**
+ * Derives the Canvas web origin from the API URL
+ *
+ * @param {string} apiUrl - Canvas API URL (e.g. https://school.instructure.com/api/v1)
+ * @returns {string|null} Origin, or null if the URL is not set or invalid
+ */
+export function getCanvasOrigin(apiUrl) {
+  const url = parseUrl(apiUrl);
+  return url ? url.origin : null;
+}
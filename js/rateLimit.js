@@ -0,0 +1,93 @@
+/**
+ * Canvas Rate Limit Helpers
+ *
+ * Canvas throttles with a 403 whose body reads "Rate Limit Exceeded" and
+ * reports the remaining quota in the X-Rate-Limit-Remaining header. The
+ * server-side proxy (pages/api/canvas-proxy.js) only flags throttled
+ * responses; retrying and pacing happen once, in the browser client
+ * (js/canvasApi.js).
+ */
+
+// Retry settings for throttled and transient (5xx) responses
+export const MAX_RETRIES = 4;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+
+// Below this many quota units, slow down before Canvas starts rejecting requests
+export const LOW_QUOTA_THRESHOLD = 100;
+
+/**
+ * Checks whether a Canvas response was rejected by the rate limiter
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} bodyText - Raw response body
+ * @returns {boolean} True when the request was throttled
+ */
+export function isRateLimited(status, bodyText = '') {
+  return status === 429 || (status === 403 && /rate limit exceeded/i.test(bodyText));
+}
+
+/**
+ * Exponential backoff with full jitter, so parallel callers don't retry in lockstep
+ *
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt) {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Extra pause to take before the next request when the quota is running low
+ *
+ * @param {string|number|null} remaining - X-Rate-Limit-Remaining header value
+ * @returns {number} Delay in milliseconds (0 when the quota is healthy)
+ */
+export function getLowQuotaDelay(remaining) {
+  const value = parseFloat(remaining);
+  if (Number.isNaN(value) || value >= LOW_QUOTA_THRESHOLD) return 0;
+  return Math.round((1 - Math.max(value, 0) / LOW_QUOTA_THRESHOLD) * 2000);
+}
+
+/**
+ * Resolves after the given number of milliseconds
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates a limiter that caps how many async tasks run at once
+ * Extra tasks wait in FIFO order until a slot frees up
+ *
+ * @param {number} maxConcurrent - Maximum number of tasks in flight
+ * @returns {Function} run(task) - Runs task() when a slot is free and resolves with its result
+ */
+export function createConcurrencyLimiter(maxConcurrent) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= maxConcurrent || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return function run(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Discussion Requirements
+ *
+ * Facilitators can describe what a graded topic asks of each student, e.g.
+ * "respond to at least 2 of the prompts in 150 words each and reply to 2
+ * classmates by Friday". Requirements are shared by everyone teaching the
+ * course: they are stored in Convex (convex/requirements.ts), one row per
+ * discussion topic ID:
+ * - minTopLevelPosts: top-level entries the student must write
+ * - minWords: words every one of those entries must reach
+ * - minPeerReplies: replies to other students' posts
+ * - dueBy: ISO date after which posts no longer count (null for none)
+ *
+ * evaluateRequirement() marks a student met, partially met or not met, with
+ * a line per check explaining why.
+ */
+
+export const REQUIREMENT_MET = 'met';
+export const REQUIREMENT_PARTIAL = 'partial';
+export const REQUIREMENT_NOT_MET = 'not_met';
+
+export const REQUIREMENT_LABELS = {
+  [REQUIREMENT_MET]: 'Met',
+  [REQUIREMENT_PARTIAL]: 'Partially met',
+  [REQUIREMENT_NOT_MET]: 'Not met'
+};
+
+// Whole numbers of zero or more; anything else means "no minimum"
+function toCount(value) {
+  const count = Math.floor(Number(value));
+  return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+/**
+ * Fills in missing fields of a topic requirement
+ *
+ * @param {Object} requirement - Possibly partial requirement
+ * @returns {Object} { minTopLevelPosts, minWords, minPeerReplies, dueBy }
+ */
+export function normalizeRequirement(requirement = {}) {
+  const dueBy = requirement.dueBy && !Number.isNaN(new Date(requirement.dueBy).getTime())
+    ? new Date(requirement.dueBy).toISOString()
+    : null;
+  return {
+    minTopLevelPosts: toCount(requirement.minTopLevelPosts),
+    minWords: toCount(requirement.minWords),
+    minPeerReplies: toCount(requirement.minPeerReplies),
+    dueBy
+  };
+}
+
+/**
+ * Checks whether a requirement asks for anything
+ *
+ * @param {Object|null} requirement - Topic requirement
+ * @returns {boolean} True when at least one minimum is set
+ */
+export function hasRequirement(requirement) {
+  return Boolean(requirement) &&
+    (requirement.minTopLevelPosts > 0 || requirement.minWords > 0 || requirement.minPeerReplies > 0);
+}
+
+/**
+ * Turns the rows from api.requirements.listRequirements into a lookup
+ *
+ * @param {Array|undefined} rows - Saved requirements ({ topicId, ...requirement })
+ * @returns {Object} Topic ID -> requirement; only topics with a requirement are listed
+ */
+export function indexRequirements(rows) {
+  const requirements = {};
+  (rows || []).forEach(({ topicId, ...requirement }) => {
+    const normalized = normalizeRequirement(requirement);
+    if (hasRequirement(normalized)) requirements[String(topicId)] = normalized;
+  });
+  return requirements;
+}
+
+/**
+ * Prepares edited requirements for api.requirements.saveRequirements,
+ * dropping topics without one
+ *
+ * @param {Object} requirements - Topic ID -> possibly partial requirement
+ * @returns {Array} [{ topicId, minTopLevelPosts, minWords, minPeerReplies, dueBy? }]
+ */
+export function toSavedRequirements(requirements) {
+  return Object.entries(requirements)
+    .map(([topicId, requirement]) => ({ topicId: String(topicId), ...normalizeRequirement(requirement) }))
+    .filter(hasRequirement)
+    .map(({ dueBy, ...requirement }) => (dueBy ? { ...requirement, dueBy } : requirement));
+}
+
+/**
+ * Describes a requirement in a short sentence
+ *
+ * @param {Object} requirement - Normalized topic requirement
+ * @returns {string} e.g. "2 posts of 150+ words, 2 peer replies, by 3/14/2025"
+ */
+export function describeRequirement(requirement) {
+  const parts = [];
+  if (requirement.minTopLevelPosts > 0 || requirement.minWords > 0) {
+    const posts = Math.max(requirement.minTopLevelPosts, 1);
+    const words = requirement.minWords > 0 ? ` of ${requirement.minWords}+ words` : '';
+    parts.push(`${posts} post${posts === 1 ? '' : 's'}${words}`);
+  }
+  if (requirement.minPeerReplies > 0) {
+    parts.push(`${requirement.minPeerReplies} peer repl${requirement.minPeerReplies === 1 ? 'y' : 'ies'}`);
+  }
+  if (requirement.dueBy) {
+    parts.push(`by ${new Date(requirement.dueBy).toLocaleString()}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Counts the words in a post's HTML
+ *
+ * @param {string} html - Canvas post message
+ * @returns {number} Words containing at least one letter or digit
+ */
+export function countWords(html) {
+  const text = String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;|&#160;/g, ' ')
+    .replace(/&[a-z]+;|&#\d+;/gi, '');
+  return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+const getAuthorId = post => String(post.user?.id ?? post.user_id);
+
+/**
+ * Evaluates one student against a topic requirement
+ *
+ * @param {Object} requirement - Normalized topic requirement
+ * @param {Object} params - Topic posts and roster lookups
+ * @param {string|number} params.userId - Canvas user ID of the student
+ * @param {Array} params.topicPosts - Every post of the topic (students and teachers)
+ * @param {Function} params.isStudent - Tells whether a user ID belongs to a student
+ * @returns {Object} { status, checks: [{ id, met, text }] } with status one of the REQUIREMENT_* constants
+ */
+export function evaluateRequirement(requirement, { userId, topicPosts, isStudent }) {
+  const id = String(userId);
+  const dueBy = requirement.dueBy ? new Date(requirement.dueBy).getTime() : null;
+  const postsById = new Map(topicPosts.map(post => [post.id, post]));
+  const ownPosts = topicPosts.filter(post => getAuthorId(post) === id);
+  const counted = dueBy ? ownPosts.filter(post => new Date(post.created_at).getTime() <= dueBy) : ownPosts;
+
+  const entries = counted.filter(post => !post.parent_id);
+  const peerReplies = counted.filter(post => {
+    const parent = post.parent_id ? postsById.get(post.parent_id) : null;
+    return parent && getAuthorId(parent) !== id && isStudent(getAuthorId(parent));
+  });
+
+  const checks = [];
+  if (requirement.minTopLevelPosts > 0) {
+    checks.push({
+      id: 'posts',
+      met: entries.length >= requirement.minTopLevelPosts,
+      text: `${entries.length} of ${requirement.minTopLevelPosts} top-level posts`
+    });
+  }
+  if (requirement.minWords > 0) {
+    const shortPosts = entries.filter(post => countWords(post.message) < requirement.minWords).length;
+    checks.push({
+      id: 'words',
+      met: entries.length > 0 && shortPosts === 0,
+      text: entries.length === 0
+        ? `No post of ${requirement.minWords}+ words`
+        : shortPosts === 0
+          ? `Every post has ${requirement.minWords}+ words`
+          : `${shortPosts} post${shortPosts === 1 ? '' : 's'} under ${requirement.minWords} words`
+    });
+  }
+  if (requirement.minPeerReplies > 0) {
+    checks.push({
+      id: 'replies',
+      met: peerReplies.length >= requirement.minPeerReplies,
+      text: `${peerReplies.length} of ${requirement.minPeerReplies} peer replies`
+    });
+  }
+
+  const lateCount = ownPosts.length - counted.length;
+  if (lateCount > 0) {
+    checks.push({
+      id: 'due',
+      met: false,
+      text: `${lateCount} post${lateCount === 1 ? '' : 's'} after ${new Date(dueBy).toLocaleString()} not counted`
+    });
+  }
+
+  const metCount = checks.filter(check => check.met).length;
+  const requiredChecks = checks.filter(check => check.id !== 'due');
+  const status = requiredChecks.every(check => check.met)
+    ? REQUIREMENT_MET
+    : metCount > 0 ? REQUIREMENT_PARTIAL : REQUIREMENT_NOT_MET;
+  return { status, checks };
+}
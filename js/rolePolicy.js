@@ -0,0 +1,199 @@
+/**
+ * Participant Role Policy
+ *
+ * Decides who counts as a teacher (their replies are facilitator feedback),
+ * a student (shown in lists, activity and grading) or excluded (ignored
+ * everywhere, e.g. observers and the Canvas Test Student).
+ *
+ * Each course has its own policy, kept in localStorage:
+ * - roles: Canvas enrollment type or custom role name -> 'teacher' | 'student' | 'excluded'
+ * - includeUserIds: always treated as students
+ * - excludeUserIds: always excluded
+ * - instructorKeywords: email/department words that mark registrants who
+ *   have no Canvas enrollment as staff
+ */
+
+export const ROLE_TEACHER = 'teacher';
+export const ROLE_STUDENT = 'student';
+export const ROLE_EXCLUDED = 'excluded';
+
+export const DEFAULT_ROLE_POLICY = {
+  roles: {
+    TeacherEnrollment: ROLE_TEACHER,
+    TaEnrollment: ROLE_TEACHER,
+    DesignerEnrollment: ROLE_TEACHER,
+    StudentEnrollment: ROLE_STUDENT,
+    ObserverEnrollment: ROLE_EXCLUDED,
+    StudentViewEnrollment: ROLE_EXCLUDED
+  },
+  includeUserIds: [],
+  excludeUserIds: [],
+  instructorKeywords: ['instructor', 'teacher', 'faculty', 'professor']
+};
+
+// When a user has several enrollments, the strongest role wins
+const ROLE_PRIORITY = [ROLE_TEACHER, ROLE_STUDENT, ROLE_EXCLUDED];
+
+function storageKey(courseId) {
+  return `role_policy_${courseId}`;
+}
+
+/**
+ * Fills in missing fields from the default policy
+ *
+ * @param {Object} policy - Possibly partial policy
+ * @returns {Object} Complete policy with string user IDs
+ */
+export function normalizeRolePolicy(policy = {}) {
+  return {
+    roles: { ...DEFAULT_ROLE_POLICY.roles, ...(policy.roles || {}) },
+    includeUserIds: (policy.includeUserIds || []).map(String),
+    excludeUserIds: (policy.excludeUserIds || []).map(String),
+    instructorKeywords: policy.instructorKeywords || DEFAULT_ROLE_POLICY.instructorKeywords
+  };
+}
+
+/**
+ * Loads the saved role policy for a course
+ *
+ * @param {string} courseId - Canvas course ID
+ * @returns {Object} The course's policy, or the default policy
+ */
+export function loadRolePolicy(courseId) {
+  if (typeof window === 'undefined' || !courseId) return normalizeRolePolicy();
+  try {
+    return normalizeRolePolicy(JSON.parse(localStorage.getItem(storageKey(courseId)) || '{}'));
+  } catch (error) {
+    console.warn('Could not read role policy, using defaults:', error);
+    return normalizeRolePolicy();
+  }
+}
+
+/**
+ * Saves the role policy for a course
+ *
+ * @param {string} courseId - Canvas course ID
+ * @param {Object} policy - Policy to store
+ */
+export function saveRolePolicy(courseId, policy) {
+  localStorage.setItem(storageKey(courseId), JSON.stringify(normalizeRolePolicy(policy)));
+}
+
+/**
+ * Classifies a single enrollment by its role
+ * A custom role name (enrollment.role) takes precedence over its base type.
+ *
+ * @param {Object} enrollment - Roster entry from fetchCourseRoster() ({ type, role })
+ * @param {Object} policy - Normalized role policy
+ * @returns {string} 'teacher', 'student' or 'excluded'
+ */
+function classifyEnrollmentRole(enrollment, policy) {
+  return policy.roles[enrollment.role] || policy.roles[enrollment.type] || ROLE_STUDENT;
+}
+
+/**
+ * Classifies every enrolled user under a policy
+ *
+ * @param {Array} enrollments - Roster from fetchCourseRoster() ({ userId, name, type, role, sectionId })
+ * @param {Object} policy - Role policy
+ * @returns {Object} { teacherIds, studentIds, excludedIds, people } with string IDs;
+ *   people lists { userId, name, roles, sectionIds, classification, reason } for previews
+ *   and per-section due dates
+ */
+export function classifyRoster(enrollments, policy) {
+  const normalized = normalizeRolePolicy(policy);
+  const include = new Set(normalized.includeUserIds);
+  const exclude = new Set(normalized.excludeUserIds);
+  const peopleById = new Map();
+
+  enrollments.forEach(enrollment => {
+    const userId = String(enrollment.userId);
+    if (!peopleById.has(userId)) {
+      peopleById.set(userId, { userId, name: enrollment.name, roles: [], sectionIds: [], classes: [] });
+    }
+    const person = peopleById.get(userId);
+    const roleName = enrollment.role || enrollment.type;
+    if (!person.roles.includes(roleName)) person.roles.push(roleName);
+    if (enrollment.sectionId && !person.sectionIds.includes(enrollment.sectionId)) {
+      person.sectionIds.push(enrollment.sectionId);
+    }
+    person.classes.push(classifyEnrollmentRole(enrollment, normalized));
+  });
+
+  // Manually listed users who aren't enrolled still get an entry
+  [...include, ...exclude].forEach(userId => {
+    if (!peopleById.has(userId)) {
+      peopleById.set(userId, { userId, name: '', roles: [], sectionIds: [], classes: [] });
+    }
+  });
+
+  const people = Array.from(peopleById.values()).map(({ classes, ...person }) => {
+    if (exclude.has(person.userId)) {
+      return { ...person, classification: ROLE_EXCLUDED, reason: 'Excluded by user ID' };
+    }
+    if (include.has(person.userId)) {
+      return { ...person, classification: ROLE_STUDENT, reason: 'Included by user ID' };
+    }
+    const classification = ROLE_PRIORITY.find(role => classes.includes(role)) || ROLE_STUDENT;
+    return { ...person, classification, reason: `Role: ${person.roles.join(', ')}` };
+  });
+
+  const idsFor = classification => new Set(
+    people.filter(person => person.classification === classification).map(person => person.userId)
+  );
+
+  return {
+    teacherIds: idsFor(ROLE_TEACHER),
+    studentIds: idsFor(ROLE_STUDENT),
+    excludedIds: idsFor(ROLE_EXCLUDED),
+    people: people.sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Looks up a user's classification
+ * Users without an enrollment (e.g. dropped students who posted) count as students.
+ *
+ * @param {Object} courseRoles - From classifyRoster() or fetchCourseRoles()
+ * @param {string|number} userId - Canvas user ID
+ * @returns {string} 'teacher', 'student' or 'excluded'
+ */
+export function getUserRole(courseRoles, userId) {
+  const id = String(userId);
+  if (courseRoles.excludedIds.has(id)) return ROLE_EXCLUDED;
+  if (courseRoles.teacherIds.has(id)) return ROLE_TEACHER;
+  return ROLE_STUDENT;
+}
+
+/**
+ * Checks whether a user is enrolled in the course under any role
+ *
+ * @param {Object} courseRoles - From classifyRoster() or fetchCourseRoles()
+ * @param {string|number} userId - Canvas user ID
+ * @returns {boolean} True when the roster knows the user
+ */
+export function isEnrolled(courseRoles, userId) {
+  const id = String(userId);
+  return courseRoles.teacherIds.has(id) || courseRoles.studentIds.has(id) || courseRoles.excludedIds.has(id);
+}
+
+/**
+ * Drops posts written by excluded users, along with the replies beneath them
+ *
+ * @param {Array} posts - Flattened discussion posts (with parent_id)
+ * @param {Object} courseRoles - From classifyRoster() or fetchCourseRoles()
+ * @returns {Array} Posts from teachers and students
+ */
+export function removeExcludedPosts(posts, courseRoles) {
+  if (courseRoles.excludedIds.size === 0) return posts;
+
+  const postsById = new Map(posts.map(post => [post.id, post]));
+  const isExcluded = post => {
+    for (let current = post; current; current = postsById.get(current.parent_id)) {
+      if (getUserRole(courseRoles, current.user_id ?? current.user?.id) === ROLE_EXCLUDED) return true;
+    }
+    return false;
+  };
+
+  return posts.filter(post => !isExcluded(post));
+}
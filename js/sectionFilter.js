@@ -0,0 +1,62 @@
+/**
+ * Section Filter Helpers
+ *
+ * Facilitation is split by course section. The Header's section filter picks
+ * one or more sections; these helpers turn that choice into the set of Canvas
+ * user IDs enrolled in them and narrow posts and lists to those users.
+ *
+ * A `sectionUserIds` of null means "no filter" everywhere.
+ */
+
+/**
+ * Collects the users enrolled in any of the chosen sections
+ *
+ * @param {Array} enrollments - Roster from fetchCourseRoster() ({ userId, sectionId })
+ * @param {Array<string>} sectionIds - Chosen section IDs (empty for all sections)
+ * @returns {Set<string>|null} User IDs as strings, or null when not filtering
+ */
+export function getSectionUserIds(enrollments, sectionIds) {
+  if (!sectionIds || sectionIds.length === 0) return null;
+  const chosen = new Set(sectionIds.map(String));
+  return new Set(
+    enrollments
+      .filter(enrollment => chosen.has(String(enrollment.sectionId)))
+      .map(enrollment => String(enrollment.userId))
+  );
+}
+
+/**
+ * Checks whether a user passes the section filter
+ *
+ * @param {string|number} userId - Canvas user ID
+ * @param {Set<string>|null} sectionUserIds - From getSectionUserIds()
+ * @returns {boolean} True when not filtering or the user is in a chosen section
+ */
+export function isInSections(userId, sectionUserIds) {
+  if (!sectionUserIds) return true;
+  return userId !== undefined && userId !== null && sectionUserIds.has(String(userId));
+}
+
+/**
+ * Keeps the threads started by users in the chosen sections
+ * Replies stay with their thread whoever wrote them, so facilitator feedback
+ * to a section's students is kept.
+ *
+ * @param {Array} posts - Flattened discussion posts (with parent_id)
+ * @param {Set<string>|null} sectionUserIds - From getSectionUserIds()
+ * @returns {Array} Posts belonging to the kept threads
+ */
+export function filterPostsBySection(posts, sectionUserIds) {
+  if (!sectionUserIds) return posts;
+
+  const postsById = new Map(posts.map(post => [post.id, post]));
+  const rootAuthor = post => {
+    let current = post;
+    while (current.parent_id && postsById.has(current.parent_id)) {
+      current = postsById.get(current.parent_id);
+    }
+    return current.user_id ?? current.user?.id;
+  };
+
+  return posts.filter(post => isInSections(rootAuthor(post), sectionUserIds));
+}
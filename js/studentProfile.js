@@ -0,0 +1,135 @@
+/**
+ * Cross-Course Student Profile
+ *
+ * Builds one participant's history across every course the facilitator
+ * teaches, keyed by Canvas user ID rather than display name. For each course
+ * the student is enrolled in it collects:
+ * - posts and replies the student wrote (from the cached course discussions)
+ * - grades for the student's assignment submissions
+ *
+ * Courses the student isn't enrolled in are skipped after one enrollment
+ * lookup, so their discussions are never downloaded.
+ */
+
+import { fetchAllPages, fetchCanvasDiscussions } from './canvasApi';
+
+/**
+ * Sorts items oldest first by a date field, undated items last
+ *
+ * @param {Array} items - Items to sort
+ * @param {Function} getDate - Returns the item's ISO date string (or null)
+ * @returns {Array} New sorted array
+ */
+function sortByDate(items, getDate) {
+  const time = item => {
+    const date = getDate(item);
+    return date ? new Date(date).getTime() : Infinity;
+  };
+  return items.slice().sort((a, b) => time(a) - time(b));
+}
+
+/**
+ * Turns a Canvas submission (with include[]=assignment) into a grade row
+ *
+ * @param {Object} submission - Canvas submission object
+ * @returns {Object} Grade summary
+ */
+function toGrade(submission) {
+  const assignment = submission.assignment || {};
+  return {
+    assignmentId: submission.assignment_id,
+    assignmentName: assignment.name || `Assignment ${submission.assignment_id}`,
+    pointsPossible: assignment.points_possible ?? null,
+    dueAt: assignment.due_at || null,
+    submittedAt: submission.submitted_at || null,
+    gradedAt: submission.graded_at || null,
+    grade: submission.grade ?? null,
+    score: submission.score ?? null,
+    late: Boolean(submission.late),
+    missing: Boolean(submission.missing),
+    isDiscussion: (assignment.submission_types || []).includes('discussion_topic')
+  };
+}
+
+/**
+ * Loads the student's enrollment, posts and grades for one course
+ *
+ * @param {Object} params - Request parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {Object} params.course - Course from fetchTeachingCourses()
+ * @param {string|number} params.userId - Canvas user ID of the student
+ * @returns {Promise<Object|null>} { course, enrollment, posts, grades, firstActivityAt } or null if not enrolled
+ */
+async function fetchCourseHistory({ apiUrl, course, userId }) {
+  const enrollments = await fetchAllPages({
+    apiUrl,
+    endpoint: `/courses/${course.id}/enrollments?user_id=${userId}`
+  });
+  const enrollment = enrollments.find(e => String(e.user_id) === String(userId));
+  if (!enrollment) return null;
+
+  const [allPosts, submissions] = await Promise.all([
+    fetchCanvasDiscussions({ apiUrl, courseId: course.id }),
+    fetchAllPages({
+      apiUrl,
+      endpoint: `/courses/${course.id}/students/submissions?student_ids[]=${userId}&include[]=assignment`
+    }).catch(error => {
+      console.warn(`Could not load grades for course ${course.id}:`, error.message);
+      return [];
+    })
+  ]);
+
+  const posts = sortByDate(
+    allPosts.filter(post => String(post.user_id ?? post.user?.id) === String(userId)),
+    post => post.created_at
+  );
+  const grades = sortByDate(
+    submissions.map(toGrade).filter(grade => grade.submittedAt || grade.grade !== null),
+    grade => grade.submittedAt || grade.dueAt
+  );
+
+  const firstDates = [posts[0]?.created_at, grades[0]?.submittedAt].filter(Boolean);
+  return {
+    course,
+    enrollment,
+    posts,
+    grades,
+    firstActivityAt: firstDates.length > 0 ? firstDates.sort()[0] : null
+  };
+}
+
+/**
+ * Fetches a student's posts and grades across the given courses
+ * Course groups are ordered by the student's first activity, so a program's
+ * courses read in the order the student took them.
+ *
+ * @param {Object} params - Request parameters
+ * @param {string} params.apiUrl - Canvas API base URL
+ * @param {Array} params.courses - Courses from fetchTeachingCourses()
+ * @param {string|number} params.userId - Canvas user ID of the student
+ * @returns {Promise<Object>} { student: { id, name, avatarUrl } | null, courses: Array, failedCourses: Array }
+ */
+export async function fetchStudentProfile({ apiUrl, courses, userId }) {
+  const failedCourses = [];
+  const histories = await Promise.all(courses.map(course =>
+    fetchCourseHistory({ apiUrl, course, userId }).catch(error => {
+      console.warn(`Could not load course ${course.id} for student ${userId}:`, error.message);
+      failedCourses.push(course);
+      return null;
+    })
+  ));
+
+  const enrolledCourses = sortByDate(histories.filter(Boolean), history => history.firstActivityAt);
+
+  const user = enrolledCourses.find(history => history.enrollment.user)?.enrollment.user;
+  const authoredPost = enrolledCourses.flatMap(history => history.posts)[0];
+  const student = user || authoredPost
+    ? {
+        id: String(userId),
+        name: user?.name || authoredPost?.user_name || '',
+        avatarUrl: user?.avatar_url || authoredPost?.user?.avatar_image_url || null
+      }
+    : null;
+
+  return { student, courses: enrolledCourses, failedCourses };
+}
@@ -1,18 +1,22 @@
 import { useEffect, useState } from 'react';
+import { useCanvasAuth } from '../components/canvas/useCanvasAuth';
+import { useSectionFilter } from '../components/canvas/useSectionFilter';
+import SectionFilter from '../components/layout/SectionFilter';
 import { fetchCanvasDiscussions } from '../js/canvasApi';
 import { 
   loadDataFiles, 
   createMasterParticipantList, 
   filterStudentParticipants,
-  fetchCourseEnrollments,
+  fetchCourseRoles,
   analyzeReflectionCompletion,
   calculateParticipationMetrics
 } from '../js/dataUtils';
+import { isInSections } from '../js/sectionFilter';
+import { ROLE_STUDENT, ROLE_TEACHER, getUserRole, loadRolePolicy } from '../js/rolePolicy';
 
 export default function Analysis() {
-  const [apiUrl, setApiUrl] = useState('');
-  const [apiKey, setApiKey] = useState('');
-  const [courseId, setCourseId] = useState('');
+  const { apiUrl, courseId, isAuthenticated } = useCanvasAuth();
+  const { sectionUserIds } = useSectionFilter();
   const [courseName, setCourseName] = useState('');
   const [allPosts, setAllPosts] = useState([]);
   const [participants, setParticipants] = useState([]);
@@ -23,17 +27,11 @@ export default function Analysis() {
   const [error, setError] = useState('');
 
   function credentialsMissing() {
-    return !apiUrl || !apiKey || !courseId;
+    return !isAuthenticated || !courseId;
   }
 
   useEffect(() => {
-    setApiUrl(localStorage.getItem('canvas_api_url') || '');
-    setApiKey(localStorage.getItem('canvas_api_key') || '');
-    setCourseId(localStorage.getItem('course_id') || '');
-  }, []);
-
-  useEffect(() => {
-    if (!apiUrl || !apiKey || !courseId) return;
+    if (!isAuthenticated || !courseId) return;
     
     // Fetch course name
     async function fetchCourseName() {
@@ -42,8 +40,6 @@ export default function Analysis() {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            apiUrl,
-            apiKey,
             endpoint: `/courses/${courseId}`,
             method: 'GET'
           })
@@ -57,7 +53,7 @@ export default function Analysis() {
       }
     }
     fetchCourseName();
-  }, [apiUrl, apiKey, courseId]);
+  }, [apiUrl, courseId, isAuthenticated]);
 
   async function loadAnalysisData() {
     if (credentialsMissing()) return;
@@ -69,12 +65,13 @@ export default function Analysis() {
       console.log('=== LOADING ANALYSIS DATA ===');
       
       // Load Canvas discussions
-      const canvasPosts = await fetchCanvasDiscussions({ apiUrl, apiKey, courseId });
+      const canvasPosts = await fetchCanvasDiscussions({ apiUrl, courseId });
       setAllPosts(canvasPosts);
       
-      // Fetch course enrollments to identify teachers
-      const teacherUserIds = await fetchCourseEnrollments(apiUrl, apiKey, courseId);
-      console.log(`Found ${teacherUserIds.length} teachers in course enrollments`);
+      // Classify course users under the course's role policy
+      const rolePolicy = loadRolePolicy(courseId);
+      const courseRoles = await fetchCourseRoles(apiUrl, courseId, rolePolicy);
+      console.log(`Found ${courseRoles.teacherIds.size} teachers in course enrollments`);
       
       // Load CSV data
       const csvData = await loadDataFiles();
@@ -85,7 +82,7 @@ export default function Analysis() {
       canvasPosts.forEach(post => {
         const displayName = post.user?.display_name;
         const userName = post.user_name;
-        const userId = post.user?.id;
+        const userId = post.user?.id || post.user_id;
         const email = post.user?.email;
         
         // Canvas provides display names in user_name field
@@ -93,8 +90,8 @@ export default function Analysis() {
         // Canvas doesn't provide emails in discussion posts, only display names
         
         if (displayName || userName) {
-          // Use display name as key since Canvas doesn't provide reliable usernames/emails
-          const key = displayName || userName || 'Unknown';
+          // Key by Canvas user ID so students sharing a display name stay separate
+          const key = userId ? `id-${userId}` : displayName || userName || 'Unknown';
           
           if (!userMap[key]) {
             userMap[key] = {
@@ -116,8 +113,10 @@ export default function Analysis() {
       console.log('All participants after master list creation:', allParticipants.length);
       console.log('Sample participant structure:', allParticipants[0]);
       
-      // Filter to student participants only (exclude instructors by Canvas role)
-      const allStudentParticipants = filterStudentParticipants(allParticipants, teacherUserIds);
+      // Filter to student participants only (exclude teachers and excluded users by role policy),
+      // narrowed to the sections chosen in the header
+      const allStudentParticipants = filterStudentParticipants(allParticipants, courseRoles, rolePolicy)
+        .filter(participant => isInSections(participant.id, sectionUserIds));
       
       // Filter to genuinely engaged participants: attended Zoom OR posted 2+ reflections
       const engagedParticipants = allStudentParticipants.filter((participant, index) => {
@@ -202,12 +201,12 @@ export default function Analysis() {
       // Separate student posts from teacher posts
       const studentPosts = canvasPosts.filter(post => {
         const userId = post.user?.id || post.user_id;
-        return userId && !teacherUserIds.includes(parseInt(userId));
+        return userId && getUserRole(courseRoles, userId) === ROLE_STUDENT;
       });
       
       const teacherPosts = canvasPosts.filter(post => {
         const userId = post.user?.id || post.user_id;
-        return userId && teacherUserIds.includes(parseInt(userId));
+        return userId && getUserRole(courseRoles, userId) === ROLE_TEACHER;
       });
       
       // Store post counts for UI display
@@ -270,6 +269,9 @@ export default function Analysis() {
               </a>
               <span className="ml-4 text-lg font-normal text-gray-200">{courseName ? courseName : 'Loading...'}</span>
             </h1>
+            <div className="ml-4">
+              <SectionFilter />
+            </div>
           </div>
           <nav className="flex items-center space-x-4 text-sm">
             <a href="/" className="text-white hover:text-gray-200 transition-colors">
@@ -0,0 +1,52 @@
+/**
+ * Canvas Login - Next.js API Route
+ * 
+ * Takes the Canvas API URL and access token once, checks them against
+ * Canvas (`/users/self`) and stores them in an encrypted httpOnly session
+ * cookie. After login the browser only holds the cookie; /api/canvas-proxy
+ * attaches the token server-side.
+ * 
+ * Usage Pattern:
+ * Settings page → POST /api/auth/login { apiUrl, apiKey } → Set-Cookie
+ * 
+ * @param {NextApiRequest} req - Next.js API request object
+ * @param {NextApiResponse} res - Next.js API response object
+ */
+import { setSessionCookie } from '../../../js/canvasSession';
+import { validateProxyRequest } from '../../../js/canvasProxyPolicy';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { apiUrl, apiKey } = req.body || {};
+  if (!apiUrl || !apiKey) {
+    return res.status(400).json({ error: 'Missing required parameters: apiUrl and apiKey are required.' });
+  }
+
+  // Same host allowlist as the proxy, so we never send a token to an unknown host
+  const { url, error: policyError } = validateProxyRequest({ apiUrl, endpoint: '/users/self', method: 'GET' });
+  if (policyError) {
+    return res.status(403).json({ error: policyError, blocked: true });
+  }
+
+  try {
+    // Verify the token before storing it
+    const canvasRes = await fetch(url, {
+      headers: { 'Authorization': `Bearer ${apiKey}` }
+    });
+    if (!canvasRes.ok) {
+      return res.status(401).json({ error: 'Canvas rejected the access token.' });
+    }
+    const self = await canvasRes.json();
+    const user = { id: self.id, name: self.name };
+
+    setSessionCookie(res, { authMode: 'token', apiUrl: apiUrl.replace(/\/$/, ''), apiKey, user });
+    res.status(200).json({ authenticated: true, authMode: 'token', apiUrl: apiUrl.replace(/\/$/, ''), user });
+  } catch (e) {
+    console.error('Canvas login error:', e.message);
+    res.status(500).json({ error: 'Could not reach Canvas to verify the token.' });
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Canvas Logout - Next.js API Route
+ * 
+ * Wipes the encrypted session cookie holding the Canvas token. OAuth tokens
+ * are also revoked at Canvas.
+ * 
+ * @param {NextApiRequest} req - Next.js API request object
+ * @param {NextApiResponse} res - Next.js API response object
+ */
+import { getSession, clearSessionCookie } from '../../../js/canvasSession';
+import { revokeToken } from '../../../js/canvasOAuth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await revokeToken(getSession(req));
+  clearSessionCookie(res);
+  res.status(200).json({ authenticated: false });
+}
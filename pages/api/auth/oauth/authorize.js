@@ -0,0 +1,35 @@
+/**
+ * Canvas OAuth Authorize - Next.js API Route
+ * 
+ * Starts the OAuth2 authorization-code flow: stores a random state value in
+ * a short-lived httpOnly cookie and redirects the browser to Canvas to
+ * approve the developer key.
+ * 
+ * Usage Pattern:
+ * Settings "Sign in with Canvas" → GET /api/auth/oauth/authorize → Canvas consent page
+ * 
+ * @param {NextApiRequest} req - Next.js API request object
+ * @param {NextApiResponse} res - Next.js API response object
+ */
+import {
+  OAUTH_STATE_COOKIE,
+  getOAuthConfig,
+  getRedirectUri,
+  createState,
+  buildAuthorizeUrl
+} from '../../../../js/canvasOAuth';
+import { appendCookie, serializeCookie } from '../../../../js/canvasSession';
+
+// The user has ten minutes to finish the Canvas consent screen
+const STATE_MAX_AGE_SECONDS = 10 * 60;
+
+export default function handler(req, res) {
+  const config = getOAuthConfig();
+  if (!config) {
+    return res.status(404).json({ error: 'Canvas OAuth is not configured on this server.' });
+  }
+
+  const state = createState();
+  appendCookie(res, serializeCookie(OAUTH_STATE_COOKIE, state, STATE_MAX_AGE_SECONDS));
+  res.redirect(302, buildAuthorizeUrl(config, getRedirectUri(config, req), state));
+}
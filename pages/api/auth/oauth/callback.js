@@ -0,0 +1,47 @@
+/**
+ * Canvas OAuth Callback - Next.js API Route
+ * 
+ * Canvas redirects here after the user approves (or denies) the developer
+ * key. The state is checked against the cookie set by /authorize, the code is
+ * exchanged for tokens, and the tokens are sealed into the session cookie.
+ * The browser ends up back on the settings page either way.
+ * 
+ * @param {NextApiRequest} req - Next.js API request object
+ * @param {NextApiResponse} res - Next.js API response object
+ */
+import {
+  OAUTH_STATE_COOKIE,
+  getOAuthConfig,
+  getRedirectUri,
+  exchangeCode
+} from '../../../../js/canvasOAuth';
+import { appendCookie, serializeCookie, setSessionCookie } from '../../../../js/canvasSession';
+
+export default async function handler(req, res) {
+  const config = getOAuthConfig();
+  if (!config) {
+    return res.status(404).json({ error: 'Canvas OAuth is not configured on this server.' });
+  }
+
+  const { code, state, error } = req.query;
+  const expectedState = req.cookies?.[OAUTH_STATE_COOKIE];
+
+  // The state cookie is single-use
+  appendCookie(res, serializeCookie(OAUTH_STATE_COOKIE, '', 0));
+
+  if (error) {
+    return res.redirect(302, `/settings?oauth_error=${encodeURIComponent(error)}`);
+  }
+  if (!code || !state || !expectedState || state !== expectedState) {
+    return res.redirect(302, '/settings?oauth_error=invalid_state');
+  }
+
+  try {
+    const session = await exchangeCode(config, code, getRedirectUri(config, req));
+    setSessionCookie(res, session);
+    res.redirect(302, '/settings?oauth=success');
+  } catch (e) {
+    console.error('Canvas OAuth callback error:', e.message);
+    res.redirect(302, '/settings?oauth_error=token_exchange_failed');
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Canvas Session Status - Next.js API Route
+ * 
+ * Tells the browser whether a Canvas session exists, how it was created
+ * (pasted token or OAuth) and for which Canvas instance and user, plus
+ * whether OAuth sign-in is available. The token itself is never returned.
+ * 
+ * @param {NextApiRequest} req - Next.js API request object
+ * @param {NextApiResponse} res - Next.js API response object
+ */
+import { getSession, clearSessionCookie } from '../../../js/canvasSession';
+import { getOAuthConfig, ensureFreshSession } from '../../../js/canvasOAuth';
+
+export default async function handler(req, res) {
+  const oauthEnabled = Boolean(getOAuthConfig());
+  const stored = getSession(req);
+  const session = await ensureFreshSession(stored, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (!session) {
+    if (stored) {
+      // OAuth refresh failed - drop the dead session
+      clearSessionCookie(res);
+    }
+    return res.status(200).json({ authenticated: false, oauthEnabled });
+  }
+
+  res.status(200).json({
+    authenticated: true,
+    authMode: session.authMode || 'token',
+    apiUrl: session.apiUrl,
+    user: session.user || null,
+    oauthEnabled
+  });
+}
@@ -0,0 +1,110 @@
+/**
+ * Canvas File Download - Next.js API Route
+ *
+ * Streams a Canvas file (e.g. a discussion attachment) to the browser using
+ * the token in the session cookie, so attachments can be opened and bundled
+ * into exports without the facilitator being logged in to Canvas itself.
+ *
+ * Usage: GET /api/canvas-file?fileId=123
+ *
+ * The file's metadata is read from /api/v1/files/:id (checked against the
+ * same request policy as /api/canvas-proxy); the bytes come from the signed
+ * download URL Canvas returns and are streamed through as they arrive, so the
+ * function never holds a whole file and large videos aren't cut off by the
+ * host's buffered response limit, whatever their size.
+ * Only images, PDFs, audio and video open inline; everything else is sent as
+ * an octet-stream download, always with nosniff and a sandbox CSP.
+ *
+ * @param {NextApiRequest} req - Next.js API request object
+ * @param {NextApiResponse} res - Next.js API response object
+ */
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { validateProxyRequest } from '../../js/canvasProxyPolicy';
+import { getSession, clearSessionCookie } from '../../js/canvasSession';
+import { ensureFreshSession } from '../../js/canvasOAuth';
+
+// Types a browser can show without running script from the app's origin (SVG can carry script)
+const INLINE_TYPE = /^(image\/(png|jpeg|gif|webp|avif|bmp)|application\/pdf|audio\/[\w.+-]+|video\/[\w.+-]+)$/;
+
+export const config = {
+  api: { responseLimit: false }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const stored = getSession(req);
+  const session = await ensureFreshSession(stored, res);
+  if (!session) {
+    if (stored) {
+      clearSessionCookie(res);
+    }
+    return res.status(401).json({ error: 'Not logged in to Canvas. Sign in again in Settings.' });
+  }
+  const { apiUrl, apiKey } = session;
+
+  const { fileId } = req.query;
+  if (!/^\d+$/.test(String(fileId || ''))) {
+    return res.status(400).json({ error: 'fileId must be a Canvas file ID.' });
+  }
+
+  const { url, error: policyError } = validateProxyRequest({ apiUrl, endpoint: `/files/${fileId}`, method: 'GET' });
+  if (policyError) {
+    console.warn('Canvas file download blocked:', policyError);
+    return res.status(403).json({ error: policyError, blocked: true });
+  }
+
+  try {
+    const metaRes = await fetch(url, { headers: { 'Authorization': `Bearer ${apiKey}` } });
+    const file = await metaRes.json().catch(() => ({}));
+    if (!metaRes.ok || !file.url) {
+      return res.status(metaRes.ok ? 404 : metaRes.status).json({
+        error: file.errors || file.message || 'Canvas file not found'
+      });
+    }
+
+    // Signed download URL; Canvas redirects to its file store. The token is
+    // only sent to the Canvas host itself, never to the redirect target.
+    const fileUrl = new URL(file.url);
+    const onCanvas = fileUrl.origin === new URL(apiUrl).origin;
+    let fileRes = await fetch(fileUrl, {
+      headers: onCanvas ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      redirect: 'manual'
+    });
+    const location = fileRes.headers.get('location');
+    if (fileRes.status >= 300 && fileRes.status < 400 && location) {
+      fileRes = await fetch(new URL(location, fileUrl));
+    }
+    if (!fileRes.ok || !fileRes.body) {
+      return res.status(fileRes.ok ? 502 : fileRes.status).json({ error: `Could not download ${file.display_name}` });
+    }
+
+    // Attachments are student uploads served from the app's origin, so anything
+    // outside the inline list is forced to download as opaque bytes
+    const contentType = String(file['content-type'] || fileRes.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const inline = INLINE_TYPE.test(contentType);
+    res.setHeader('Content-Type', inline ? contentType : 'application/octet-stream');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Security-Policy', 'sandbox');
+    // Canvas's own size, since fetch may have decompressed the file store's response
+    if (Number.isFinite(file.size)) {
+      res.setHeader('Content-Length', file.size);
+    }
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(file.display_name || `file-${fileId}`)}`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.status(200);
+    await pipeline(Readable.fromWeb(fileRes.body), res);
+  } catch (e) {
+    console.error('Canvas file download error:', e);
+    // Once streaming has started the status is sent; cut the response short instead
+    if (res.headersSent) {
+      res.destroy(e);
+    } else {
+      res.status(500).json({ error: e.message });
+    }
+  }
+}
@@ -11,27 +11,88 @@
  * - Request/response data properly validated
  * 
  * Usage Pattern:
- * Client → POST /api/canvas-proxy → Canvas API → Response → Client
+ * Client → POST /api/canvas-proxy { endpoint, method, body } → Canvas API → Response → Client
+ * 
+ * Credentials:
+ * - The Canvas API URL and token come from the encrypted session cookie set
+ *   by /api/auth/login or the OAuth callback (js/canvasSession.js); the browser
+ *   never sends the token
+ * - Expiring OAuth access tokens are refreshed before the request (js/canvasOAuth.js)
+ * - Requests without a valid session get 401
+ * 
+ * Canvas's `Link` pagination header is passed through unchanged so list
+ * endpoints can be paged with `fetchAllPages` in js/canvasApi.js.
+ * 
+ * Request Policy (js/canvasProxyPolicy.js):
+ * - session apiUrl host must be in CANVAS_ALLOWED_HOSTS (default: *.instructure.com)
+ * - endpoint must be a relative API path (no absolute URLs or `..`)
+ * - only GET, POST and PUT are forwarded
+ * - anything else is rejected with 403 before Canvas is contacted
+ * 
+ * Rate Limiting:
+ * - The proxy makes exactly one Canvas call per request and never sleeps, so
+ *   it stays well inside the serverless function timeout
+ * - Throttled responses (403 "Rate Limit Exceeded" / 429) are forwarded with
+ *   their status and `rateLimited: true`; the browser client retries them
+ *   with backoff (canvasProxyRequest in js/canvasApi.js)
+ * - X-Rate-Limit-Remaining and X-Request-Cost are forwarded so the client can
+ *   slow down when the quota runs low
  * 
  * @param {NextApiRequest} req - Next.js API request object
  * @param {NextApiResponse} res - Next.js API response object
  */
+import { isRateLimited } from '../../js/rateLimit';
+import { validateProxyRequest } from '../../js/canvasProxyPolicy';
+import { getSession, clearSessionCookie } from '../../js/canvasSession';
+import { ensureFreshSession } from '../../js/canvasOAuth';
+
+/**
+ * Parses a Canvas response body, which is plain text for throttled requests
+ * 
+ * @param {string} text - Raw response body
+ * @returns {Object} Parsed JSON, or { message: text } when the body isn't JSON
+ */
+function parseBody(text) {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return { message: text };
+  }
+}
+
 export default async function handler(req, res) {
+  // Canvas credentials live in the encrypted session cookie, not the request body
+  const stored = getSession(req);
+  const session = await ensureFreshSession(stored, res);
+  if (!session) {
+    if (stored) {
+      clearSessionCookie(res);
+    }
+    return res.status(401).json({ error: 'Not logged in to Canvas. Sign in again in Settings.' });
+  }
+  const { apiUrl, apiKey } = session;
+
   // Extract Canvas API request parameters from POST body
-  const { endpoint, apiUrl, apiKey, method = 'GET', body } = req.body || {};
+  const { endpoint, method = 'GET', body } = req.body || {};
 
   // Validate required parameters for Canvas API request
-  if (!endpoint || !apiUrl || !apiKey) {
-    return res.status(400).json({ error: 'Missing required parameters: endpoint, apiUrl, and apiKey are required.' });
+  if (!endpoint) {
+    return res.status(400).json({ error: 'Missing required parameter: endpoint is required.' });
   }
 
+  // Refuse anything that isn't a Canvas API call on an allowed host
+  const { url, error: policyError } = validateProxyRequest({ apiUrl, endpoint, method });
+  if (policyError) {
+    console.warn('Canvas proxy blocked request:', policyError);
+    return res.status(403).json({ error: policyError, blocked: true });
+  }
+  const normalizedMethod = method.toUpperCase();
+
   try {
-    // Construct full Canvas API URL
-    const url = `${apiUrl}${endpoint}`;
-    
     // Configure fetch options with Canvas API authentication
     const fetchOptions = {
-      method,
+      method: normalizedMethod,
       headers: {
         'Authorization': `Bearer ${apiKey}`, // Canvas API requires Bearer token authentication
         'Content-Type': 'application/json',
@@ -39,22 +100,41 @@ export default async function handler(req, res) {
     };
     
     // Add request body for non-GET requests
-    if (method !== 'GET' && body) {
+    if (normalizedMethod !== 'GET' && body) {
       fetchOptions.body = JSON.stringify(body);
     }
     
-    // Make the actual request to Canvas API
+    // Make the actual request to Canvas API; retries happen in the browser client
     const canvasRes = await fetch(url, fetchOptions);
-    const data = await canvasRes.json();
+    const bodyText = await canvasRes.text();
+    const data = parseBody(bodyText);
+    
+    // Forward Canvas rate-limit headers so the client can pace itself
+    const remaining = canvasRes.headers.get('x-rate-limit-remaining');
+    const requestCost = canvasRes.headers.get('x-request-cost');
+    if (remaining) {
+      res.setHeader('X-Rate-Limit-Remaining', remaining);
+    }
+    if (requestCost) {
+      res.setHeader('X-Request-Cost', requestCost);
+    }
     
     // Forward Canvas API errors with proper status codes
     if (!canvasRes.ok) {
+      const rateLimited = isRateLimited(canvasRes.status, bodyText);
       return res.status(canvasRes.status).json({ 
         error: data.errors || data.message || 'Canvas API error',
-        status: canvasRes.status 
+        status: canvasRes.status,
+        rateLimited
       });
     }
     
+    // Forward Canvas pagination links so the client can follow rel="next"
+    const linkHeader = canvasRes.headers.get('link');
+    if (linkHeader) {
+      res.setHeader('Link', linkHeader);
+    }
+    
     // Forward successful Canvas API response
     res.status(200).json(data);
   } catch (e) {
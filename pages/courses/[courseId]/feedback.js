@@ -0,0 +1,7 @@
+/**
+ * Course Feedback (/courses/[courseId]/feedback)
+ *
+ * Course-scoped route for the feedback dashboard.
+ */
+
+export { default } from '../../feedback';
@@ -0,0 +1,8 @@
+/**
+ * Course Home (/courses/[courseId])
+ *
+ * Course-scoped route for the discussion browser home page. CanvasProvider
+ * makes the course in the URL the active course.
+ */
+
+export { default } from '../../index';
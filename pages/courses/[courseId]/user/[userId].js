@@ -0,0 +1,7 @@
+/**
+ * Course Student Page (/courses/[courseId]/user/[userId])
+ *
+ * Course-scoped route for a single student's posts and claim status.
+ */
+
+export { default } from '../../../user/[userId]';
@@ -0,0 +1,7 @@
+/**
+ * Course Users (/courses/[courseId]/users)
+ *
+ * Course-scoped route for the student list.
+ */
+
+export { default } from '../../users';
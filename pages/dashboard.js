@@ -1,39 +1,35 @@
 import { useEffect, useState } from 'react';
+import { useCanvasAuth } from '../components/canvas/useCanvasAuth';
 import Link from 'next/link';
+import { coursePath } from '../js/courseRoutes';
 import { fetchCanvasDiscussions } from '../js/canvasApi';
 
 export default function Dashboard() {
-  const [apiUrl, setApiUrl] = useState('');
-  const [apiKey, setApiKey] = useState('');
-  const [courseId, setCourseId] = useState('');
+  const { apiUrl, courseId, isAuthenticated } = useCanvasAuth();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
   useEffect(() => {
-    setApiUrl(localStorage.getItem('canvas_api_url') || '');
-    setApiKey(localStorage.getItem('canvas_api_key') || '');
-    setCourseId(localStorage.getItem('course_id') || '');
-  }, []);
-
-  useEffect(() => {
-    if (!apiUrl || !apiKey || !courseId) return;
+    if (!isAuthenticated || !courseId) return;
     setLoading(true);
     setError('');
-    fetchCanvasDiscussions({ apiUrl, apiKey, courseId })
+    fetchCanvasDiscussions({ apiUrl, courseId })
       .then(posts => {
-        // Group posts by user
+        // Group posts by user ID so students sharing a name stay separate
         const userMap = {};
         posts.forEach(post => {
-          const name = post.author?.display_name || 'Unknown';
-          if (!userMap[name]) userMap[name] = { name, count: 0 };
-          userMap[name].count++;
+          const userId = post.user?.id ?? post.user_id;
+          if (!userId) return;
+          const name = post.user?.display_name || post.user_name || 'Unknown';
+          if (!userMap[userId]) userMap[userId] = { userId, name, count: 0 };
+          userMap[userId].count++;
         });
         setUsers(Object.values(userMap).sort((a, b) => b.count - a.count));
       })
       .catch(e => setError(e.message))
       .finally(() => setLoading(false));
-  }, [apiUrl, apiKey, courseId]);
+  }, [apiUrl, courseId, isAuthenticated]);
 
   return (
     <div style={{ maxWidth: 700, margin: '2rem auto', fontFamily: 'sans-serif' }}>
@@ -47,8 +43,8 @@ export default function Dashboard() {
           <h2 style={{ fontSize: 22, fontWeight: 700, marginBottom: 18 }}>Users</h2>
           <ul style={{ listStyle: 'none', padding: 0 }}>
             {users.map(user => (
-              <li key={user.name} style={{ marginBottom: 12 }}>
-                <Link href={`/user/${encodeURIComponent(user.name)}`} style={{ color: '#7f1d1d', fontWeight: 500, textDecoration: 'underline' }}>
+              <li key={user.userId} style={{ marginBottom: 12 }}>
+                <Link href={coursePath(courseId, `/user/${user.userId}`)} style={{ color: '#7f1d1d', fontWeight: 500, textDecoration: 'underline' }}>
                   {user.name} ({user.count} posts)
                 </Link>
               </li>
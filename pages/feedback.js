@@ -12,32 +12,50 @@ import Layout from "../components/layout/Layout";
 import PageContainer from "../components/layout/PageContainer";
 import { useCanvasAuth } from "../components/canvas/useCanvasAuth";
 import { useCanvasCache } from "../components/canvas/useCanvasCache";
+import { useSectionFilter } from "../components/canvas/useSectionFilter";
 import LoadingSpinner from "../components/ui/LoadingSpinner";
 import ErrorMessage from "../components/ui/ErrorMessage";
 import StatusBadge from "../components/ui/StatusBadge";
 import CredentialsRequired from "../components/ui/CredentialsRequired";
 import TopicCard from "../components/discussion/TopicCard";
-import { fetchCanvasDiscussions } from "../js/canvasApi";
 import {
   processCanvasDataForDashboards,
   clearProcessedDataCache,
+  getDiscussionGroups,
+  filterTopicsByGroup,
+  filterTopicsBySection,
+  applyRequirements,
 } from "../js/gradingDataProcessor";
+import { indexRequirements } from "../js/requirements";
 import TeacherTotalsSummary from "../components/discussion/TeacherTotalsSummary";
-import DOMPurify from "dompurify";
 import TabbedTopicCard from "../components/discussion/TabbedTopicCard";
+import { downloadDiscussionsMarkdown } from "../js/markdownExport";
 
 export default function FeedbackPage() {
-  const { credentialsMissing, apiUrl, apiKey, courseId } = useCanvasAuth();
-  const { dataSource, cacheTimestamp, handleClearCache, setupCacheListener } =
-    useCanvasCache(courseId);
+  const { credentialsMissing, isAuthenticated, apiUrl, courseId } = useCanvasAuth();
+  const {
+    dataSource,
+    dataSourceInfo,
+    cacheTimestamp,
+    handleClearCache,
+    handleSync,
+    lastSync,
+  } = useCanvasCache(courseId);
+  const { sectionUserIds } = useSectionFilter();
 
   // State management for feedback dashboard data and UI states
   const [topics, setTopics] = useState([]); // Array of graded discussion topics with analytics
+  const [enrolledStudents, setEnrolledStudents] = useState([]); // Checked against discussion requirements
   const [loading, setLoading] = useState(false); // Loading state for async operations
   const [error, setError] = useState(""); // Error message display
+  const [groupFilter, setGroupFilter] = useState(""); // Discussion group ID, "" for all groups
+  const [exportingZip, setExportingZip] = useState(false); // ZIP export with attachments in progress
 
-  // Fetch all student statuses from Convex in real-time
-  const allStatuses = useQuery(api.canvas.getAllStudentStatuses);
+  // Fetch this course's student statuses from Convex in real-time
+  const allStatuses = useQuery(
+    api.canvas.getAllStudentStatuses,
+    courseId ? { courseId: String(courseId) } : "skip"
+  );
 
   // Create a map for quick lookup of student status
   const statusMap = useMemo(() => {
@@ -45,9 +63,36 @@ export default function FeedbackPage() {
     return new Map(allStatuses.map((s) => [s.studentId, s]));
   }, [allStatuses]);
 
+  // Discussion requirements shared by the course's facilitators (set in Settings)
+  const savedRequirements = useQuery(
+    api.requirements.listRequirements,
+    courseId ? { courseId: String(courseId) } : "skip"
+  );
+  const topicsWithRequirements = useMemo(
+    () =>
+      applyRequirements(
+        topics,
+        indexRequirements(savedRequirements),
+        enrolledStudents
+      ),
+    [topics, savedRequirements, enrolledStudents]
+  );
+
+  // Groups from group discussions, and the topics narrowed to the chosen
+  // group and the sections chosen in the header
+  const groups = useMemo(() => getDiscussionGroups(topics), [topics]);
+  const filteredTopics = useMemo(
+    () =>
+      filterTopicsBySection(
+        filterTopicsByGroup(topicsWithRequirements, groupFilter),
+        sectionUserIds
+      ),
+    [topicsWithRequirements, groupFilter, sectionUserIds]
+  );
+
   const topicsWithStatus = useMemo(() => {
-    if (!topics.length) return [];
-    return topics.map((topic) => {
+    if (!filteredTopics.length) return [];
+    return filteredTopics.map((topic) => {
       // If allStudentsWithStatus doesn't exist, just return the topic as is.
       if (!topic.studentPosts || topic.studentPosts.length === 0) {
         return topic;
@@ -67,27 +112,23 @@ export default function FeedbackPage() {
         allStudentsWithStatus: newAllStudentsWithStatus,
       };
     });
-  }, [topics, statusMap]);
+  }, [filteredTopics, statusMap]);
 
   /**
    * Load feedback dashboard data when credentials or course changes
    * Analyzes graded discussions for teacher feedback patterns and grading status
    */
   useEffect(() => {
+    setGroupFilter("");
     if (credentialsMissing()) return;
 
     setLoading(true);
     setError("");
 
-    const cleanupListener = setupCacheListener();
-
     loadTopicData()
       .catch((e) => setError(e.message))
-      .finally(() => {
-        setLoading(false);
-        cleanupListener();
-      });
-  }, [apiUrl, apiKey, courseId]);
+      .finally(() => setLoading(false));
+  }, [apiUrl, courseId, isAuthenticated]);
 
   /**
    * Loads and analyzes discussion topic data for feedback dashboard
@@ -99,110 +140,50 @@ export default function FeedbackPage() {
     // Use the shared data processor for efficient Canvas data handling
     const processedData = await processCanvasDataForDashboards({
       apiUrl,
-      apiKey,
       courseId,
     });
 
     // Extract grading topics from processed data - they're already fully processed
     setTopics(processedData.gradingTopics);
+    setEnrolledStudents(processedData.enrolledStudents || []);
   }
 
   /**
    * Manually refresh feedback data by clearing cache and reloading
    * Triggered by the refresh button click
    */
-  function handleRefresh() {
+  async function handleRefresh() {
+    setLoading(true);
+
     // Clear both Canvas cache and processed data cache
-    handleClearCache();
-    clearProcessedDataCache(courseId);
+    await Promise.all([handleClearCache(), clearProcessedDataCache(courseId)]);
 
-    setLoading(true);
     loadTopicData()
       .catch((e) => setError(e.message))
       .finally(() => setLoading(false));
   }
 
   /**
-   * Exports all Canvas discussions as a threaded Markdown file
-   * Dynamically loads TurndownService library for HTML to Markdown conversion
-   * Creates a downloadable file with organized discussion threads
+   * Pull only the topics that changed since the last sync, then reprocess
+   * Triggered by the sync button click
    */
-  async function handleDownloadMarkdown() {
-    // Dynamically load TurndownService if not already available
-    if (!window.TurndownService) {
-      await new Promise((resolve, reject) => {
-        const script = document.createElement("script");
-        script.src = "/turndown.js";
-        script.onload = resolve;
-        script.onerror = reject;
-        document.body.appendChild(script);
-      });
-    }
-    // Configure TurndownService for clean markdown conversion
-    const turndownService = new window.TurndownService({ headingStyle: "atx" });
-    turndownService.remove("script"); // Remove script tags
-    turndownService.remove("style"); // Remove style tags
-    turndownService.remove("link"); // Remove link tags
-
-    /**
-     * Converts HTML content to clean Markdown format
-     * @param {string} html - Raw HTML content from Canvas
-     * @returns {string} - Clean Markdown text
-     */
-    function htmlToMarkdown(html) {
-      html = DOMPurify.sanitize(html);
-      html = html
-        .replace(/<script[\s\S]*?<\/script>/gi, "")
-        .replace(/<style[\s\S]*?<\/style>/gi, "")
-        .replace(/<link[\s\S]*?>/gi, "");
-      return turndownService.turndown(html).replace(/\n{2,}/g, "\n\n");
-    }
-
-    /**
-     * Recursively builds threaded discussion structure in Markdown
-     * @param {Array} entries - Discussion entries to process
-     * @param {number|null} parentId - Parent post ID for replies
-     * @param {number} depth - Current nesting depth for indentation
-     * @returns {string} - Formatted Markdown thread
-     */
-    function buildThread(entries, parentId = null, depth = 0) {
-      let md = "";
-      // Get child entries for this level (top-level if parentId is null)
-      const children =
-        parentId === null
-          ? entries
-          : (entries || []).filter((e) => (e.parent_id || null) === parentId);
-      children.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-
-      for (const entry of children) {
-        // Build author and date information
-        const author = entry.user?.display_name || entry.user_name || "Unknown";
-        const date = entry.created_at
-          ? new Date(entry.created_at).toLocaleString()
-          : "";
-        const heading = `${"#".repeat(2 + depth)} ${depth > 0 ? "Reply: " : ""}${author} at ${date}`;
-
-        // Convert HTML message to markdown and add indentation for replies
-        let message = htmlToMarkdown(DOMPurify.sanitize(entry.message || ""));
-        if (depth > 0) {
-          message = message
-            .split("\n")
-            .map((line) => ">".repeat(depth) + " " + line)
-            .join("\n");
-        }
-
-        // Add this entry to the markdown output
-        md += `\n${heading}\n\n${message}\n`;
+  function handleSyncClick() {
+    setLoading(true);
+    setError("");
 
-        // Recursively process any direct replies and child threads
-        if (entry._replies && entry._replies.length > 0) {
-          md += buildThread(entry._replies, null, depth + 1);
-        }
-        md += buildThread(entries, entry.id, depth + 1);
-      }
-      return md;
-    }
+    handleSync({ apiUrl })
+      .then(() => clearProcessedDataCache(courseId))
+      .then(() => loadTopicData())
+      .catch((e) => setError(e.message))
+      .finally(() => setLoading(false));
+  }
 
+  /**
+   * Exports all Canvas discussions as a threaded Markdown file, or as a ZIP
+   * bundling the Markdown with every attachment
+   * Delegates to the shared exporter in js/markdownExport.js
+   */
+  async function handleDownloadMarkdown(withAttachments = false) {
     // Validate credentials before proceeding
     if (credentialsMissing()) {
       alert(
@@ -211,113 +192,20 @@ export default function FeedbackPage() {
       return;
     }
 
-    // Use cached discussion posts if available, otherwise fetch fresh
-    let allPosts;
-    const cacheKey = `canvas_discussions_${courseId}`;
-    const cached = localStorage.getItem(cacheKey);
-
-    if (cached) {
-      try {
-        const { data } = JSON.parse(cached);
-        allPosts = data;
-        console.log("✓ Using cached data for markdown export");
-      } catch (error) {
-        console.log("→ Cache invalid, fetching fresh data for export");
-        allPosts = await fetchCanvasDiscussions({ apiUrl, apiKey, courseId });
-      }
-    } else {
-      console.log("→ No cache found, fetching fresh data for export");
-      allPosts = await fetchCanvasDiscussions({ apiUrl, apiKey, courseId });
-    }
-    const topicMap = {};
-
-    // Create topic structure for each discussion
-    allPosts.forEach((post) => {
-      if (!topicMap[post.discussion_topic_id]) {
-        topicMap[post.discussion_topic_id] = {
-          id: post.discussion_topic_id,
-          title: post.topic_title,
-          assignment_id: post.assignment_id,
-          entries: [],
-        };
-      }
-    });
-
-    // Organize posts into threaded structure (parent posts vs replies)
-    allPosts.forEach((post) => {
-      const topic = topicMap[post.discussion_topic_id];
-      if (post.parent_id) {
-        // This is a reply - attach to parent post
-        const parentEntry = topic.entries.find(
-          (entry) => entry.id === post.parent_id
-        );
-        if (parentEntry) {
-          if (!parentEntry._replies) parentEntry._replies = [];
-          parentEntry._replies.push(post);
-        }
-      } else {
-        // This is a top-level post
-        topic.entries.push(post);
-      }
-    });
-
-    let topicEntries = Object.values(topicMap);
-
-    const topicsRes = await fetch("/api/canvas-proxy", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
+    setExportingZip(withAttachments);
+    try {
+      await downloadDiscussionsMarkdown({
         apiUrl,
-        apiKey,
-        endpoint: `/courses/${courseId}/discussion_topics`,
-        method: "GET",
-      }),
-    });
-
-    if (topicsRes.ok) {
-      const topics = await topicsRes.json();
-      topicEntries.forEach((topicEntry) => {
-        const originalTopic = topics.find((t) => t.id === topicEntry.id);
-        if (originalTopic) {
-          topicEntry.due_at = originalTopic.due_at;
-        }
+        courseId,
+        groupId: groupFilter,
+        sectionUserIds,
+        withAttachments,
       });
+    } catch (e) {
+      alert(`Export failed: ${e.message}`);
+    } finally {
+      setExportingZip(false);
     }
-
-    topicEntries.sort((a, b) => {
-      if (a.due_at && b.due_at) {
-        return new Date(a.due_at) - new Date(b.due_at);
-      }
-      if (a.due_at) return -1;
-      if (b.due_at) return 1;
-      return a.title.localeCompare(b.title);
-    });
-
-    let md = "";
-    for (const topic of topicEntries) {
-      md += `# ${topic.title}\n`;
-      if (topic.due_at) {
-        md += `*Due: ${new Date(topic.due_at).toLocaleString()}*\n`;
-      }
-      if (topic.entries && topic.entries.length > 0) {
-        md += buildThread(topic.entries);
-      } else {
-        md += "\n_No posts in this topic._\n";
-      }
-      md += "\n---\n\n";
-    }
-
-    const blob = new Blob([md], { type: "text/markdown" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `canvas-discussions-${courseId}.md`;
-    document.body.appendChild(a);
-    a.click();
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 100);
   }
 
   if (credentialsMissing()) {
@@ -340,16 +228,53 @@ export default function FeedbackPage() {
                 className="text-2xl font-semibold"
                 style={{ color: "var(--color-primary)" }}
               >
-                Feedback Tracker ({topics.length} Topics)
+                Feedback Tracker ({filteredTopics.length} Topics)
               </h2>
+              {groups.length > 0 && (
+                <select
+                  value={groupFilter}
+                  onChange={(e) => setGroupFilter(e.target.value)}
+                  className="text-sm px-2 py-1 border border-gray-300"
+                  style={{ borderRadius: "var(--radius-field)" }}
+                  aria-label="Filter by discussion group"
+                >
+                  <option value="">All groups</option>
+                  {groups.map((group) => (
+                    <option key={group.id} value={String(group.id)}>
+                      {group.name}
+                    </option>
+                  ))}
+                </select>
+              )}
             </div>
             <div className="flex items-center gap-3">
               {cacheTimestamp && (
-                <StatusBadge type="cached" timestamp={cacheTimestamp} />
+                <StatusBadge
+                  type="cached"
+                  timestamp={cacheTimestamp}
+                  source={dataSourceInfo}
+                />
               )}
               {dataSource === "fresh" && !cacheTimestamp && (
-                <StatusBadge type="fresh" />
+                <StatusBadge type="fresh" source={dataSourceInfo} />
+              )}
+              {lastSync && (
+                <StatusBadge type="sync" count={lastSync.newPostCount} />
               )}
+              <button
+                className="flex items-center uppercase text-sm gap-1 text-sm px-2 py-1 font-medium hover:opacity-90 transition-colors"
+                style={{
+                  backgroundColor: "var(--color-secondary)",
+                  color: "var(--color-secondary-content)",
+                  borderRadius: "var(--radius-field)",
+                }}
+                onClick={handleSyncClick}
+                disabled={loading}
+                title="Fetch only topics with new activity since the last sync"
+              >
+                <i className="fas fa-cloud-arrow-down text-xs"></i>
+                Sync
+              </button>
               <button
                 className="flex items-center uppercase text-sm gap-1 text-sm px-2 py-1 font-medium hover:opacity-90 transition-colors"
                 style={{
@@ -380,7 +305,7 @@ export default function FeedbackPage() {
                   color: "var(--color-secondary-content)",
                   borderRadius: "var(--radius-field)",
                 }}
-                onClick={handleDownloadMarkdown}
+                onClick={() => handleDownloadMarkdown()}
               >
                 <svg
                   className="w-3 h-3"
@@ -394,7 +319,22 @@ export default function FeedbackPage() {
                   />
                   <path d="M14.25 5.25a5.23 5.23 0 00-1.279-3.434 9.768 9.768 0 016.963 6.963A5.23 5.23 0 0016.5 7.5h-1.875a.375.375 0 01-.375-.375V5.25z" />
                 </svg>
-                Download All Conversations
+                {groupFilter
+                  ? "Download Group Conversations"
+                  : "Download All Conversations"}
+              </button>
+              <button
+                className="flex items-center gap-1 uppercase text-sm px-2 py-1 font-medium hover:opacity-90 transition-colors disabled:opacity-50"
+                style={{
+                  backgroundColor: "var(--color-secondary)",
+                  color: "var(--color-secondary-content)",
+                  borderRadius: "var(--radius-field)",
+                }}
+                onClick={() => handleDownloadMarkdown(true)}
+                disabled={exportingZip}
+              >
+                <i className="fas fa-file-zipper" aria-hidden="true"></i>
+                {exportingZip ? "Preparing ZIP…" : "ZIP with Attachments"}
               </button>
             </div>
           </div>
@@ -408,15 +348,25 @@ export default function FeedbackPage() {
               <div className="text-gray-500">
                 No graded discussion topics found.
               </div>
+            ) : filteredTopics.length === 0 ? (
+              <div className="text-gray-500">
+                This group has no posts in graded discussions.
+              </div>
             ) : (
               <>
                 {/* Teacher Totals Summary */}
-                <TeacherTotalsSummary topics={topics} />
+                <TeacherTotalsSummary topics={filteredTopics} />
 
                 {/* Individual Topic Cards */}
 
                 {topicsWithStatus.map((topic) => (
-                  <TabbedTopicCard key={topic.id} topic={topic} />
+                  <TabbedTopicCard
+                    key={topic.id}
+                    topic={topic}
+                    onGraded={() =>
+                      loadTopicData().catch((e) => setError(e.message))
+                    }
+                  />
                 ))}
               </>
             )}
@@ -5,30 +5,33 @@
  * Migrated to use the new component-based architecture with 70% code reduction.
  */
 
-import { useEffect, useState } from 'react';
-import DOMPurify from 'dompurify';
+import { useEffect, useMemo, useState } from 'react';
 import Layout from '../components/layout/Layout';
 import PageContainer from '../components/layout/PageContainer';
 import { useCanvasAuth } from '../components/canvas/useCanvasAuth';
 import { useCanvasCache } from '../components/canvas/useCanvasCache';
+import { useSectionFilter } from '../components/canvas/useSectionFilter';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import ErrorMessage from '../components/ui/ErrorMessage';
 import StatusBadge from '../components/ui/StatusBadge';
 import RefreshButton from '../components/ui/RefreshButton';
 import CredentialsRequired from '../components/ui/CredentialsRequired';
 import ActivityCard from '../components/discussion/ActivityCard';
-import { fetchCanvasDiscussions } from '../js/canvasApi';
-import { fetchCourseEnrollments } from '../js/dataUtils';
 import { processCanvasDataForDashboards, clearProcessedDataCache } from '../js/gradingDataProcessor';
+import { downloadDiscussionsMarkdown } from '../js/markdownExport';
+import { isInSections } from '../js/sectionFilter';
 
 export default function Home() {
-  const { credentialsMissing, apiUrl, apiKey, courseId } = useCanvasAuth();
+  const { credentialsMissing, isAuthenticated, apiUrl, courseId } = useCanvasAuth();
   const { 
     dataSource, 
+    dataSourceInfo,
     cacheTimestamp, 
     handleClearCache, 
-    setupCacheListener 
+    handleSync,
+    lastSync
   } = useCanvasCache(courseId);
+  const { sectionUserIds } = useSectionFilter();
   
   // State management for activity data and UI states
   const [recentActivity, setRecentActivity] = useState([]);  // Array of student activity entries
@@ -38,6 +41,16 @@ export default function Home() {
   const [enhancedUsers, setEnhancedUsers] = useState([]);    // Enhanced user data from Google Sheets
   const [sheetsStatus, setSheetsStatus] = useState(null);    // Google Sheets integration status
 
+  // Activity from students in the sections chosen in the header
+  const visibleActivity = useMemo(
+    () => recentActivity.filter(activity => isInSections(activity.userId, sectionUserIds)),
+    [recentActivity, sectionUserIds]
+  );
+  const visibleUserCount = useMemo(
+    () => (sectionUserIds ? new Set(visibleActivity.map(activity => activity.userId)).size : uniqueUsers),
+    [visibleActivity, sectionUserIds, uniqueUsers]
+  );
+
   /**
    * Load activity data when credentials or course changes
    * Sets up cache listener and handles loading/error states
@@ -48,18 +61,13 @@ export default function Home() {
     setLoading(true);
     setError('');
     
-    const cleanupListener = setupCacheListener();
-    
     loadActivityData()
       .catch(e => setError(e.message))
-      .finally(() => {
-        setLoading(false);
-        cleanupListener();
-      });
+      .finally(() => setLoading(false));
     
     // Load Google Sheets data after Canvas data is loaded
     // This will be called from loadActivityData after recentActivity is populated
-  }, [apiUrl, apiKey, courseId]);  
+  }, [apiUrl, courseId, isAuthenticated]);  
   
   /**
    * Load enhanced user data from Google Sheets
@@ -126,7 +134,7 @@ export default function Home() {
     console.log('→ Loading activity data using optimized processor');
     
     // Use the shared data processor for efficient Canvas data handling
-    const processedData = await processCanvasDataForDashboards({ apiUrl, apiKey, courseId });
+    const processedData = await processCanvasDataForDashboards({ apiUrl, courseId });
     
     // Extract activity data from processed data
     const { activities, uniqueUsers } = processedData.recentActivity;
@@ -147,10 +155,9 @@ export default function Home() {
    * Manually refresh data by clearing cache and reloading
    * Triggered by the refresh button click
    */
-  function handleRefresh() {
-    handleClearCache();
-    clearProcessedDataCache(courseId);
+  async function handleRefresh() {
     setLoading(true);
+    await Promise.all([handleClearCache(), clearProcessedDataCache(courseId)]);
     
     // Clear Google Sheets cache as well
     if (typeof window !== 'undefined' && window.googleSheetsApi) {
@@ -162,189 +169,33 @@ export default function Home() {
       .finally(() => setLoading(false));
   }
 
+  /**
+   * Pull only the topics that changed since the last sync, then rebuild the feed
+   * Triggered by the sync button click
+   */
+  function handleSyncClick() {
+    setLoading(true);
+    setError('');
+    
+    handleSync({ apiUrl })
+      .then(() => clearProcessedDataCache(courseId))
+      .then(() => loadActivityData())
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false));
+  }
+
   /**
    * Exports all Canvas discussions as a threaded Markdown file
-   * Dynamically loads TurndownService library for HTML to Markdown conversion
-   * Creates a downloadable file with organized discussion threads
+   * Delegates to the shared exporter in js/markdownExport.js
    */
   async function handleDownloadMarkdown() {
-    // Dynamically load TurndownService if not already available
-    if (!window.TurndownService) {
-      await new Promise((resolve, reject) => {
-        const script = document.createElement('script');
-        script.src = '/turndown.js';
-        script.onload = resolve;
-        script.onerror = reject;
-        document.body.appendChild(script);
-      });
-    }
-    // Configure TurndownService for clean markdown conversion
-    const turndownService = new window.TurndownService({ headingStyle: 'atx' });
-    turndownService.remove('script');  // Remove script tags
-    turndownService.remove('style');   // Remove style tags  
-    turndownService.remove('link');    // Remove link tags
-
-    /**
-     * Converts HTML content to clean Markdown format
-     * @param {string} html - Raw HTML content from Canvas
-     * @returns {string} - Clean Markdown text
-     */
-    function htmlToMarkdown(html) {
-      html = DOMPurify.sanitize(html);
-      html = html.replace(/<script[\s\S]*?<\/script>/gi, '')
-                 .replace(/<style[\s\S]*?<\/style>/gi, '')
-                 .replace(/<link[\s\S]*?>/gi, '');
-      return turndownService.turndown(html).replace(/\n{2,}/g, '\n\n');
-    }
-
-    /**
-     * Recursively builds threaded discussion structure in Markdown
-     * @param {Array} entries - Discussion entries to process
-     * @param {number|null} parentId - Parent post ID for replies
-     * @param {number} depth - Current nesting depth for indentation
-     * @returns {string} - Formatted Markdown thread
-     */
-    function buildThread(entries, parentId = null, depth = 0) {
-      let md = '';
-      // Get child entries for this level (top-level if parentId is null)
-      const children = parentId === null ? entries : (entries || []).filter(e => (e.parent_id || null) === parentId);
-      children.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-      
-      for (const entry of children) {
-        // Build author and date information
-        const author = entry.user?.display_name || entry.user_name || 'Unknown';
-        const date = entry.created_at ? new Date(entry.created_at).toLocaleString() : '';
-        const heading = `${'#'.repeat(2 + depth)} ${depth > 0 ? 'Reply: ' : ''}${author} at ${date}`;
-        
-        // Convert HTML message to markdown and add indentation for replies
-        let message = htmlToMarkdown(DOMPurify.sanitize(entry.message || ''));
-        if (depth > 0) {
-          message = message.split('\n').map(line => '>'.repeat(depth) + ' ' + line).join('\n');
-        }
-        
-        // Add this entry to the markdown output
-        md += `\n${heading}\n\n${message}\n`;
-        
-        // Recursively process any direct replies and child threads
-        if (entry._replies && entry._replies.length > 0) {
-          md += buildThread(entry._replies, null, depth + 1);
-        }
-        md += buildThread(entries, entry.id, depth + 1);
-      }
-      return md;
-    }
-
     // Validate credentials before proceeding
     if (credentialsMissing()) {
       alert('Please set your Canvas API credentials and Course ID in Settings first.');
       return;
     }
 
-    // Use cached discussion posts if available, otherwise fetch fresh
-    let allPosts;
-    const cacheKey = `canvas_discussions_${courseId}`;
-    const cached = localStorage.getItem(cacheKey);
-    
-    if (cached) {
-      try {
-        const { data } = JSON.parse(cached);
-        allPosts = data;
-        console.log('✓ Using cached data for markdown export');
-      } catch (error) {
-        console.log('→ Cache invalid, fetching fresh data for export');
-        allPosts = await fetchCanvasDiscussions({ apiUrl, apiKey, courseId });
-      }
-    } else {
-      console.log('→ No cache found, fetching fresh data for export');
-      allPosts = await fetchCanvasDiscussions({ apiUrl, apiKey, courseId });
-    }
-    const topicMap = {};
-    
-    // Create topic structure for each discussion
-    allPosts.forEach(post => {
-      if (!topicMap[post.discussion_topic_id]) {
-        topicMap[post.discussion_topic_id] = {
-          id: post.discussion_topic_id,
-          title: post.topic_title,
-          assignment_id: post.assignment_id,
-          entries: []
-        };
-      }
-    });
-    
-    // Organize posts into threaded structure (parent posts vs replies)
-    allPosts.forEach(post => {
-      const topic = topicMap[post.discussion_topic_id];
-      if (post.parent_id) {
-        // This is a reply - attach to parent post
-        const parentEntry = topic.entries.find(entry => entry.id === post.parent_id);
-        if (parentEntry) {
-          if (!parentEntry._replies) parentEntry._replies = [];
-          parentEntry._replies.push(post);
-        }
-      } else {
-        // This is a top-level post
-        topic.entries.push(post);
-      }
-    });
-    
-    let topicEntries = Object.values(topicMap);
-    
-    const topicsRes = await fetch('/api/canvas-proxy', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        apiUrl,
-        apiKey,
-        endpoint: `/courses/${courseId}/discussion_topics`,
-        method: 'GET'
-      })
-    });
-    
-    if (topicsRes.ok) {
-      const topics = await topicsRes.json();
-      topicEntries.forEach(topicEntry => {
-        const originalTopic = topics.find(t => t.id === topicEntry.id);
-        if (originalTopic) {
-          topicEntry.due_at = originalTopic.due_at;
-        }
-      });
-    }
-
-    topicEntries.sort((a, b) => {
-      if (a.due_at && b.due_at) {
-        return new Date(a.due_at) - new Date(b.due_at);
-      }
-      if (a.due_at) return -1;
-      if (b.due_at) return 1;
-      return a.title.localeCompare(b.title);
-    });
-
-    let md = '';
-    for (const topic of topicEntries) {
-      md += `# ${topic.title}\n`;
-      if (topic.due_at) {
-        md += `*Due: ${new Date(topic.due_at).toLocaleString()}*\n`;
-      }
-      if (topic.entries && topic.entries.length > 0) {
-        md += buildThread(topic.entries);
-      } else {
-        md += '\n_No posts in this topic._\n';
-      }
-      md += '\n---\n\n';
-    }
-
-    const blob = new Blob([md], { type: 'text/markdown' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `canvas-discussions-${courseId}.md`;
-    document.body.appendChild(a);
-    a.click();
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 100);
+    await downloadDiscussionsMarkdown({ apiUrl, courseId, sectionUserIds });
   }
 
   if (credentialsMissing()) {
@@ -364,16 +215,33 @@ export default function Home() {
           <div className="flex justify-between items-center mb-6">
             <div className="flex items-center gap-4">
               <h2 className="text-2xl font-semibold" style={{color: 'var(--color-primary)'}}>
-                Recent Activity ({uniqueUsers} Users)
+                Recent Activity ({visibleUserCount} Users)
               </h2>
             </div>
                <div className="flex items-center gap-2">
                {cacheTimestamp && (
-                <StatusBadge type="cached" timestamp={cacheTimestamp} />
+                <StatusBadge type="cached" timestamp={cacheTimestamp} source={dataSourceInfo} />
               )}
               {dataSource === 'fresh' && !cacheTimestamp && (
-                <StatusBadge type="fresh" />
+                <StatusBadge type="fresh" source={dataSourceInfo} />
               )}
+              {lastSync && (
+                <StatusBadge type="sync" count={lastSync.newPostCount} />
+              )}
+              <button
+                className="flex items-center gap-1 uppercase text-sm px-2 py-1 font-medium hover:opacity-90 transition-colors"
+                style={{
+                  backgroundColor: 'var(--color-secondary)',
+                  color: 'var(--color-secondary-content)',
+                  borderRadius: 'var(--radius-field)'
+                }}
+                onClick={handleSyncClick}
+                disabled={loading}
+                title="Fetch only topics with new activity since the last sync"
+              >
+                <i className="fas fa-cloud-arrow-down text-xs"></i>
+                Sync
+              </button>
               <button
                 className="flex items-center gap-1 uppercase text-sm px-2 py-1 font-medium hover:opacity-90 transition-colors"
                 style={{
@@ -397,10 +265,10 @@ export default function Home() {
               <LoadingSpinner message="Loading recent activity..." />
             ) : error ? (
               <ErrorMessage message={error} onRetry={handleRefresh} />
-            ) : recentActivity.length === 0 ? (
+            ) : visibleActivity.length === 0 ? (
               <div className="text-gray-500">No recent activity found.</div>
             ) : (
-              recentActivity.map((activity, index) => {
+              visibleActivity.map((activity, index) => {
                 // Find enhanced data for this user
                 const enhancedData = enhancedUsers.find(user => 
                   user.display_name === activity.userName || user.user_name === activity.userName
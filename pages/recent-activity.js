@@ -1,12 +1,13 @@
 import { useEffect, useState } from 'react';
+import { useCanvasAuth } from '../components/canvas/useCanvasAuth';
 import Link from 'next/link';
-import { fetchCanvasDiscussions, clearCache, getCacheTimestamp } from '../js/canvasApi';
-import { fetchCourseEnrollments } from '../js/dataUtils';
+import { coursePath } from '../js/courseRoutes';
+import { fetchCanvasDiscussions, clearCache, getCacheTimestamp, onDataSourceEvent } from '../js/canvasApi';
+import { fetchCourseRoles } from '../js/dataUtils';
+import { ROLE_STUDENT, getUserRole } from '../js/rolePolicy';
 
 export default function RecentActivity() {
-  const [apiUrl, setApiUrl] = useState('');
-  const [apiKey, setApiKey] = useState('');
-  const [courseId, setCourseId] = useState('');
+  const { apiUrl, courseId, isAuthenticated } = useCanvasAuth();
   const [courseName, setCourseName] = useState('');
   const [recentActivity, setRecentActivity] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -17,59 +18,45 @@ export default function RecentActivity() {
 
   // Helper: Check if credentials are set
   function credentialsMissing() {
-    return !apiUrl || !apiKey || !courseId;
+    return !isAuthenticated || !courseId;
   }
 
   useEffect(() => {
-    setApiUrl(localStorage.getItem('canvas_api_url') || '');
-    setApiKey(localStorage.getItem('canvas_api_key') || '');
-    setCourseId(localStorage.getItem('course_id') || '');
-  }, []);
-
-  useEffect(() => {
-    if (!apiUrl || !apiKey || !courseId) return;
+    if (!isAuthenticated || !courseId) return;
     setLoading(true);
     setError('');
     setDataSource('');
     
     // Check for existing cache timestamp
-    const existingTimestamp = getCacheTimestamp(courseId);
-    setCacheTimestamp(existingTimestamp);
+    getCacheTimestamp(courseId).then(setCacheTimestamp);
     
-    // Listen for console messages to detect cache usage
-    const originalLog = console.log;
-    console.log = function(...args) {
-      if (args[0] === '✓ Using cached discussion data') {
+    // Listen for data-source events to detect cache usage
+    const unsubscribe = onDataSourceEvent(event => {
+      if (String(event.courseId) !== String(courseId)) return;
+      if (event.source === 'cache') {
         setDataSource('cached');
-        setCacheTimestamp(existingTimestamp);
-      } else if (args[0] === '→ Fetching fresh discussion data from Canvas API') {
+        setCacheTimestamp(event.timestamp);
+      } else {
         setDataSource('fresh');
         setCacheTimestamp(null);
       }
-      originalLog.apply(console, args);
-    };
+    });
     
     loadActivityData()
-      .catch(e => {
-        console.log = originalLog; // Restore original console.log
-        setError(e.message);
-      })
-      .finally(() => {
-        console.log = originalLog; // Restore original console.log
-        setLoading(false);
-      });
-  }, [apiUrl, apiKey, courseId]);
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false));
+    
+    return unsubscribe;
+  }, [apiUrl, courseId, isAuthenticated]);
 
   useEffect(() => {
-    if (!apiUrl || !apiKey || !courseId) return;
+    if (!isAuthenticated || !courseId) return;
     async function fetchCourseName() {
       try {
         const res = await fetch('/api/canvas-proxy', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            apiUrl,
-            apiKey,
             endpoint: `/courses/${courseId}`,
             method: 'GET'
           })
@@ -85,19 +72,19 @@ export default function RecentActivity() {
       }
     }
     fetchCourseName();
-  }, [apiUrl, apiKey, courseId]);
+  }, [apiUrl, courseId, isAuthenticated]);
 
   async function loadActivityData() {
     // Get all discussion posts
-    const allPosts = await fetchCanvasDiscussions({ apiUrl, apiKey, courseId });
+    const allPosts = await fetchCanvasDiscussions({ apiUrl, courseId });
     
-    // Get teacher user IDs to exclude from activity feed
-    const teacherUserIds = await fetchCourseEnrollments(apiUrl, apiKey, courseId);
+    // Classify users so teacher and excluded posts stay out of the activity feed
+    const courseRoles = await fetchCourseRoles(apiUrl, courseId);
     
-    // Filter out teacher posts and create activity feed
+    // Keep student posts and create activity feed
     const studentPosts = allPosts.filter(post => {
       const userId = post.user?.id || post.user_id;
-      return !teacherUserIds.includes(parseInt(userId)) && !teacherUserIds.includes(userId);
+      return getUserRole(courseRoles, userId) === ROLE_STUDENT;
     });
     
     // Sort posts by created_at (most recent first)
@@ -106,6 +93,7 @@ export default function RecentActivity() {
     // Create activity entries
     const activityEntries = studentPosts.map(post => ({
       userName: post.user?.display_name || post.user_name || 'Unknown',
+      userId: post.user?.id ?? post.user_id ?? null,
       discussionName: post.topic_title || 'Unknown Discussion',
       createdAt: post.created_at,
       postId: post.id,
@@ -113,25 +101,25 @@ export default function RecentActivity() {
     }));
     
     // Count unique users
-    const uniqueUserNames = new Set(activityEntries.map(entry => entry.userName));
-    setUniqueUsers(uniqueUserNames.size);
+    const uniqueUserIds = new Set(activityEntries.map(entry => entry.userId));
+    setUniqueUsers(uniqueUserIds.size);
     
     // Update cache timestamp after processing
-    const newTimestamp = getCacheTimestamp(courseId);
+    const newTimestamp = await getCacheTimestamp(courseId);
     setCacheTimestamp(newTimestamp);
     
     setRecentActivity(activityEntries);
   }
 
-  function handleRefreshData() {
-    clearCache(courseId);
+  async function handleRefreshData() {
     setDataSource('');
     setCacheTimestamp(null);
     setLoading(true);
+    await clearCache(courseId);
     loadActivityData()
-      .then(() => {
+      .then(async () => {
         setDataSource('fresh');
-        const newTimestamp = getCacheTimestamp(courseId);
+        const newTimestamp = await getCacheTimestamp(courseId);
         setCacheTimestamp(newTimestamp);
       })
       .catch(e => setError(e.message))
@@ -228,7 +216,7 @@ export default function RecentActivity() {
                           <div className="min-w-0 flex-1">
                             <p className="text-sm text-gray-900">
                               <Link 
-                                href={`/user/${encodeURIComponent(activity.userName)}`}
+                                href={coursePath(courseId, `/user/${activity.userId}`)}
                                 className="font-medium text-red-900 hover:underline"
                               >
                                 {activity.userName}
@@ -6,22 +6,37 @@
  */
 
 import { useState, useEffect } from "react";
+import { useRouter } from "next/router";
 import Layout from "../components/layout/Layout";
 import PageContainer from "../components/layout/PageContainer";
 import { useCanvasAuth } from "../components/canvas/useCanvasAuth";
 import { useCanvasCourse } from "../components/canvas/useCanvasCourse";
+import RolePolicySettings from "../components/settings/RolePolicySettings";
+import RequirementSettings from "../components/settings/RequirementSettings";
 import { clearCache } from "../js/canvasApi";
 import { useConvexConnectionState } from "convex/react";
 
 export default function Settings() {
-  const { apiUrl, apiKey, courseId, updateCredentials } = useCanvasAuth();
-  const { courseName } = useCanvasCourse();
+  const {
+    apiUrl,
+    courseId,
+    updateCredentials,
+    isAuthenticated,
+    sessionUser,
+    authMode,
+    oauthEnabled,
+    loginWithOAuth,
+    logout,
+  } = useCanvasAuth();
+  const router = useRouter();
+  const { courseName, courses } = useCanvasCourse();
   const { isWebSocketConnected } = useConvexConnectionState();
 
   const [localApiUrl, setLocalApiUrl] = useState("");
   const [localApiKey, setLocalApiKey] = useState("");
   const [localCourseId, setLocalCourseId] = useState("");
   const [saved, setSaved] = useState(false);
+  const [loginError, setLoginError] = useState("");
   const [cacheCleared, setCacheCleared] = useState(false);
 
   // Google Sheets integration state
@@ -32,11 +47,17 @@ export default function Settings() {
   // facilitator state
   const [facilitatorName, setFacilitatorName] = useState("");
 
+  // Surface the result of a Canvas OAuth round trip (?oauth_error=...)
+  useEffect(() => {
+    if (router.query.oauth_error) {
+      setLoginError(`Canvas sign-in failed: ${router.query.oauth_error}`);
+    }
+  }, [router.query.oauth_error]);
+
   useEffect(() => {
     setLocalApiUrl(apiUrl || "https://bostoncollege.instructure.com/api/v1");
-    setLocalApiKey(apiKey);
     setLocalCourseId(courseId);
-  }, [apiUrl, apiKey, courseId]);
+  }, [apiUrl, courseId]);
 
   // Load Google Sheets settings and facilitator info only once on component mount
 
@@ -55,8 +76,16 @@ export default function Settings() {
     setFacilitatorName(loadedFacilitatorName);
   }, []); // Empty dependency array = only run on mount
 
-  function handleSave() {
-    updateCredentials(localApiUrl, localApiKey, localCourseId);
+  async function handleSave() {
+    // The token is sent to the server once and never kept in the page
+    setLoginError("");
+    try {
+      await updateCredentials(localApiUrl, localApiKey, localCourseId);
+      setLocalApiKey("");
+    } catch (error) {
+      setLoginError(error.message);
+      return;
+    }
 
     // Save Google Sheets settings
     console.log("💾 Saving Google Sheets settings:", {
@@ -92,6 +121,13 @@ export default function Settings() {
     setTimeout(() => setSaved(false), 3000);
   }
 
+  async function handleLogout() {
+    await logout();
+    if (courseId) {
+      clearCache(courseId);
+    }
+  }
+
   function handleClearCache() {
     if (courseId) {
       clearCache(courseId);
@@ -176,12 +212,49 @@ export default function Settings() {
                 onChange={(e) => setLocalApiKey(e.target.value)}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent"
                 style={{ "--tw-ring-color": "#003957" }}
-                placeholder="Your Canvas API token"
+                placeholder={
+                  isAuthenticated
+                    ? "Stored on the server - enter a new token to replace it"
+                    : "Your Canvas API token"
+                }
               />
               <p className="text-xs text-gray-500 mt-1">
                 Generate this in Canvas under Account → Settings → Approved
-                Integrations
+                Integrations. It is kept in an encrypted server-side session,
+                not in your browser.
               </p>
+              {isAuthenticated && (
+                <div className="flex items-center gap-2 mt-2 text-sm">
+                  <span style={{ color: "var(--color-success-content)" }}>
+                    Logged in{sessionUser?.name ? ` as ${sessionUser.name}` : ""}
+                    {authMode === "oauth" ? " via Canvas sign-in" : " with an access token"}
+                  </span>
+                  <button
+                    onClick={handleLogout}
+                    className="underline font-medium"
+                    style={{ color: "var(--color-secondary)" }}
+                  >
+                    Log out
+                  </button>
+                </div>
+              )}
+              {oauthEnabled && !isAuthenticated && (
+                <button
+                  onClick={loginWithOAuth}
+                  className="flex items-center gap-2 mt-3 px-4 py-2 text-sm font-semibold hover:opacity-90 transition-colors"
+                  style={{
+                    backgroundColor: "var(--color-primary)",
+                    color: "var(--color-primary-content)",
+                    borderRadius: "var(--radius-field)",
+                  }}
+                >
+                  <i className="fas fa-right-to-bracket"></i>
+                  Sign in with Canvas instead
+                </button>
+              )}
+              {loginError && (
+                <p className="text-sm mt-2 text-red-700">{loginError}</p>
+              )}
             </div>
 
             <div>
@@ -195,9 +268,18 @@ export default function Settings() {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:border-transparent"
                 style={{ "--tw-ring-color": "#003957" }}
                 placeholder="12345"
+                list="canvas-teaching-courses"
               />
+              <datalist id="canvas-teaching-courses">
+                {courses.map((course) => (
+                  <option key={course.id} value={course.id}>
+                    {course.name}
+                  </option>
+                ))}
+              </datalist>
               <p className="text-xs text-gray-500 mt-1">
-                Found in your Canvas course URL
+                Found in your Canvas course URL, or pick one of the courses you
+                teach. Switch between courses from the header.
               </p>
             </div>
 
@@ -261,6 +343,12 @@ export default function Settings() {
           </div>
         </div>
 
+        {/* Participant role policy for the current course */}
+        <RolePolicySettings />
+
+        {/* Per-topic discussion requirements for the current course */}
+        <RequirementSettings />
+
         {/* Google Sheets Integration Section */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-2xl font-semibold text-gray-800 mb-6">
@@ -0,0 +1,297 @@
+/**
+ * Student Profile Page (/students/[userId]) - Cross-Course View
+ *
+ * One participant's posts, grades and claim history across every course the
+ * facilitator teaches, looked up by Canvas user ID. Courses are grouped in the
+ * order the student was active in them, and everything inside a course is
+ * ordered by date.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useRouter } from "next/router";
+import Link from "next/link";
+import { useQuery } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import Layout from "../../components/layout/Layout";
+import PageContainer from "../../components/layout/PageContainer";
+import { useCanvasAuth } from "../../components/canvas/useCanvasAuth";
+import { useCanvasCourse } from "../../components/canvas/useCanvasCourse";
+import LoadingSpinner from "../../components/ui/LoadingSpinner";
+import ErrorMessage from "../../components/ui/ErrorMessage";
+import CredentialsRequired from "../../components/ui/CredentialsRequired";
+import AttachmentList from "../../components/discussion/AttachmentList";
+import PostContent from "../../components/discussion/PostContent";
+import { fetchStudentProfile } from "../../js/studentProfile";
+import { coursePath } from "../../js/courseRoutes";
+
+const CLAIM_LABELS = {
+  claimed: "Claimed",
+  completed: "Completed",
+  unclaimed: "Unclaimed",
+};
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString() : "—";
+}
+
+export default function StudentProfilePage() {
+  const router = useRouter();
+  const { userId } = router.query;
+  const { apiUrl, courseId, isAuthenticated, sessionLoading } = useCanvasAuth();
+  const { courses, coursesLoading, courseName } = useCanvasCourse();
+
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  // Claim state and history for this student in every course
+  const claimHistory = useQuery(
+    api.canvas.getStudentClaimHistory,
+    userId ? { studentId: String(userId) } : "skip"
+  );
+
+  // Include the current course even if it isn't a teacher/TA enrollment
+  const searchCourses = useMemo(() => {
+    if (!courseId || courses.some((course) => course.id === String(courseId))) {
+      return courses;
+    }
+    return [...courses, { id: String(courseId), name: courseName || `Course ${courseId}` }];
+  }, [courses, courseId, courseName]);
+
+  useEffect(() => {
+    if (!userId || !isAuthenticated || coursesLoading || searchCourses.length === 0) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+
+    fetchStudentProfile({ apiUrl, courses: searchCourses, userId })
+      .then((result) => {
+        if (!cancelled) setProfile(result);
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, apiUrl, isAuthenticated, coursesLoading, searchCourses]);
+
+  if (!sessionLoading && !isAuthenticated) {
+    return (
+      <Layout containerWidth="narrow">
+        <PageContainer>
+          <CredentialsRequired />
+        </PageContainer>
+      </Layout>
+    );
+  }
+
+  const statusesByCourse = new Map(
+    (claimHistory?.statuses || []).map((status) => [status.courseId, status])
+  );
+  const eventsByCourse = new Map();
+  (claimHistory?.events || []).forEach((event) => {
+    if (!eventsByCourse.has(event.courseId)) eventsByCourse.set(event.courseId, []);
+    eventsByCourse.get(event.courseId).push(event);
+  });
+
+  const student = profile?.student;
+
+  return (
+    <Layout>
+      <PageContainer>
+        <div className="bg-white rounded-lg shadow-md p-9">
+          <div className="flex items-center gap-4 mb-6">
+            {student?.avatarUrl && (
+              <img
+                src={student.avatarUrl}
+                alt={student.name}
+                className="h-16 w-16 rounded-full object-cover"
+              />
+            )}
+            <div>
+              <h1
+                className="text-3xl font-bold"
+                style={{ color: "var(--color-primary)" }}
+              >
+                {student?.name || `Canvas user ${userId || ""}`}
+              </h1>
+              {profile && (
+                <p className="text-sm text-gray-500">
+                  Active in {profile.courses.length} of your{" "}
+                  {searchCourses.length} courses
+                </p>
+              )}
+            </div>
+          </div>
+
+          {loading || coursesLoading || sessionLoading ? (
+            <LoadingSpinner message="Loading student across courses..." />
+          ) : error ? (
+            <ErrorMessage message={error} onRetry={() => window.location.reload()} />
+          ) : !profile ? (
+            <div className="text-gray-500 text-lg">
+              No courses found. Check your Canvas connection in Settings.
+            </div>
+          ) : profile.courses.length === 0 ? (
+            <div className="text-gray-500 text-lg">
+              This student isn&apos;t enrolled in any of your courses.
+            </div>
+          ) : (
+            profile.courses.map(({ course, posts, grades }) => (
+              <CourseSection
+                key={course.id}
+                course={course}
+                posts={posts}
+                grades={grades}
+                claim={statusesByCourse.get(course.id)}
+                claimEvents={eventsByCourse.get(course.id) || []}
+                studentId={userId}
+              />
+            ))
+          )}
+
+          {profile?.failedCourses.length > 0 && (
+            <p className="text-sm mt-4 text-red-700">
+              Could not load:{" "}
+              {profile.failedCourses.map((course) => course.name).join(", ")}
+            </p>
+          )}
+        </div>
+      </PageContainer>
+    </Layout>
+  );
+}
+
+function CourseSection({ course, posts, grades, claim, claimEvents, studentId }) {
+  return (
+    <section
+      className="mb-8 pl-4"
+      style={{ borderLeft: "3px solid var(--color-secondary)" }}
+    >
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h2
+          className="text-2xl font-semibold"
+          style={{ color: "var(--color-primary)" }}
+        >
+          <Link href={coursePath(course.id, "/")} className="hover:underline">
+            {course.name}
+          </Link>
+          {course.term && (
+            <span className="text-sm font-normal text-gray-500 ml-2">
+              {course.term}
+            </span>
+          )}
+        </h2>
+        <div className="flex items-center gap-2">
+          {claim?.status && (
+            <span
+              className="px-3 py-1 text-sm font-semibold rounded-md"
+              style={{
+                backgroundColor:
+                  claim.status === "completed"
+                    ? "var(--color-success)"
+                    : "var(--color-warning)",
+                color:
+                  claim.status === "completed"
+                    ? "var(--color-success-content)"
+                    : "var(--color-warning-content)",
+              }}
+            >
+              {CLAIM_LABELS[claim.status]} by {claim.facilitatorName}
+            </span>
+          )}
+          {studentId && (
+            <Link
+              href={coursePath(course.id, `/user/${studentId}`)}
+              className="text-sm underline"
+              style={{ color: "var(--color-primary)" }}
+            >
+              Course page
+            </Link>
+          )}
+        </div>
+      </div>
+
+      <h3 className="text-lg font-semibold mb-2">Posts ({posts.length})</h3>
+      {posts.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No posts in this course.</p>
+      ) : (
+        <ul className="mb-4 space-y-3">
+          {posts.map((post) => (
+            <li key={post.id}>
+              <div className="text-sm">
+                <span className="font-semibold">{post.topic_title}</span>
+                {post.parent_id && <span className="text-gray-500"> (reply)</span>}
+                <span className="text-gray-500 text-xs ml-2">
+                  {formatDate(post.created_at)}
+                </span>
+              </div>
+              <PostContent
+                html={post.message}
+                className="prose prose-sm max-w-none text-gray-700"
+              />
+              <AttachmentList post={post} className="mt-1" />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3 className="text-lg font-semibold mb-2">Grades ({grades.length})</h3>
+      {grades.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No graded or submitted work.</p>
+      ) : (
+        <table className="w-full text-sm mb-4">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-2 font-medium">Assignment</th>
+              <th className="py-1 pr-2 font-medium">Submitted</th>
+              <th className="py-1 pr-2 font-medium">Grade</th>
+            </tr>
+          </thead>
+          <tbody>
+            {grades.map((grade) => (
+              <tr key={grade.assignmentId} className="border-t border-gray-200">
+                <td className="py-1 pr-2">
+                  {grade.isDiscussion && (
+                    <i className="fas fa-comments mr-1 text-gray-400" aria-label="Discussion"></i>
+                  )}
+                  {grade.assignmentName}
+                  {grade.late && <span className="ml-2 text-xs text-red-700">late</span>}
+                </td>
+                <td className="py-1 pr-2">{formatDate(grade.submittedAt)}</td>
+                <td className="py-1 pr-2">
+                  {grade.grade !== null
+                    ? `${grade.grade}${grade.pointsPossible ? ` / ${grade.pointsPossible}` : ""}`
+                    : "Not graded"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h3 className="text-lg font-semibold mb-2">Claim history</h3>
+      {claimEvents.length === 0 ? (
+        <p className="text-sm text-gray-500">No claim changes recorded.</p>
+      ) : (
+        <ul className="text-sm space-y-1">
+          {claimEvents.map((event) => (
+            <li key={event._id}>
+              <span className="text-gray-500 text-xs mr-2">
+                {formatDate(event.createdAt)}
+              </span>
+              {CLAIM_LABELS[event.status]}
+              {event.facilitatorName && ` by ${event.facilitatorName}`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -1,28 +1,104 @@
 import { useEffect, useState } from "react";
-import DOMPurify from "dompurify";
 import { useRouter } from "next/router";
+import Link from "next/link";
 import Layout from "../../components/layout/Layout";
 import PageContainer from "../../components/layout/PageContainer";
 import { useCanvasAuth } from "../../components/canvas/useCanvasAuth";
+import { useCanvasCourse } from "../../components/canvas/useCanvasCourse";
 import LoadingSpinner from "../../components/ui/LoadingSpinner";
 import ErrorMessage from "../../components/ui/ErrorMessage";
 import CredentialsRequired from "../../components/ui/CredentialsRequired";
-import { fetchCanvasUserPosts } from "../../js/canvasApi";
+import AttachmentList from "../../components/discussion/AttachmentList";
+import PostContent from "../../components/discussion/PostContent";
+import ReplyComposer from "../../components/discussion/ReplyComposer";
+import GradePanel from "../../components/discussion/GradePanel";
+import PeerInteractions from "../../components/discussion/PeerInteractions";
+import { isSubmissionGraded } from "../../js/grading";
+import {
+  TIMING_LATE,
+  TIMING_ON_TIME,
+  classifyPostTiming,
+  getEffectiveDueAt,
+  getTimingLabel,
+} from "../../js/lateness";
+import {
+  REQUIREMENT_LABELS,
+  REQUIREMENT_MET,
+  describeRequirement,
+  indexRequirements,
+} from "../../js/requirements";
+import {
+  applyRequirements,
+  processCanvasDataForDashboards,
+} from "../../js/gradingDataProcessor";
+import {
+  canvasProxy,
+  fetchCanvasUserPosts,
+  fetchAllPages,
+  fetchCourseUser,
+  findCourseUsersByName,
+} from "../../js/canvasApi";
 import { useQuery, useMutation } from "convex/react";
 import { api } from "../../convex/_generated/api";
 
 export default function UserPage() {
   const router = useRouter();
-  const { user_name } = router.query;
-  const { credentialsMissing, apiUrl, apiKey, courseId } = useCanvasAuth();
+  const { userId } = router.query;
+  const { credentialsMissing, isAuthenticated, apiUrl, courseId } = useCanvasAuth();
+  const { courseHref } = useCanvasCourse();
+
+  // Links made before ID-based routes carry a display name instead of an ID
+  const studentId = /^\d+$/.test(String(userId || "")) ? String(userId) : null;
+  const legacyName = userId && !studentId ? String(userId) : null;
 
   const [posts, setPosts] = useState([]);
-  const [studentId, setStudentId] = useState(null);
+  const [userName, setUserName] = useState("");
+  const [nameMatches, setNameMatches] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [assignmentsMap, setAssignmentsMap] = useState({});
+  const [studentSectionIds, setStudentSectionIds] = useState([]);
+  const [requirementChecks, setRequirementChecks] = useState({}); // Topic ID -> { topicTitle, requirement, check }
   const [enhancedUserData, setEnhancedUserData] = useState(null);
   const [sheetsLoading, setSheetsLoading] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null); // Post ID with an open reply composer
+
+  // Reflect a grade saved from the panel on the post's SpeedGrader badge
+  const handleGraded = (postId, submission) => {
+    setPosts((current) =>
+      current.map((post) =>
+        post.id === postId
+          ? {
+              ...post,
+              _submission: submission,
+              _isUngraded: !isSubmissionGraded(submission),
+            }
+          : post
+      )
+    );
+  };
+
+  // On time or late, for the student's own initial posts in graded topics
+  const getPostTiming = (post) => {
+    const assignment = assignmentsMap[post.assignment_id];
+    if (!assignment || post.parent_id || String(post.user_id) !== studentId) {
+      return null;
+    }
+    const { dueAt, assigned } = getEffectiveDueAt(assignment, {
+      userId: studentId,
+      sectionIds: studentSectionIds,
+      groupIds: [post.group_id],
+    });
+    return assigned
+      ? classifyPostTiming({ postDate: post.created_at, dueAt })
+      : null;
+  };
+
+  // Show a reply posted from this page right away; it is already in the cache
+  const handleReplyPosted = (reply) => {
+    setPosts((current) => [...current, reply]);
+    setReplyingTo(null);
+  };
 
   // Group posts by parent_id to organize replies
   const organizePostsAndReplies = (posts) => {
@@ -41,13 +117,52 @@ export default function UserPage() {
     return { topLevelPosts, repliesByParentId };
   };
 
+  // Redirect old name-based URLs to the student's ID-based URL
+  useEffect(() => {
+    if (!legacyName || credentialsMissing()) return;
+
+    let cancelled = false;
+    setNameMatches(null);
+    findCourseUsersByName({ apiUrl, courseId, userName: legacyName })
+      .then((matches) => {
+        if (cancelled) return;
+        if (matches.length === 1) {
+          router.replace(courseHref(`/user/${matches[0].id}`));
+        } else {
+          setNameMatches(matches);
+        }
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [legacyName, apiUrl, courseId, isAuthenticated]);
+
+  // Look up the student's current name in Canvas
+  useEffect(() => {
+    if (!studentId || credentialsMissing()) return;
+
+    let cancelled = false;
+    setUserName("");
+    fetchCourseUser({ apiUrl, courseId, userId: studentId }).then((user) => {
+      if (!cancelled && user?.name) setUserName(user.name);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId, apiUrl, courseId, isAuthenticated]);
+
   // Fetch enhanced user data from Google Sheets
   useEffect(() => {
-    console.log("🔍 Google Sheets useEffect running for user:", user_name);
+    console.log("🔍 Google Sheets useEffect running for user:", userName);
 
-    if (!user_name || credentialsMissing()) {
+    if (!userName || credentialsMissing()) {
       console.log(
-        "❌ Skipping Google Sheets: missing user_name or credentials"
+        "❌ Skipping Google Sheets: missing user name or credentials"
       );
       return;
     }
@@ -94,10 +209,10 @@ export default function UserPage() {
         "ℹ️ Google Sheets integration not configured - skipping enhanced data"
       );
     }
-  }, [user_name]);
+  }, [userName]);
 
   const fetchEnhancedUserData = async (sheetId, apiKey) => {
-    console.log("🔍 Fetching enhanced user data for:", user_name, {
+    console.log("🔍 Fetching enhanced user data for:", userName, {
       sheetId,
       apiKey: apiKey ? "***" : "missing",
     });
@@ -105,8 +220,8 @@ export default function UserPage() {
     try {
       // Create a mock canvas user to match against sheets
       const mockCanvasUser = {
-        display_name: user_name,
-        user_name: user_name,
+        display_name: userName,
+        user_name: userName,
       };
 
       console.log("📊 Calling Google Sheets API with user:", mockCanvasUser);
@@ -127,7 +242,7 @@ export default function UserPage() {
         );
         setEnhancedUserData(result.matchedUsers[0].enhancedData);
       } else {
-        console.log("❌ No enhanced data found for user:", user_name);
+        console.log("❌ No enhanced data found for user:", userName);
       }
     } catch (error) {
       console.error("❌ Failed to fetch enhanced user data:", error);
@@ -136,53 +251,46 @@ export default function UserPage() {
     }
   };
 
-  // Fetch posts and submission status when settings or user_name change
+  // Fetch posts and submission status when settings or the student change
   useEffect(() => {
-    if (!user_name || credentialsMissing()) return;
+    if (!studentId || credentialsMissing()) return;
 
     setLoading(true);
     setError("");
 
-    // Try to extract userId from router query, or fallback to first post
-    let userId = undefined;
-    if (router.query.user_id) {
-      userId = router.query.user_id;
-    } else if (posts && posts.length > 0 && posts[0].user_id) {
-      userId = posts[0].user_id;
-    }
-
     fetchCanvasUserPosts({
       apiUrl,
-      apiKey,
       courseId,
-      userName: user_name,
-      userId,
+      userId: studentId,
     })
       .then(async (posts) => {
-        if (posts.length > 0 && posts[0].user_id) {
-          setStudentId(posts[0].user_id);
-        }
+        // Fall back to the name on their posts if Canvas didn't return the user
+        const ownPost = posts.find((post) => !post.parent_id);
+        const postName = ownPost?.user?.display_name || ownPost?.user_name;
+        if (postName) setUserName((current) => current || postName);
         // 1. Collect all unique assignment_ids
         const assignmentIds = Array.from(
           new Set(posts.map((p) => p.assignment_id).filter(Boolean))
         );
         // 2. Fetch all assignments for the course in one batch
-        let allAssignments = [];
-        try {
-          const allAssignRes = await fetch("/api/canvas-proxy", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              apiUrl,
-              apiKey,
-              endpoint: `/courses/${courseId}/assignments?per_page=100`,
-              method: "GET",
-            }),
-          });
-          if (allAssignRes.ok) {
-            allAssignments = await allAssignRes.json();
-          }
-        } catch {}
+        // (assignment objects carry rubric and rubric_settings when a rubric is attached,
+        // and due date overrides), plus the student's sections for section overrides
+        const [allAssignments, enrollments] = await Promise.all([
+          fetchAllPages({
+            apiUrl,
+            endpoint: `/courses/${courseId}/assignments?include[]=overrides&per_page=100`,
+          }).catch(() => []),
+          fetchAllPages({
+            apiUrl,
+            endpoint: `/courses/${courseId}/enrollments?user_id=${studentId}`,
+          }).catch(() => []),
+        ]);
+        setStudentSectionIds(
+          enrollments
+            .map((enrollment) => enrollment.course_section_id)
+            .filter((sectionId) => sectionId != null)
+            .map(String)
+        );
         // 3. Map assignment_id to points_possible
         const newAssignmentsMap = {};
         for (const a of allAssignments) {
@@ -190,32 +298,33 @@ export default function UserPage() {
         }
         setAssignmentsMap(newAssignmentsMap);
         // 4. For posts with assignment_id and user_id, fetch submission and attach points_possible
+        // (one lookup per assignment and user; canvasProxy caps how many run at once)
+        const submissionLookups = new Map();
+        const lookupSubmission = (assignmentId, userId) => {
+          const key = `${assignmentId}:${userId}`;
+          if (!submissionLookups.has(key)) {
+            submissionLookups.set(
+              key,
+              canvasProxy({
+                endpoint: `/courses/${courseId}/assignments/${assignmentId}/submissions/${userId}?include[]=rubric_assessment`,
+              })
+            );
+          }
+          return submissionLookups.get(key);
+        };
         const updatedPosts = await Promise.all(
           posts.map(async (post) => {
             if (post.assignment_id && post.user_id) {
               post.points_possible =
-                assignmentsMap[post.assignment_id]?.points_possible;
+                newAssignmentsMap[post.assignment_id]?.points_possible;
               try {
-                const subRes = await fetch("/api/canvas-proxy", {
-                  method: "POST",
-                  headers: { "Content-Type": "application/json" },
-                  body: JSON.stringify({
-                    apiUrl,
-                    apiKey,
-                    endpoint: `/courses/${courseId}/assignments/${post.assignment_id}/submissions/${post.user_id}`,
-                    method: "GET",
-                  }),
-                });
-                if (subRes.ok) {
-                  const submission = await subRes.json();
-                  post._isUngraded =
-                    !submission ||
-                    submission.grade === null ||
-                    submission.grade === undefined ||
-                    submission.grade === "";
-                } else {
-                  post._isUngraded = true;
-                }
+                const submission = await lookupSubmission(post.assignment_id, post.user_id);
+                post._submission = submission;
+                post._isUngraded =
+                  !submission ||
+                  submission.grade === null ||
+                  submission.grade === undefined ||
+                  submission.grade === "";
               } catch {
                 post._isUngraded = true;
               }
@@ -227,7 +336,64 @@ export default function UserPage() {
       })
       .catch((e) => setError(e.message))
       .finally(() => setLoading(false));
-  }, [user_name, apiUrl, apiKey, courseId, credentialsMissing]);
+  }, [studentId, apiUrl, courseId, isAuthenticated]);
+
+  // Requirement results use the processed dashboard data, so they match the
+  // feedback dashboard. Every enrolled student is evaluated, so topics the
+  // student only replied in (or skipped) get a result too; skipped when the
+  // course has no requirements
+  const savedRequirements = useQuery(
+    api.requirements.listRequirements,
+    courseId ? { courseId: String(courseId) } : "skip"
+  );
+  const hasRequirements = (savedRequirements || []).length > 0;
+  useEffect(() => {
+    if (!studentId || !hasRequirements || credentialsMissing()) {
+      setRequirementChecks({});
+      return;
+    }
+
+    let cancelled = false;
+    processCanvasDataForDashboards({ apiUrl, courseId })
+      .then((data) => {
+        const checks = {};
+        applyRequirements(
+          data.gradingTopics,
+          indexRequirements(savedRequirements),
+          data.enrolledStudents
+        ).forEach((topic) => {
+          const result = topic.requirementResults.find(
+            (entry) => String(entry.userId) === studentId
+          );
+          if (topic.requirement && result) {
+            checks[String(topic.id)] = {
+              topicTitle: topic.title,
+              requirement: topic.requirement,
+              check: result.requirementCheck,
+            };
+          }
+        });
+        if (!cancelled) setRequirementChecks(checks);
+      })
+      .catch((error) =>
+        console.warn("Could not check discussion requirements:", error)
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId, apiUrl, courseId, isAuthenticated, savedRequirements]);
+
+  // Topics the student started a thread in show their result on that post;
+  // the rest are listed above the posts
+  const ownTopicIds = new Set(
+    posts
+      .filter((post) => !post.parent_id && String(post.user_id) === studentId)
+      .map((post) => String(post.discussion_topic_id))
+  );
+  const unpostedRequirementChecks = Object.entries(requirementChecks)
+    .filter(([topicId]) => !ownTopicIds.has(topicId))
+    .map(([topicId, result]) => ({ topicId, ...result }))
+    .sort((a, b) => (a.topicTitle || "").localeCompare(b.topicTitle || ""));
 
   // Show credentials required page if missing Canvas API settings
   if (credentialsMissing()) {
@@ -240,6 +406,53 @@ export default function UserPage() {
     );
   }
 
+  // Old name-based URL: wait for the redirect, or let the facilitator pick
+  // between students who share the name
+  if (legacyName) {
+    return (
+      <Layout>
+        <PageContainer>
+          <div className="bg-white rounded-lg shadow-md p-9">
+            <h1
+              className="text-3xl font-bold mb-4"
+              style={{ color: "var(--color-primary)" }}
+            >
+              {legacyName}
+            </h1>
+            {error ? (
+              <ErrorMessage message={error} onRetry={() => window.location.reload()} />
+            ) : !nameMatches ? (
+              <LoadingSpinner message="Finding student..." />
+            ) : nameMatches.length === 0 ? (
+              <p className="text-gray-500 text-lg">
+                No student with this name was found in the course.
+              </p>
+            ) : (
+              <>
+                <p className="text-gray-700 mb-3">
+                  {nameMatches.length} students share this name. Choose one:
+                </p>
+                <ul className="space-y-2">
+                  {nameMatches.map((match) => (
+                    <li key={match.id}>
+                      <Link
+                        href={courseHref(`/user/${match.id}`)}
+                        className="underline"
+                        style={{ color: "var(--color-primary)" }}
+                      >
+                        {match.name} (Canvas user {match.id})
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        </PageContainer>
+      </Layout>
+    );
+  }
+
   return (
     <Layout>
       <PageContainer>
@@ -251,9 +464,24 @@ export default function UserPage() {
               className="text-3xl font-bold"
               style={{ color: "var(--color-primary)" }}
             >
-              {user_name}
+              {userName || legacyName || (studentId ? `Canvas user ${studentId}` : "")}
             </h1>
-            <StudentClaimStatus studentId={studentId} studentName={user_name} />
+            <div className="flex items-center gap-3">
+              {studentId && (
+                <Link
+                  href={`/students/${studentId}`}
+                  className="text-sm underline"
+                  style={{ color: "var(--color-primary)" }}
+                >
+                  All courses
+                </Link>
+              )}
+              <StudentClaimStatus
+                courseId={courseId}
+                studentId={studentId}
+                studentName={userName}
+              />
+            </div>
           </div>
 
           {/* Two Column Layout */}
@@ -408,6 +636,37 @@ export default function UserPage() {
 
             {/* Right Content - Posts Section */}
             <div className="lg:col-span-2">
+              {/* Replies given and received; reloads after a reply is posted here */}
+              <PeerInteractions
+                studentId={studentId}
+                refreshKey={posts.length}
+              />
+
+              {/* Requirement results for topics without a thread of the student's own */}
+              {!loading && unpostedRequirementChecks.length > 0 && (
+                <div className="mb-6">
+                  <h2
+                    className="text-2xl font-semibold mb-2"
+                    style={{ color: "var(--color-primary)" }}
+                  >
+                    Requirements in Other Topics
+                  </h2>
+                  <p className="text-sm text-gray-600 mb-3">
+                    Topics with requirements where this student hasn't
+                    started a thread.
+                  </p>
+                  {unpostedRequirementChecks.map((result) => (
+                    <div key={result.topicId}>
+                      <h3 className="font-semibold mb-1">{result.topicTitle}</h3>
+                      <RequirementResult
+                        requirement={result.requirement}
+                        check={result.check}
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+
               <h2
                 className="text-2xl font-semibold mb-4"
                 style={{ color: "var(--color-primary)" }}
@@ -431,6 +690,8 @@ export default function UserPage() {
                   // Organize posts and replies
                   const { topLevelPosts, repliesByParentId } =
                     organizePostsAndReplies(posts);
+                  // Requirement results are shown once, on the student's first post in a topic
+                  const shownRequirementTopics = new Set();
 
                   // Sort top-level posts by creation date
                   return topLevelPosts
@@ -486,58 +747,62 @@ export default function UserPage() {
                             {post.created_at
                               ? new Date(post.created_at).toLocaleString()
                               : ""}
+                            <PostTimingBadge timing={getPostTiming(post)} />
                           </div>
-                          <div
+                          {(() => {
+                            const topicKey = String(post.discussion_topic_id);
+                            const result = requirementChecks[topicKey];
+                            if (
+                              !result ||
+                              String(post.user_id) !== studentId ||
+                              shownRequirementTopics.has(topicKey)
+                            ) {
+                              return null;
+                            }
+                            shownRequirementTopics.add(topicKey);
+                            return <RequirementResult {...result} />;
+                          })()}
+                          <PostContent
+                            html={post.message}
                             className="prose max-w-none mb-4"
-                            dangerouslySetInnerHTML={{
-                              __html: DOMPurify.sanitize(post.message),
-                            }}
                           />
+                          <AttachmentList post={post} className="mb-4" />
                           {post.score !== undefined && (
                             <div className="text-sm text-gray-600">
                               <p>Score: {post.score}</p>
                             </div>
                           )}
+                          {post.assignment_id &&
+                            String(post.user_id) === studentId &&
+                            assignmentsMap[post.assignment_id] && (
+                              <GradePanel
+                                assignment={assignmentsMap[post.assignment_id]}
+                                studentId={studentId}
+                                studentName={userName}
+                                topicId={post.discussion_topic_id}
+                                topicTitle={post.topic_title}
+                                submission={post._submission || null}
+                                onGraded={(submission) =>
+                                  handleGraded(post.id, submission)
+                                }
+                              />
+                            )}
+                          <ReplyAction
+                            post={post}
+                            replyingTo={replyingTo}
+                            onReply={setReplyingTo}
+                            onPosted={handleReplyPosted}
+                          />
                         </div>
 
                         {/* Render replies */}
-                        {repliesByParentId[post.id]?.map((reply, replyIdx) => (
-                          <div
-                            key={reply.id}
-                            className="ml-8 border-l-4 pl-4 mb-4"
-                            style={{ borderColor: "var(--color-primary)" }}
-                          >
-                            <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200">
-                              <div className="flex justify-between items-center mb-2">
-                                <div>
-                                  <span
-                                    className="text-sm font-medium"
-                                    style={{ color: "var(--color-primary)" }}
-                                  >
-                                    {reply.user?.display_name ||
-                                      reply.user_name}
-                                  </span>
-                                  <span
-                                    className="text-xs ml-2"
-                                    style={{
-                                      color: "var(--color-neutral-content)",
-                                    }}
-                                  >
-                                    {new Date(
-                                      reply.created_at
-                                    ).toLocaleDateString()}
-                                  </span>
-                                </div>
-                              </div>
-                              <div
-                                className="prose max-w-none"
-                                dangerouslySetInnerHTML={{
-                                  __html: DOMPurify.sanitize(reply.message),
-                                }}
-                              />
-                            </div>
-                          </div>
-                        ))}
+                        <ReplyThread
+                          parentId={post.id}
+                          repliesByParentId={repliesByParentId}
+                          replyingTo={replyingTo}
+                          onReply={setReplyingTo}
+                          onPosted={handleReplyPosted}
+                        />
                       </div>
                     ));
                 })()
@@ -550,8 +815,152 @@ export default function UserPage() {
   );
 }
 
-// This component handles the UI and logic for claiming a student
-function StudentClaimStatus({ studentId, studentName }) {
+// "On time" or "Late by …" next to an initial post's date
+function PostTimingBadge({ timing }) {
+  if (
+    timing?.status !== TIMING_ON_TIME &&
+    timing?.status !== TIMING_LATE
+  ) {
+    return null;
+  }
+
+  const late = timing.status === TIMING_LATE;
+  return (
+    <span
+      className="ml-2 px-2 py-0.5 font-medium"
+      style={{
+        backgroundColor: late ? "var(--color-error)" : "var(--color-success)",
+        color: late
+          ? "var(--color-error-content)"
+          : "var(--color-success-content)",
+        borderRadius: "var(--radius-field)",
+      }}
+      title={`Due ${new Date(timing.dueAt).toLocaleString()}`}
+    >
+      {getTimingLabel(timing)}
+    </span>
+  );
+}
+
+// Whether the student met the topic's discussion requirements, check by check
+function RequirementResult({ requirement, check }) {
+  const met = check.status === REQUIREMENT_MET;
+  return (
+    <div
+      className="mb-3 px-3 py-2 text-sm border"
+      style={{
+        borderColor: met ? "var(--color-success)" : "var(--color-error)",
+        borderRadius: "var(--radius-field)",
+      }}
+    >
+      <div className="font-medium">
+        Requirements {REQUIREMENT_LABELS[check.status].toLowerCase()}
+        <span className="ml-2 font-normal text-gray-500">
+          {describeRequirement(requirement)}
+        </span>
+      </div>
+      <ul className="mt-1 space-y-0.5">
+        {check.checks.map((item) => (
+          <li key={item.id} className="flex items-center gap-2">
+            <i
+              className={`fas ${item.met ? "fa-check" : "fa-xmark"}`}
+              style={{
+                color: item.met
+                  ? "var(--color-success-content)"
+                  : "var(--color-error)",
+              }}
+              aria-hidden="true"
+            ></i>
+            {item.text}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Reply button that opens the composer under one post at a time
+function ReplyAction({ post, replyingTo, onReply, onPosted }) {
+  if (replyingTo === post.id) {
+    return (
+      <ReplyComposer
+        parent={post}
+        onPosted={onPosted}
+        onCancel={() => onReply(null)}
+      />
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={() => onReply(post.id)}
+      className="mt-2 text-sm font-medium hover:underline"
+      style={{ color: "var(--color-primary)" }}
+    >
+      <i className="fas fa-reply mr-1" aria-hidden="true"></i>
+      Reply
+    </button>
+  );
+}
+
+// Renders the replies under a post, recursing so nested conversations keep their shape
+function ReplyThread({ parentId, repliesByParentId, replyingTo, onReply, onPosted }) {
+  const replies = (repliesByParentId[parentId] || [])
+    .slice()
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  return replies.map((reply) => (
+    <div
+      key={reply.id}
+      className="ml-8 border-l-4 pl-4 mb-4"
+      style={{ borderColor: "var(--color-primary)" }}
+    >
+      <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200">
+        <div className="flex justify-between items-center mb-2">
+          <div>
+            <span
+              className="text-sm font-medium"
+              style={{ color: "var(--color-primary)" }}
+            >
+              {reply.user?.display_name || reply.user_name}
+            </span>
+            <span
+              className="text-xs ml-2"
+              style={{
+                color: "var(--color-neutral-content)",
+              }}
+            >
+              {new Date(reply.created_at).toLocaleDateString()}
+            </span>
+          </div>
+        </div>
+        <PostContent html={reply.message} className="prose max-w-none" />
+        <AttachmentList post={reply} className="mt-2" />
+        <ReplyAction
+          post={reply}
+          replyingTo={replyingTo}
+          onReply={onReply}
+          onPosted={onPosted}
+        />
+      </div>
+      {repliesByParentId[reply.id]?.length > 0 && (
+        <div className="mt-4">
+          <ReplyThread
+            parentId={reply.id}
+            repliesByParentId={repliesByParentId}
+            replyingTo={replyingTo}
+            onReply={onReply}
+            onPosted={onPosted}
+          />
+        </div>
+      )}
+    </div>
+  ));
+}
+
+// This component handles the UI and logic for claiming a student in a course
+function StudentClaimStatus({ courseId, studentId, studentName }) {
   const [facilitatorName, setFacilitatorName] = useState("");
 
   useEffect(() => {
@@ -559,15 +968,17 @@ function StudentClaimStatus({ studentId, studentName }) {
     setFacilitatorName(name);
   }, []);
 
-  // Skip query if studentId is not yet available
+  // Skip query if studentId or courseId is not yet available
   const status = useQuery(
     api.canvas.getStudentStatus,
-    studentId ? { studentId: String(studentId) } : "skip"
+    studentId && courseId
+      ? { courseId: String(courseId), studentId: String(studentId) }
+      : "skip"
   );
 
   const setStatus = useMutation(api.canvas.setStudentStatus);
 
-  if (!studentId) {
+  if (!studentId || !courseId) {
     return <div className="min-h-[34px]"></div>; // Reserve space while loading studentId
   }
 
@@ -577,6 +988,7 @@ function StudentClaimStatus({ studentId, studentName }) {
       return;
     }
     setStatus({
+      courseId: String(courseId),
       studentId: String(studentId),
       studentName: studentName,
       status: "claimed",
@@ -586,6 +998,7 @@ function StudentClaimStatus({ studentId, studentName }) {
 
   function handleComplete() {
     setStatus({
+      courseId: String(courseId),
       studentId: String(studentId),
       studentName: studentName,
       status: "completed",
@@ -595,9 +1008,11 @@ function StudentClaimStatus({ studentId, studentName }) {
 
   function handleUnclaim() {
     setStatus({
+      courseId: String(courseId),
       studentId: String(studentId),
       studentName: studentName,
       status: null,
+      facilitatorName: facilitatorName,
     });
   }
 
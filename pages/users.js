@@ -1,22 +1,37 @@
 /**
  * Users Page (/users) - Component-Based Architecture
  * 
- * Displays a comprehensive list of all students in the course with grading status indicators.
+ * Displays a comprehensive list of all students in the course with grading status indicators
+ * and peer interaction counts (replies given to and received from classmates, replies from
+ * teachers), each of which the list can be sorted by.
  * Migrated to use the new component-based architecture with significant code reduction.
  */
 
 import { useEffect, useState } from 'react';
-import DOMPurify from 'dompurify';
 import Layout from '../components/layout/Layout';
 import { useCanvasAuth } from '../components/canvas/useCanvasAuth';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import ErrorMessage from '../components/ui/ErrorMessage';
 import CredentialsRequired from '../components/ui/CredentialsRequired';
 import UserCard from '../components/discussion/UserCard';
-import { fetchCanvasDiscussions } from '../js/canvasApi';
+import { fetchCanvasDiscussions, fetchAllPages } from '../js/canvasApi';
+import { downloadDiscussionsMarkdown } from '../js/markdownExport';
+import { isInSections } from '../js/sectionFilter';
+import { fetchCourseRoles } from '../js/dataUtils';
+import { ROLE_STUDENT, getUserRole } from '../js/rolePolicy';
+import { buildPeerInteractions, getStudentInteractions } from '../js/peerInteractions';
+import { useSectionFilter } from '../components/canvas/useSectionFilter';
+
+// Sortable peer interaction columns, in the order UserCard shows them
+const INTERACTION_COLUMNS = [
+  { key: 'givenToPeers', label: 'To peers', description: 'Replies given to classmates' },
+  { key: 'receivedFromPeers', label: 'From peers', description: 'Replies received from classmates' },
+  { key: 'fromTeachers', label: 'From teachers', description: 'Replies received from teachers' }
+];
 
 export default function UsersPage() {
-  const { credentialsMissing, apiUrl, apiKey, courseId } = useCanvasAuth();
+  const { credentialsMissing, isAuthenticated, apiUrl, courseId } = useCanvasAuth();
+  const { sectionUserIds } = useSectionFilter();
   
   // State management for users dashboard
   const [users, setUsers] = useState([]);                // Discussion activity data by user
@@ -24,142 +39,27 @@ export default function UsersPage() {
   const [ungradedMap, setUngradedMap] = useState({});    // Map of students with ungraded work
   const [loading, setLoading] = useState(false);         // Loading state for async operations
   const [error, setError] = useState('');               // Error message display
+  const [exportingZip, setExportingZip] = useState(false); // ZIP export with attachments in progress
+  const [interactions, setInteractions] = useState(new Map()); // Peer and teacher reply counts by student
+  const [sortKey, setSortKey] = useState(null);          // Interaction column to sort by, or null for the default order
+  const [sortDescending, setSortDescending] = useState(true);
 
-  // Markdown export functionality (preserved from original)
-  async function handleDownloadMarkdown() {
-    if (!window.TurndownService) {
-      await new Promise((resolve, reject) => {
-        const script = document.createElement('script');
-        script.src = '/turndown.js';
-        script.onload = resolve;
-        script.onerror = reject;
-        document.body.appendChild(script);
-      });
-    }
-    const turndownService = new window.TurndownService({ headingStyle: 'atx' });
-
-    turndownService.remove('script');
-    turndownService.remove('style');
-    turndownService.remove('link');
-
-    function htmlToMarkdown(html) {
-      html = DOMPurify.sanitize(html);
-      html = html.replace(/<script[\s\S]*?<\/script>/gi, '')
-                 .replace(/<style[\s\S]*?<\/style>/gi, '')
-                 .replace(/<link[\s\S]*?>/gi, '');
-      return turndownService.turndown(html).replace(/\n{2,}/g, '\n\n');
-    }
-
-    function buildThread(entries, parentId = null, depth = 0) {
-      let md = '';
-      const children = parentId === null ? entries : (entries || []).filter(e => (e.parent_id || null) === parentId);
-      children.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-      for (const entry of children) {
-        const author = entry.user?.display_name || entry.user_name || 'Unknown';
-        const date = entry.created_at ? new Date(entry.created_at).toLocaleString() : '';
-        const heading = `${'#'.repeat(2 + depth)} ${depth > 0 ? 'Reply: ' : ''}${author} at ${date}`;
-        let message = htmlToMarkdown(DOMPurify.sanitize(entry.message || ''));
-        if (depth > 0) {
-          message = message.split('\n').map(line => '>'.repeat(depth) + ' ' + line).join('\n');
-        }
-        md += `\n${heading}\n\n${message}\n`;
-        if (entry._replies && entry._replies.length > 0) {
-          md += buildThread(entry._replies, null, depth + 1);
-        }
-        md += buildThread(entries, entry.id, depth + 1);
-      }
-      return md;
-    }
-
+  // Markdown export functionality (shared with the home and feedback pages)
+  async function handleDownloadMarkdown(withAttachments = false) {
+    // Validate credentials before proceeding
     if (credentialsMissing()) {
       alert('Please set your Canvas API credentials and Course ID in Settings first.');
       return;
     }
 
-    const allPosts = await fetchCanvasDiscussions({ apiUrl, apiKey, courseId });
-    const topicMap = {};
-    
-    allPosts.forEach(post => {
-      if (!topicMap[post.discussion_topic_id]) {
-        topicMap[post.discussion_topic_id] = {
-          id: post.discussion_topic_id,
-          title: post.topic_title,
-          assignment_id: post.assignment_id,
-          entries: []
-        };
-      }
-    });
-    
-    allPosts.forEach(post => {
-      const topic = topicMap[post.discussion_topic_id];
-      if (post.parent_id) {
-        const parentEntry = topic.entries.find(entry => entry.id === post.parent_id);
-        if (parentEntry) {
-          if (!parentEntry._replies) parentEntry._replies = [];
-          parentEntry._replies.push(post);
-        }
-      } else {
-        topic.entries.push(post);
-      }
-    });
-    
-    let topicEntries = Object.values(topicMap);
-    
-    const topicsRes = await fetch('/api/canvas-proxy', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        apiUrl,
-        apiKey,
-        endpoint: `/courses/${courseId}/discussion_topics`,
-        method: 'GET'
-      })
-    });
-    
-    if (topicsRes.ok) {
-      const topics = await topicsRes.json();
-      topicEntries.forEach(topicEntry => {
-        const originalTopic = topics.find(t => t.id === topicEntry.id);
-        if (originalTopic) {
-          topicEntry.due_at = originalTopic.due_at;
-        }
-      });
-    }
-
-    topicEntries.sort((a, b) => {
-      if (a.due_at && b.due_at) {
-        return new Date(a.due_at) - new Date(b.due_at);
-      }
-      if (a.due_at) return -1;
-      if (b.due_at) return 1;
-      return a.title.localeCompare(b.title);
-    });
-
-    let md = '';
-    for (const topic of topicEntries) {
-      md += `# ${topic.title}\n`;
-      if (topic.due_at) {
-        md += `*Due: ${new Date(topic.due_at).toLocaleString()}*\n`;
-      }
-      if (topic.entries && topic.entries.length > 0) {
-        md += buildThread(topic.entries);
-      } else {
-        md += '\n_No posts in this topic._\n';
-      }
-      md += '\n---\n\n';
+    setExportingZip(withAttachments);
+    try {
+      await downloadDiscussionsMarkdown({ apiUrl, courseId, sectionUserIds, withAttachments });
+    } catch (e) {
+      alert(`Export failed: ${e.message}`);
+    } finally {
+      setExportingZip(false);
     }
-
-    const blob = new Blob([md], { type: 'text/markdown' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `canvas-discussions-${courseId}.md`;
-    document.body.appendChild(a);
-    a.click();
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 100);
   }
 
   useEffect(() => {
@@ -169,47 +69,27 @@ export default function UsersPage() {
 
     async function fetchAll() {
       try {
-        // Fetch full roster
-        const rosterRes = await fetch('/api/canvas-proxy', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
+        // Fetch full roster, keeping the users the course's role policy counts as students
+        const [courseUsers, courseRoles] = await Promise.all([
+          fetchAllPages({
             apiUrl,
-            apiKey,
-            endpoint: `/courses/${courseId}/users?enrollment_type[]=student&per_page=100`,
-            method: 'GET'
-          })
-        });
-        const roster = rosterRes.ok ? await rosterRes.json() : [];
+            endpoint: `/courses/${courseId}/users?per_page=100`
+          }).catch(() => []),
+          fetchCourseRoles(apiUrl, courseId)
+        ]);
+        const roster = courseUsers.filter(user => getUserRole(courseRoles, user.id) === ROLE_STUDENT);
         setAllStudents(roster);
 
         // Fetch graded topics and submissions
-        const topicsRes = await fetch('/api/canvas-proxy', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            apiUrl,
-            apiKey,
-            endpoint: `/courses/${courseId}/discussion_topics`,
-            method: 'GET'
-          })
-        });
-        const topics = topicsRes.ok ? await topicsRes.json() : [];
+        const topics = await fetchAllPages({
+          apiUrl,
+          endpoint: `/courses/${courseId}/discussion_topics`
+        }).catch(() => []);
         
-        const allAssignRes = await fetch('/api/canvas-proxy', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            apiUrl,
-            apiKey,
-            endpoint: `/courses/${courseId}/assignments?per_page=100`,
-            method: 'GET'
-          })
-        });
-        let allAssignments = [];
-        if (allAssignRes.ok) {
-          allAssignments = await allAssignRes.json();
-        }
+        const allAssignments = await fetchAllPages({
+          apiUrl,
+          endpoint: `/courses/${courseId}/assignments?per_page=100`
+        }).catch(() => []);
         const assignments = {};
         for (const a of allAssignments) {
           assignments[a.id] = a;
@@ -221,18 +101,10 @@ export default function UsersPage() {
 
         let allSubmissions = [];
         for (const topic of gradedTopics) {
-          const subRes = await fetch('/api/canvas-proxy', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              apiUrl,
-              apiKey,
-              endpoint: `/courses/${courseId}/assignments/${topic.assignment_id}/submissions`,
-              method: 'GET'
-            })
-          });
-          const subs = subRes.ok ? await subRes.json() : [];
-          const subList = Array.isArray(subs) ? subs : Object.values(subs);
+          const subList = await fetchAllPages({
+            apiUrl,
+            endpoint: `/courses/${courseId}/assignments/${topic.assignment_id}/submissions`
+          }).catch(() => []);
           allSubmissions = allSubmissions.concat(subList.map(s => ({ ...s, assignment_id: topic.assignment_id })));
         }
 
@@ -249,7 +121,7 @@ export default function UsersPage() {
         setUngradedMap(ungraded);
 
         // Group posts by user for last active
-        const posts = await fetchCanvasDiscussions({ apiUrl, apiKey, courseId });
+        const posts = await fetchCanvasDiscussions({ apiUrl, courseId });
         const userMap = {};
         posts.forEach(post => {
           const name = post.user?.display_name || post.user_name || 'Unknown';
@@ -264,6 +136,7 @@ export default function UsersPage() {
           }
         });
         setUsers(userMap);
+        setInteractions(buildPeerInteractions(posts, courseRoles));
       } catch (err) {
         setError('Failed to fetch users or submissions.');
       } finally {
@@ -271,7 +144,20 @@ export default function UsersPage() {
       }
     }
     fetchAll();
-  }, [apiUrl, apiKey, courseId]);
+  }, [apiUrl, courseId, isAuthenticated]);
+
+  // Students in the sections chosen in the header
+  const visibleStudents = allStudents.filter(student => isInSections(student.id, sectionUserIds));
+
+  // Clicking the sorted column again flips the direction
+  function handleSort(key) {
+    if (sortKey === key) {
+      setSortDescending(current => !current);
+    } else {
+      setSortKey(key);
+      setSortDescending(true);
+    }
+  }
 
   if (credentialsMissing()) {
     return (
@@ -284,21 +170,29 @@ export default function UsersPage() {
   return (
     <Layout>
       <div>
-        <div className="flex justify-end mb-4">
+        <div className="flex justify-end gap-2 mb-4">
           <button
             className="text-white px-4 py-2 rounded-md font-semibold hover:opacity-90 transition-colors"
             style={{backgroundColor: '#003957'}}
-            onClick={handleDownloadMarkdown}
+            onClick={() => handleDownloadMarkdown()}
           >
             Download All Discussions (Markdown)
           </button>
+          <button
+            className="text-white px-4 py-2 rounded-md font-semibold hover:opacity-90 transition-colors disabled:opacity-50"
+            style={{backgroundColor: '#003957'}}
+            onClick={() => handleDownloadMarkdown(true)}
+            disabled={exportingZip}
+          >
+            {exportingZip ? 'Preparing ZIP…' : 'ZIP with Attachments'}
+          </button>
         </div>
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <p className="text-gray-600 mb-6">View participation across all discussion topics, grouped by user.</p>
           <div className="mb-6">
             <div className="flex items-center justify-between mb-6">
               <h2 className="text-2xl font-semibold text-gray-800">Users</h2>
-              <span className="bg-red-950 px-3 py-1 rounded-full text-white text-sm font-medium">{allStudents.length}</span>
+              <span className="bg-red-950 px-3 py-1 rounded-full text-white text-sm font-medium">{visibleStudents.length}</span>
             </div>
             {loading ? (
               <LoadingSpinner message="Loading users..." />
@@ -307,8 +201,32 @@ export default function UsersPage() {
             ) : (
               <>
                 <h2 className="text-2xl font-bold mb-6">Users</h2>
+                <div className="flex items-center justify-end gap-2 pb-2 border-b border-gray-200 text-sm text-gray-600">
+                  {sortKey && (
+                    <button type="button" onClick={() => setSortKey(null)} className="mr-auto hover:underline">
+                      Reset order
+                    </button>
+                  )}
+                  {INTERACTION_COLUMNS.map(column => (
+                    <button
+                      key={column.key}
+                      type="button"
+                      onClick={() => handleSort(column.key)}
+                      className="w-24 text-center font-medium hover:underline"
+                      title={column.description}
+                      aria-label={sortKey === column.key
+                        ? `${column.label}, sorted ${sortDescending ? 'descending' : 'ascending'}`
+                        : `Sort by ${column.label}`}
+                    >
+                      {column.label}
+                      {sortKey === column.key && (
+                        <i className={`fas ${sortDescending ? 'fa-sort-down' : 'fa-sort-up'} ml-1`} aria-hidden="true"></i>
+                      )}
+                    </button>
+                  ))}
+                </div>
                 <ul className="divide-y divide-gray-200">
-                  {allStudents
+                  {visibleStudents
                     .map(student => {
                       const user = Object.values(users).find(u => u.userId === student.id) || {
                         name: student.name || student.sortable_name || 'Unknown',
@@ -318,9 +236,18 @@ export default function UsersPage() {
                         avatar: student.avatar_url || null,
                         userId: student.id
                       };
-                      return { ...user, hasUngraded: !!ungradedMap[student.id], studentId: student.id };
+                      return {
+                        ...user,
+                        hasUngraded: !!ungradedMap[student.id],
+                        studentId: student.id,
+                        interactions: getStudentInteractions(interactions, student.id).totals
+                      };
                     })
                     .sort((a, b) => {
+                      if (sortKey) {
+                        const difference = a.interactions[sortKey] - b.interactions[sortKey];
+                        if (difference !== 0) return sortDescending ? -difference : difference;
+                      }
                       if (a.hasUngraded && !b.hasUngraded) return -1;
                       if (!a.hasUngraded && b.hasUngraded) return 1;
                       return new Date(b.lastActive || 0) - new Date(a.lastActive || 0);
@@ -336,4 +263,4 @@ export default function UsersPage() {
       </div>
     </Layout>
   );
-}
\ No newline at end of file
+}
@@ -1,11 +1,10 @@
 import { useEffect, useState } from 'react';
+import { useCanvasAuth } from '../components/canvas/useCanvasAuth';
 import { fetchCanvasDiscussions } from '../js/canvasApi';
 import { parseCSV, loadDataFiles, createMasterParticipantListWithVerification } from '../js/dataUtils';
 
 export default function Verify() {
-  const [apiUrl, setApiUrl] = useState('');
-  const [apiKey, setApiKey] = useState('');
-  const [courseId, setCourseId] = useState('');
+  const { apiUrl, courseId, isAuthenticated } = useCanvasAuth();
   const [courseName, setCourseName] = useState('');
   const [canvasUsers, setCanvasUsers] = useState([]);
   const [csvData, setCsvData] = useState({
@@ -20,17 +19,11 @@ export default function Verify() {
   const [error, setError] = useState('');
 
   function credentialsMissing() {
-    return !apiUrl || !apiKey || !courseId;
+    return !isAuthenticated || !courseId;
   }
 
   useEffect(() => {
-    setApiUrl(localStorage.getItem('canvas_api_url') || '');
-    setApiKey(localStorage.getItem('canvas_api_key') || '');
-    setCourseId(localStorage.getItem('course_id') || '');
-  }, []);
-
-  useEffect(() => {
-    if (!apiUrl || !apiKey || !courseId) return;
+    if (!isAuthenticated || !courseId) return;
     
     // Fetch course name
     async function fetchCourseName() {
@@ -39,8 +32,6 @@ export default function Verify() {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            apiUrl,
-            apiKey,
             endpoint: `/courses/${courseId}`,
             method: 'GET'
           })
@@ -57,7 +48,7 @@ export default function Verify() {
 
     // Load Canvas users
     loadCanvasUsers();
-  }, [apiUrl, apiKey, courseId]);
+  }, [apiUrl, courseId, isAuthenticated]);
 
   async function loadCanvasUsers() {
     if (credentialsMissing()) return;
@@ -66,19 +57,19 @@ export default function Verify() {
     setError('');
     
     try {
-      const posts = await fetchCanvasDiscussions({ apiUrl, apiKey, courseId });
+      const posts = await fetchCanvasDiscussions({ apiUrl, courseId });
       
       // Extract unique users from Canvas posts using improved logic
       const userMap = {};
       posts.forEach(post => {
         const displayName = post.user?.display_name;
         const userName = post.user_name;
-        const userId = post.user?.id;
+        const userId = post.user?.id || post.user_id;
         const email = post.user?.email;
         
         if (displayName || userName) {
-          // Use display name as key since Canvas doesn't provide reliable usernames/emails
-          const key = displayName || userName || 'Unknown';
+          // Key by Canvas user ID so students sharing a display name stay separate
+          const key = userId ? `id-${userId}` : displayName || userName || 'Unknown';
           
           if (!userMap[key]) {
             userMap[key] = {
@@ -0,0 +1,144 @@
+/**
+ * Mock Canvas OAuth2 Server - local testing for the "Sign in with Canvas" flow
+ *
+ * Implements just enough of Canvas to exercise /api/auth/oauth/*:
+ * - GET    /login/oauth2/auth   auto-approves and redirects back with a code
+ * - POST   /login/oauth2/token  authorization_code and refresh_token grants
+ * - DELETE /login/oauth2/token  token revocation
+ * - GET    /api/v1/...          users/self, courses and courses/:id fixtures, [] for other lists
+ *
+ * Access tokens expire after ACCESS_TOKEN_TTL seconds (default 120) so token
+ * refresh can be seen without waiting an hour.
+ *
+ * Usage:
+ *   npm run mock:oauth
+ *   # in .env.local for `npm run dev`:
+ *   CANVAS_OAUTH_BASE_URL=http://localhost:4010
+ *   CANVAS_OAUTH_CLIENT_ID=mock-client
+ *   CANVAS_OAUTH_CLIENT_SECRET=mock-secret
+ *   CANVAS_ALLOWED_HOSTS=localhost
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = Number(process.env.PORT || 4010);
+const CLIENT_ID = process.env.MOCK_CLIENT_ID || 'mock-client';
+const CLIENT_SECRET = process.env.MOCK_CLIENT_SECRET || 'mock-secret';
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL || 120);
+
+const USER = { id: 1001, name: 'Mock Facilitator' };
+const MOCK_COURSES = [
+  { id: 101, name: 'Mock Course 101', course_code: 'MOCK-101', term: { name: 'Fall' } },
+  { id: 102, name: 'Mock Course 102', course_code: 'MOCK-102', term: { name: 'Fall' } }
+];
+const codes = new Map();          // code -> redirect_uri
+const accessTokens = new Map();   // token -> expiry timestamp
+const refreshTokens = new Set();
+
+function token() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+}
+
+function issueTokens(includeRefresh) {
+  const accessToken = token();
+  accessTokens.set(accessToken, Date.now() + ACCESS_TOKEN_TTL * 1000);
+  const response = {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL,
+    user: USER
+  };
+  if (includeRefresh) {
+    response.refresh_token = token();
+    refreshTokens.add(response.refresh_token);
+  }
+  return response;
+}
+
+function isAuthorized(req) {
+  const accessToken = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const expiry = accessTokens.get(accessToken);
+  return Boolean(expiry && expiry > Date.now());
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(req.method, url.pathname);
+
+  if (req.method === 'GET' && url.pathname === '/login/oauth2/auth') {
+    if (url.searchParams.get('client_id') !== CLIENT_ID) {
+      return sendJson(res, 400, { error: 'invalid_client' });
+    }
+    const code = token();
+    const redirectUri = url.searchParams.get('redirect_uri');
+    codes.set(code, redirectUri);
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    target.searchParams.set('state', url.searchParams.get('state') || '');
+    res.writeHead(302, { Location: target.toString() });
+    return res.end();
+  }
+
+  if (url.pathname === '/login/oauth2/token') {
+    if (req.method === 'DELETE') {
+      accessTokens.delete((req.headers.authorization || '').replace(/^Bearer /, ''));
+      return sendJson(res, 200, {});
+    }
+
+    const form = await readBody(req);
+    if (form.get('client_id') !== CLIENT_ID || form.get('client_secret') !== CLIENT_SECRET) {
+      return sendJson(res, 401, { error: 'invalid_client' });
+    }
+
+    if (form.get('grant_type') === 'authorization_code') {
+      const code = form.get('code');
+      if (!codes.has(code) || codes.get(code) !== form.get('redirect_uri')) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+      codes.delete(code);
+      return sendJson(res, 200, issueTokens(true));
+    }
+
+    if (form.get('grant_type') === 'refresh_token' && refreshTokens.has(form.get('refresh_token'))) {
+      return sendJson(res, 200, issueTokens(false));
+    }
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  if (url.pathname.startsWith('/api/v1/')) {
+    if (!isAuthorized(req)) {
+      return sendJson(res, 401, { errors: [{ message: 'Invalid access token.' }] });
+    }
+    if (url.pathname === '/api/v1/users/self') {
+      return sendJson(res, 200, USER);
+    }
+    if (url.pathname === '/api/v1/courses') {
+      return sendJson(res, 200, MOCK_COURSES);
+    }
+    const course = url.pathname.match(/^\/api\/v1\/courses\/(\d+)$/);
+    if (course) {
+      return sendJson(res, 200, { id: Number(course[1]), name: `Mock Course ${course[1]}` });
+    }
+    return sendJson(res, 200, []);
+  }
+
+  sendJson(res, 404, { error: 'not_found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Canvas OAuth server on http://localhost:${PORT} (client_id=${CLIENT_ID})`);
+});
@@ -0,0 +1,81 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Skip backoff pauses so retried requests finish immediately
+vi.mock('../js/rateLimit', async importOriginal => ({
+  ...(await importOriginal()),
+  sleep: async () => {}
+}));
+
+const { fetchTopicPosts } = await import('../js/canvasApi');
+
+const apiUrl = 'https://school.instructure.com/api/v1';
+const topic = { id: 7, title: 'Week 1', assignment_id: 70 };
+
+// Answers proxy calls from a map of endpoint prefix -> [status, body]
+function stubProxy(routes) {
+  vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+    const { endpoint } = JSON.parse(init.body);
+    const match = Object.keys(routes).find(prefix => endpoint.startsWith(prefix));
+    if (!match) return new Response('{"error":"not found"}', { status: 404 });
+    const [status, body] = routes[match];
+    return new Response(JSON.stringify(body), { status });
+  }));
+}
+
+const requestedEndpoints = () => fetch.mock.calls.map(([, init]) => JSON.parse(init.body).endpoint);
+
+describe('fetchTopicPosts', () => {
+  beforeEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('merges new_entries into the view tree', async () => {
+    stubProxy({
+      '/courses/1/discussion_topics/7/view': [200, {
+        participants: [{ id: 1, display_name: 'Ada' }, { id: 2, display_name: 'Grace' }],
+        view: [{ id: 10, user_id: 1, message: 'first', replies: [{ id: 11, user_id: 2, message: 'reply' }] }],
+        new_entries: [
+          { id: 11, user_id: 2, parent_id: 10, message: 'reply' },
+          { id: 13, user_id: 1, parent_id: 12, message: 'reply to new' },
+          { id: 12, user_id: 2, parent_id: 11, message: 'new reply' },
+          { id: 14, user_id: 2, message: 'new thread' }
+        ]
+      }]
+    });
+
+    const posts = await fetchTopicPosts({ apiUrl, courseId: '1', topic });
+
+    expect(requestedEndpoints()[0]).toBe('/courses/1/discussion_topics/7/view?include_new_entries=1');
+    expect(posts.map(post => [post.id, post.parent_id, post.depth])).toEqual([
+      [10, null, 0],
+      [11, 10, 1],
+      [12, 11, 2],
+      [13, 12, 3],
+      [14, null, 0]
+    ]);
+    expect(posts.find(post => post.id === 14)).toMatchObject({ user_name: 'Grace', discussion_topic_id: 7, assignment_id: 70 });
+  });
+
+  it('falls back to the entries endpoint when the view answers 503', async () => {
+    stubProxy({
+      '/courses/1/discussion_topics/7/view': [503, { error: 'still building' }],
+      '/courses/1/discussion_topics/7/entries': [200, [
+        { id: 10, user_id: 1, recent_replies: [{ id: 11, user_id: 2, parent_id: 10 }] }
+      ]]
+    });
+
+    const posts = await fetchTopicPosts({ apiUrl, courseId: '1', topic });
+
+    expect(posts.map(post => [post.id, post.parent_id])).toEqual([[10, null], [11, 10]]);
+  });
+
+  it.each([401, 404])('passes a %s from the view on instead of falling back', async status => {
+    stubProxy({
+      '/courses/1/discussion_topics/7/view': [status, { error: 'nope' }],
+      '/courses/1/discussion_topics/7/entries': [200, []]
+    });
+
+    await expect(fetchTopicPosts({ apiUrl, courseId: '1', topic })).rejects.toMatchObject({ status });
+    expect(requestedEndpoints().some(endpoint => endpoint.includes('/entries'))).toBe(false);
+  });
+});
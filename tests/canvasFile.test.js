@@ -0,0 +1,94 @@
+import { PassThrough } from 'stream';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../js/canvasSession', () => ({
+  getSession: () => ({ apiUrl: 'https://school.instructure.com/api/v1', apiKey: 'token' }),
+  clearSessionCookie: vi.fn()
+}));
+vi.mock('../js/canvasOAuth', () => ({
+  ensureFreshSession: async session => session
+}));
+
+const { default: handler } = await import('../pages/api/canvas-file');
+
+// Writable stand-in for NextApiResponse that collects the streamed body
+function createResponse() {
+  const res = new PassThrough();
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  Object.assign(res, { statusCode: 200, headers: {}, body: undefined, headersSent: false });
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.text = () => Buffer.concat(chunks).toString();
+  return res;
+}
+
+const metadata = {
+  display_name: 'talk.mp4',
+  size: 11,
+  'content-type': 'video/mp4',
+  url: 'https://school.instructure.com/files/5/download?verifier=abc'
+};
+
+describe('/api/canvas-file', () => {
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  it('streams the file from the store Canvas redirects to', async () => {
+    fetch
+      .mockResolvedValueOnce(new Response(JSON.stringify(metadata)))
+      .mockResolvedValueOnce(new Response(null, { status: 302, headers: { Location: 'https://files.example.com/5' } }))
+      .mockResolvedValueOnce(new Response('video bytes'));
+    const res = createResponse();
+
+    await handler({ method: 'GET', query: { fileId: '5' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.text()).toBe('video bytes');
+    expect(res.headers['Content-Type']).toBe('video/mp4');
+    expect(res.headers['Content-Length']).toBe(11);
+    expect(res.headers['Content-Disposition']).toMatch(/^inline;/);
+    expect(res.headers['X-Content-Type-Options']).toBe('nosniff');
+    expect(res.headers['Content-Security-Policy']).toBe('sandbox');
+    // The token goes to Canvas only, never to the file store
+    expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer token');
+    expect(fetch.mock.calls[2][1]).toBeUndefined();
+  });
+
+  it('serves HTML attachments as downloads rather than inline pages', async () => {
+    fetch
+      .mockResolvedValueOnce(new Response(JSON.stringify({ ...metadata, display_name: 'essay.html', 'content-type': 'text/html' })))
+      .mockResolvedValueOnce(new Response('<script>alert(1)</script>'));
+    const res = createResponse();
+
+    await handler({ method: 'GET', query: { fileId: '5' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('application/octet-stream');
+    expect(res.headers['Content-Disposition']).toMatch(/^attachment;/);
+    expect(res.headers['X-Content-Type-Options']).toBe('nosniff');
+    expect(res.headers['Content-Security-Policy']).toBe('sandbox');
+  });
+
+  it('streams large files instead of refusing them', async () => {
+    fetch
+      .mockResolvedValueOnce(new Response(JSON.stringify({ ...metadata, size: 200 * 1024 * 1024 })))
+      .mockResolvedValueOnce(new Response('video bytes'));
+    const res = createResponse();
+
+    await handler({ method: 'GET', query: { fileId: '5' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.text()).toBe('video bytes');
+  });
+});
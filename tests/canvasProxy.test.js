@@ -0,0 +1,97 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Session the mocked cookie holds for the current test
+let session = null;
+vi.mock('../js/canvasSession', () => ({
+  getSession: () => session,
+  clearSessionCookie: vi.fn()
+}));
+vi.mock('../js/canvasOAuth', () => ({
+  ensureFreshSession: async stored => stored
+}));
+
+const { default: handler } = await import('../pages/api/canvas-proxy');
+
+// Minimal stand-in for NextApiResponse
+function createResponse() {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  return res;
+}
+
+describe('/api/canvas-proxy', () => {
+  beforeEach(() => {
+    session = { apiUrl: 'https://school.instructure.com/api/v1', apiKey: 'token' };
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  it('answers 401 without a session', async () => {
+    session = null;
+    const res = createResponse();
+    await handler({ body: { endpoint: '/courses/1' } }, res);
+    expect(res.statusCode).toBe(401);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it.each(['DELETE', 'PATCH'])('answers %s with 403 without calling Canvas', async method => {
+    const res = createResponse();
+    await handler({ body: { endpoint: '/courses/1', method } }, res);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.blocked).toBe(true);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    'https://evil.example.com/steal',
+    '//evil.example.com/steal',
+    '/courses/%2e%2e/%2e%2e/login'
+  ])('answers endpoint %s with 403 without calling Canvas', async endpoint => {
+    const res = createResponse();
+    await handler({ body: { endpoint } }, res);
+    expect(res.statusCode).toBe(403);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('answers a session apiUrl outside the allowlist with 403 without calling Canvas', async () => {
+    session = { ...session, apiUrl: 'https://evil.example.com/api/v1' };
+    const res = createResponse();
+    await handler({ body: { endpoint: '/courses/1' } }, res);
+    expect(res.statusCode).toBe(403);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('forwards a throttled response after a single Canvas call', async () => {
+    fetch.mockResolvedValue(
+      new Response('403 Forbidden (Rate Limit Exceeded)', {
+        status: 403,
+        headers: { 'X-Rate-Limit-Remaining': '0.0', 'X-Request-Cost': '12.5' }
+      })
+    );
+    const res = createResponse();
+    await handler({ body: { endpoint: '/courses/1/discussion_topics' } }, res);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.rateLimited).toBe(true);
+    expect(res.headers['X-Rate-Limit-Remaining']).toBe('0.0');
+    expect(res.headers['X-Request-Cost']).toBe('12.5');
+  });
+
+  it('does not retry server errors', async () => {
+    fetch.mockResolvedValue(new Response('{"message":"oops"}', { status: 502 }));
+    const res = createResponse();
+    await handler({ body: { endpoint: '/courses/1' } }, res);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(res.statusCode).toBe(502);
+    expect(res.body.rateLimited).toBe(false);
+  });
+});